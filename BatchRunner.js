@@ -0,0 +1,109 @@
+import React, { useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Layers, Play, Square } from "lucide-react";
+import { DEFAULT_BATCH, runReplication, summarizeReplications } from "./replications";
+
+/**
+ * Monte Carlo batch card
+ * - K replications of the current params, headless (the map keeps its own run)
+ * - One replication per timer slice so the page stays responsive
+ * - KPI table with 95% CIs and the replications needed for the target precision
+ */
+
+const num = (v, fallback) => { const n = parseFloat(v); return isFinite(n) ? n : fallback; };
+
+function Field({ label, value, onChange, step = 1, min = 0 }) {
+  return (
+    <label className="space-y-1 text-xs text-slate-400">
+      <span>{label}</span>
+      <Input type="number" step={step} min={min} value={value} onChange={(e) => onChange(Math.max(min, num(e.target.value, value)))} className="h-8 text-right" />
+    </label>
+  );
+}
+
+export default function BatchRunner({ params, site, seed }) {
+  const [opts, setOpts] = useState({ ...DEFAULT_BATCH, seed });
+  const [progress, setProgress] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const cancel = useRef(false);
+  const set = (patch) => setOpts((o) => ({ ...o, ...patch }));
+
+  function run() {
+    const { replications, horizon, precision } = opts;
+    const warmup = Math.min(opts.warmup, horizon - 1);
+    const runs = [];
+    cancel.current = false;
+    setSummary(null);
+    const next = () => {
+      if (cancel.current || runs.length >= replications) {
+        setProgress(null);
+        if (runs.length > 1) setSummary({ ...summarizeReplications(runs, { precision }), warmup, horizon });
+        return;
+      }
+      runs.push(runReplication(params, site, { seed: `${opts.seed}-rep-${runs.length}`, horizon, warmup }));
+      setProgress(runs.length / replications);
+      setTimeout(next, 0);
+    };
+    setProgress(0);
+    setTimeout(next, 0);
+  }
+
+  return (
+    <Card className="bg-slate-900/70 border-slate-700">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-amber-300"><Layers className="h-5 w-5" /> Monte Carlo Replications</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end">
+          <Field label="Replications (K)" value={opts.replications} onChange={(v) => set({ replications: Math.max(2, Math.round(v)) })} min={2} />
+          <Field label="Horizon (min)" value={opts.horizon} onChange={(v) => set({ horizon: v })} step={30} min={10} />
+          <Field label="Warm-up (min)" value={opts.warmup} onChange={(v) => set({ warmup: v })} step={5} />
+          <Field label="Target precision (±%)" value={opts.precision * 100} onChange={(v) => set({ precision: Math.max(0.5, v) / 100 })} step={0.5} min={0.5} />
+          <label className="space-y-1 text-xs text-slate-400">
+            <span>Seed</span>
+            <Input value={opts.seed} onChange={(e) => set({ seed: e.target.value })} className="h-8 text-right" />
+          </label>
+          {progress === null
+            ? <Button onClick={run} className="rounded-2xl bg-amber-400 text-black hover:bg-amber-300"><Play className="mr-2 h-4 w-4" />Run batch</Button>
+            : <Button variant="secondary" onClick={() => { cancel.current = true; }} className="rounded-2xl border border-slate-600"><Square className="mr-2 h-4 w-4" />Stop ({Math.round(progress * 100)}%)</Button>}
+        </div>
+
+        {progress !== null && (
+          <div className="h-2 rounded bg-slate-800 overflow-hidden"><div className="h-full bg-amber-400" style={{ width: `${progress * 100}%` }} /></div>
+        )}
+
+        {summary && (
+          <div className="space-y-2">
+            <table className="w-full text-sm text-slate-300">
+              <thead className="text-xs text-slate-400 uppercase tracking-wider">
+                <tr>
+                  <th className="text-left font-medium">KPI</th><th className="text-right font-medium">Mean</th><th className="text-right font-medium">95% CI</th>
+                  <th className="text-right font-medium">± rel.</th><th className="text-right font-medium">K for ±{(opts.precision * 100).toFixed(1)}%</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.kpis.map((k) => (
+                  <tr key={k.key} className="border-t border-slate-700/60">
+                    <td className="py-1">{k.label} <span className="text-xs text-slate-500">{k.unit}</span></td>
+                    <td className="text-right text-amber-300 font-semibold">{k.mean.toFixed(2)}</td>
+                    <td className="text-right">{k.lo.toFixed(2)} – {k.hi.toFixed(2)}</td>
+                    <td className={`text-right ${k.rel <= opts.precision ? "text-emerald-400" : "text-rose-400"}`}>{(k.rel * 100).toFixed(1)}%</td>
+                    <td className="text-right">{k.sd > 0 ? k.needed : "–"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="flex flex-wrap gap-2 text-xs">
+              <Badge className="bg-slate-700 text-slate-200">{summary.replications} replications · {summary.horizon} min · first {summary.warmup} min deleted</Badge>
+              <Badge className="bg-slate-700 text-slate-200">MSER-5 warm-up suggestion: {summary.warmupSuggestion.toFixed(0)} min</Badge>
+              {summary.neededMax > summary.replications && <Badge className="bg-rose-500 text-black">Run ~{summary.neededMax} replications to hit the target on every KPI</Badge>}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
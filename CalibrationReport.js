@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { Bar, ComposedChart, Line, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Check, Sigma } from "lucide-react";
+import { applyCalibration, calibrate } from "./calibration";
+
+/**
+ * Fit report for an imported trace
+ * - Arrival buckets vs the fitted profile, with the time-rescaling KS test
+ * - Per stage: empirical histogram vs the best MLE fit, all candidates by AIC
+ * - Mobile share and censored patience estimates
+ * - "Write into params" applies every fitted value to the sim
+ */
+
+const tooltipStyle = { background: "#0f172a", border: "1px solid #334155" };
+const pFmt = (p) => (p < 0.001 ? "<0.001" : p.toFixed(3));
+
+function FitChart({ data, xKey }) {
+  return (
+    <div className="h-36">
+      <ResponsiveContainer width="100%" height="100%">
+        <ComposedChart data={data} margin={{ top: 4, right: 4, left: -24, bottom: 0 }}>
+          <XAxis dataKey={xKey} stroke="#94a3b8" fontSize={10} />
+          <YAxis stroke="#94a3b8" fontSize={10} tickFormatter={(v) => +v.toFixed(2)} />
+          <Tooltip contentStyle={tooltipStyle} formatter={(v) => +v.toFixed(3)} />
+          <Bar dataKey={xKey === "label" ? "observed" : "empirical"} name="Observed" fill="rgba(148,163,184,0.5)" isAnimationActive={false} />
+          <Line dataKey="fitted" name="Fitted" type="monotone" stroke="#fbbf24" dot={false} isAnimationActive={false} />
+        </ComposedChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+function GofBadge({ pValue }) {
+  return <Badge className={pValue >= 0.05 ? "bg-emerald-500 text-black" : "bg-rose-500 text-black"}>KS p = {pFmt(pValue)}</Badge>;
+}
+
+export default function CalibrationReport({ records, startHour, params, site, setParams }) {
+  const [report, setReport] = useState(null);
+  const [applied, setApplied] = useState(false);
+
+  function run() {
+    setReport(calibrate(records, params, site, { startHour: startHour ?? params.startHour }));
+    setApplied(false);
+  }
+
+  function apply() {
+    setParams((p) => applyCalibration(p, report));
+    setApplied(true);
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Button variant="secondary" onClick={run} className="rounded-2xl border border-slate-600"><Sigma className="mr-2 h-4 w-4" />Calibrate from trace</Button>
+        {report && <Button onClick={apply} className="rounded-2xl bg-amber-400 text-black hover:bg-amber-300"><Check className="mr-2 h-4 w-4" />Write into params</Button>}
+        {applied && <Badge className="bg-emerald-500 text-black">Applied</Badge>}
+      </div>
+
+      {report && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+            <div className="flex items-center justify-between text-sm text-slate-200 font-medium">
+              Arrivals {report.arrivals && <GofBadge pValue={report.arrivals.pValue} />}
+            </div>
+            {report.arrivals ? (
+              <>
+                <FitChart data={report.arrivals.buckets} xKey="label" />
+                <div className="text-xs text-slate-400">{report.arrivals.n} cars · base {report.arrivals.arrivalRate} cars/hr · 15-min Poisson profile</div>
+              </>
+            ) : <div className="text-xs text-slate-500">Too few arrivals to fit.</div>}
+            <div className="text-xs text-slate-400">
+              Mobile share: {report.mobile ? `${(report.mobile.share * 100).toFixed(1)}% (95% CI ${(report.mobile.lo * 100).toFixed(0)}–${(report.mobile.hi * 100).toFixed(0)}%, n=${report.mobile.n})` : "not in trace"}
+            </div>
+            <div className="text-xs text-slate-400">
+              Patience: {report.patience ? `exponential, mean ${report.patience.mean.toFixed(1)} min (${report.patience.n} left, ${report.patience.censored} censored)` : "no abandonments recorded"}
+            </div>
+          </div>
+
+          {["order", "pay", "pickup"].map((stage) => {
+            const fit = report.service[stage];
+            return (
+              <div key={stage} className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+                <div className="flex items-center justify-between text-sm text-slate-200 font-medium capitalize">
+                  {stage} service {fit && <GofBadge pValue={fit.best.pValue} />}
+                </div>
+                {fit ? (
+                  <>
+                    <FitChart data={fit.histogram} xKey="x" />
+                    <table className="w-full text-xs text-slate-300">
+                      <thead className="text-slate-400"><tr><th className="text-left font-medium">Fit</th><th className="text-right font-medium">Mean</th><th className="text-right font-medium">CV</th><th className="text-right font-medium">AIC</th><th className="text-right font-medium">KS D</th></tr></thead>
+                      <tbody>
+                        {fit.fits.map((f, i) => (
+                          <tr key={f.type} className={i === 0 ? "text-amber-300" : ""}>
+                            <td>{f.type}</td><td className="text-right">{f.mean.toFixed(2)}</td><td className="text-right">{f.cv.toFixed(2)}</td>
+                            <td className="text-right">{f.aic.toFixed(0)}</td><td className="text-right">{f.ks.toFixed(3)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <div className="text-xs text-slate-500">n={fit.n}{stage === "pickup" && " · times include waiting on food"}</div>
+                  </>
+                ) : <div className="text-xs text-slate-500">Too few timestamps for this stage.</div>}
+                {report.warnings.filter((w) => w.stage === stage).map((w, i) => <div key={i} className="text-xs text-amber-300">{w.message}</div>)}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
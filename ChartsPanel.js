@@ -0,0 +1,122 @@
+import React, { useMemo } from "react";
+import { Area, AreaChart, Bar, BarChart, Brush, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { LineChart as LineChartIcon } from "lucide-react";
+import { HISTORY_MAX_POINTS, ROLLING_WAIT_MIN } from "./engine";
+import { clockHour, formatClock } from "./profiles";
+
+/**
+ * Time-series dashboard over metrics.history
+ * - WIP per stage, rolling avg/p90 time in system, throughput per 15 min,
+ *   server allocation and parking occupancy
+ * - History is bounded in the engine (decimated past HISTORY_MAX_POINTS)
+ * - Charts share a syncId: hover and the brush zoom move together
+ */
+
+const tooltipStyle = { background: "#0f172a", border: "1px solid #334155" };
+const THROUGHPUT_BUCKET_MIN = 15;
+const STAGE_SERIES = [["order", "Ordering", "#22c55e"], ["pay", "Pay", "#fbbf24"], ["pickup", "Pickup", "#a78bfa"], ["curbside", "Curbside", "#38bdf8"]];
+const SERVER_SERIES = [["order", "Order posts", "#22c55e"], ["pay", "Pay", "#fbbf24"], ["pickup", "Pickup", "#a78bfa"], ["curbside", "Runners", "#38bdf8"], ["kitchen", "Kitchen", "#fb923c"]];
+
+// Cars finished per window, from the cumulative served count
+function throughputBuckets(history) {
+  const out = [];
+  const tMax = history.length ? history[history.length - 1].t : 0;
+  let i = 0, prev = 0, servedAt = 0;
+  for (let end = THROUGHPUT_BUCKET_MIN; end <= tMax + 1e-9; end += THROUGHPUT_BUCKET_MIN) {
+    while (i < history.length && history[i].t <= end + 1e-9) servedAt = history[i++].served;
+    out.push({ t: end - THROUGHPUT_BUCKET_MIN, cars: servedAt - prev });
+    prev = servedAt;
+  }
+  return out;
+}
+
+function Panel({ title, children }) {
+  return (
+    <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-1">
+      <div className="text-sm text-slate-200 font-medium">{title}</div>
+      <div className="h-44">
+        <ResponsiveContainer width="100%" height="100%">{children}</ResponsiveContainer>
+      </div>
+    </div>
+  );
+}
+
+export default function ChartsPanel({ history, historyEvery, params }) {
+  const clock = (t) => formatClock(clockHour(params, t));
+  const last = history[history.length - 1];
+  // history is appended in place; key the derived data on its length and tail
+  const data = useMemo(() => history.map((h) => ({
+    t: h.t,
+    ...Object.fromEntries(STAGE_SERIES.map(([k]) => [k, h.stages?.[k] ?? 0])),
+    waitAvg: h.waitAvg, waitP90: h.waitP90, wait: h.wait,
+    ...Object.fromEntries(SERVER_SERIES.map(([k]) => [`s_${k}`, h.servers?.[k] ?? 0])),
+    parking: h.parking * 100,
+  })), [history, history.length, last?.t]);
+  const throughput = useMemo(() => throughputBuckets(history), [history, history.length, last?.t]);
+
+  const axis = <XAxis dataKey="t" type="number" domain={["dataMin", "dataMax"]} tickFormatter={clock} stroke="#94a3b8" fontSize={10} />;
+  const tooltip = <Tooltip labelFormatter={clock} contentStyle={tooltipStyle} formatter={(v) => (v == null ? "–" : +(+v).toFixed(2))} />;
+  const margin = { top: 4, right: 8, left: -20, bottom: 0 };
+
+  return (
+    <Card className="bg-slate-900/70 border-slate-700">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-amber-300"><LineChartIcon className="h-5 w-5" /> Time Series</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {data.length < 2 ? (
+          <div className="text-sm text-slate-400">Start the simulation to record history.</div>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              <Panel title="Cars per stage (WIP)">
+                <AreaChart data={data} syncId="history" margin={margin}>
+                  {axis}<YAxis stroke="#94a3b8" fontSize={10} allowDecimals={false} />{tooltip}
+                  {STAGE_SERIES.map(([k, name, color]) => <Area key={k} dataKey={k} name={name} stackId="wip" type="stepAfter" stroke={color} fill={color} fillOpacity={0.3} isAnimationActive={false} />)}
+                  <Brush dataKey="t" height={16} stroke="#f59e0b" fill="#0f172a" tickFormatter={clock} />
+                </AreaChart>
+              </Panel>
+              <Panel title={`Time in system (rolling ${ROLLING_WAIT_MIN} min)`}>
+                <LineChart data={data} syncId="history" margin={margin}>
+                  {axis}<YAxis stroke="#94a3b8" fontSize={10} unit="m" />{tooltip}
+                  <Line dataKey="waitAvg" name="Avg" stroke="#38bdf8" dot={false} connectNulls isAnimationActive={false} />
+                  <Line dataKey="waitP90" name="p90" stroke="#f43f5e" dot={false} connectNulls isAnimationActive={false} />
+                  <Line dataKey="wait" name="Cumulative avg" stroke="#94a3b8" strokeDasharray="4 3" dot={false} isAnimationActive={false} />
+                  <Brush dataKey="t" height={16} stroke="#f59e0b" fill="#0f172a" tickFormatter={clock} />
+                </LineChart>
+              </Panel>
+              <Panel title="Server allocation">
+                <LineChart data={data} syncId="history" margin={margin}>
+                  {axis}<YAxis stroke="#94a3b8" fontSize={10} allowDecimals={false} />{tooltip}
+                  {SERVER_SERIES.map(([k, name, color]) => <Line key={k} dataKey={`s_${k}`} name={name} type="stepAfter" stroke={color} dot={false} isAnimationActive={false} />)}
+                  <Brush dataKey="t" height={16} stroke="#f59e0b" fill="#0f172a" tickFormatter={clock} />
+                </LineChart>
+              </Panel>
+              <Panel title="Parking occupancy">
+                <AreaChart data={data} syncId="history" margin={margin}>
+                  {axis}<YAxis stroke="#94a3b8" fontSize={10} unit="%" domain={[0, 100]} />{tooltip}
+                  <Area dataKey="parking" name="Occupied %" type="stepAfter" stroke="#e2e8f0" fill="rgba(226,232,240,0.2)" isAnimationActive={false} />
+                  <Brush dataKey="t" height={16} stroke="#f59e0b" fill="#0f172a" tickFormatter={clock} />
+                </AreaChart>
+              </Panel>
+            </div>
+            <Panel title={`Throughput per ${THROUGHPUT_BUCKET_MIN} min`}>
+              <BarChart data={throughput} margin={margin}>
+                <XAxis dataKey="t" tickFormatter={clock} stroke="#94a3b8" fontSize={10} />
+                <YAxis stroke="#94a3b8" fontSize={10} allowDecimals={false} />
+                <Tooltip labelFormatter={(t) => `${clock(t)}–${clock(t + THROUGHPUT_BUCKET_MIN)}`} contentStyle={tooltipStyle} />
+                <Bar dataKey="cars" name="Cars served" fill="#fbbf24" isAnimationActive={false} />
+                <Brush dataKey="t" height={16} stroke="#f59e0b" fill="#0f172a" tickFormatter={clock} />
+              </BarChart>
+            </Panel>
+            <div className="flex flex-wrap gap-2 text-xs">
+              <Badge className="bg-slate-700 text-slate-200">{data.length} points · one per {historyEvery.toFixed(2)} min (max {HISTORY_MAX_POINTS}, older resolution halves as the run grows)</Badge>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
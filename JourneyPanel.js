@@ -0,0 +1,168 @@
+import React, { useMemo, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Switch } from "@/components/ui/switch";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Route } from "lucide-react";
+import { breaches, DEFAULT_JOURNEY_FILTER, DEFAULT_SLA_TARGETS, filterJourneys, JOURNEY_STAGES, journeyStats, PERCENTILES } from "./journeys";
+import { clockHour, formatClock } from "./profiles";
+
+/**
+ * Car journeys card
+ * - p50/p90/p95/max time in system and per stage, from every finished car
+ * - SLA targets (whole visit + per stage) with breach counts
+ * - Filterable, sortable table of individual cars
+ */
+
+const num = (v, fallback) => { const n = parseFloat(v); return isFinite(n) ? n : fallback; };
+const selectCls = "h-8 rounded-md bg-slate-950 border border-slate-600 text-sm px-2";
+const fmt = (v) => (v == null ? "–" : v.toFixed(1));
+const ROW_LIMIT = 200;
+
+const SORTS = {
+  done: (a, b) => b.done - a.done,
+  total: (a, b) => b.total - a.total,
+  arrival: (a, b) => a.arrival - b.arrival,
+};
+
+function Field({ label, value, onChange }) {
+  return (
+    <label className="space-y-1 text-xs text-slate-400">
+      <span>{label}</span>
+      <Input type="number" min={0} step={0.5} value={value} onChange={(e) => onChange(Math.max(0, num(e.target.value, value)))} className="h-8 text-right" />
+    </label>
+  );
+}
+
+function Select({ label, value, onChange, options }) {
+  return (
+    <label className="flex items-center gap-1 text-xs text-slate-400">{label}
+      <select value={value} onChange={(e) => onChange(e.target.value)} className={selectCls}>
+        {options.map(([v, l]) => <option key={v} value={v}>{l}</option>)}
+      </select>
+    </label>
+  );
+}
+
+export default function JourneyPanel({ journeys, params, site, setParams }) {
+  const targets = params.slaTargets ?? DEFAULT_SLA_TARGETS;
+  const [filter, setFilter] = useState(DEFAULT_JOURNEY_FILTER);
+  const [sort, setSort] = useState("done");
+  const setTarget = (k, v) => setParams((p) => ({ ...p, slaTargets: { ...(p.slaTargets ?? DEFAULT_SLA_TARGETS), [k]: v } }));
+  const setF = (patch) => setFilter((f) => ({ ...f, ...patch }));
+
+  const shown = useMemo(() => filterJourneys(journeys, filter, targets), [journeys, journeys.length, filter, targets]);
+  const stats = useMemo(() => journeyStats(shown, targets), [shown, targets]);
+  const rows = useMemo(() => [...shown].sort(SORTS[sort]).slice(0, ROW_LIMIT), [shown, sort]);
+  const clock = (t) => formatClock(clockHour(params, t));
+  const stagesShown = JOURNEY_STAGES.filter(({ key }) => stats.stages[key].time.n);
+
+  return (
+    <Card className="bg-slate-900/70 border-slate-700">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-amber-300"><Route className="h-5 w-5" /> Car Journeys</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-3">
+          <Select label="Lane" value={filter.lane} onChange={(lane) => setF({ lane })} options={[["all", "All"], ...site.lanes.map((l) => [l.id, l.label])]} />
+          <Select label="Channel" value={filter.channel} onChange={(channel) => setF({ channel })} options={[["all", "All"], ["drive", "Drive-thru"], ["curbside", "Curbside"]]} />
+          <Select label="Mobile" value={filter.mobile} onChange={(mobile) => setF({ mobile })} options={[["all", "All"], ["yes", "Mobile"], ["no", "Walk-up"]]} />
+          <label className="flex items-center gap-2 text-xs text-slate-400"><Switch checked={filter.breachedOnly} onCheckedChange={(breachedOnly) => setF({ breachedOnly })} /> SLA breaches only</label>
+          <span className="ml-auto text-xs text-slate-400">{shown.length} of {journeys.length} finished cars</span>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3">
+          {[...PERCENTILES, ["max"]].map(([k]) => (
+            <div key={k} className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 text-center">
+              <div className="text-xl font-bold text-amber-300">{fmt(stats.total[k])}<span className="text-xs text-slate-400"> min</span></div>
+              <div className="text-xs text-slate-400">{k} time in system</div>
+            </div>
+          ))}
+          <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 text-center">
+            <div className={`text-xl font-bold ${stats.breaches.total ? "text-rose-400" : "text-emerald-400"}`}>{stats.breaches.total}</div>
+            <div className="text-xs text-slate-400">over {targets.total} min total</div>
+          </div>
+          <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 text-center">
+            <div className={`text-xl font-bold ${stats.anyBreach ? "text-rose-400" : "text-emerald-400"}`}>{stats.n ? `${((100 * stats.anyBreach) / stats.n).toFixed(0)}%` : "–"}</div>
+            <div className="text-xs text-slate-400">cars missing any target</div>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div className="lg:col-span-2">
+            <table className="w-full text-xs text-slate-300">
+              <thead className="text-slate-400 uppercase tracking-wider">
+                <tr>
+                  <th className="text-left font-medium">Stage</th>
+                  <th className="text-right font-medium">Queue p50/p90</th><th className="text-right font-medium">Service p50/p90</th>
+                  <th className="text-right font-medium">Total p50/p90/p95/max</th><th className="text-right font-medium">Breaches</th>
+                </tr>
+              </thead>
+              <tbody>
+                {stagesShown.map(({ key, label }) => {
+                  const s = stats.stages[key];
+                  return (
+                    <tr key={key} className="border-t border-slate-700/60">
+                      <td className="py-1">{label}</td>
+                      <td className="text-right">{fmt(s.queue.p50)} / {fmt(s.queue.p90)}</td>
+                      <td className="text-right">{fmt(s.service.p50)} / {fmt(s.service.p90)}</td>
+                      <td className="text-right text-amber-300">{fmt(s.time.p50)} / {fmt(s.time.p90)} / {fmt(s.time.p95)} / {fmt(s.time.max)}</td>
+                      <td className={`text-right ${stats.breaches[key] ? "text-rose-400" : ""}`}>{stats.breaches[key]} <span className="text-slate-500">({"> "}{targets[key]}m)</span></td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+            <div className="text-sm text-slate-200 font-medium">SLA targets (min)</div>
+            <div className="grid grid-cols-3 gap-2">
+              <Field label="Total" value={targets.total} onChange={(v) => setTarget("total", v)} />
+              {JOURNEY_STAGES.map(({ key, label }) => <Field key={key} label={label} value={targets[key]} onChange={(v) => setTarget(key, v)} />)}
+            </div>
+          </div>
+        </div>
+
+        <div className="space-y-1">
+          <div className="flex items-center gap-2 text-xs text-slate-400">
+            <Select label="Sort" value={sort} onChange={setSort} options={[["done", "Latest first"], ["total", "Longest first"], ["arrival", "By arrival"]]} />
+            {shown.length > ROW_LIMIT && <span>showing {ROW_LIMIT}</span>}
+          </div>
+          <div className="max-h-72 overflow-y-auto">
+            <table className="w-full text-xs text-slate-300">
+              <thead className="text-slate-400 uppercase tracking-wider sticky top-0 bg-slate-900">
+                <tr>
+                  <th className="text-left font-medium">Car</th><th className="text-left font-medium">Arrived</th><th className="text-left font-medium">Lane</th>
+                  {JOURNEY_STAGES.map(({ key, label }) => <th key={key} className="text-right font-medium">{label} q+s</th>)}
+                  <th className="text-right font-medium">Total</th><th className="text-right font-medium">Missed</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((j) => {
+                  const missed = breaches(j, targets);
+                  return (
+                    <tr key={j.id} className="border-t border-slate-700/60">
+                      <td className="py-0.5 font-mono">{j.id}{j.isMobile && <Badge className="ml-1 bg-sky-500 text-black">app</Badge>}</td>
+                      <td>{clock(j.arrival)}</td>
+                      <td>{j.curbside ? "Curbside" : j.lane}</td>
+                      {JOURNEY_STAGES.map(({ key }) => {
+                        const s = j.stages[key];
+                        return (
+                          <td key={key} className={`text-right ${missed.includes(key) ? "text-rose-400" : ""}`} title={s ? `queue ${fmt(s.queue)} · service ${fmt(s.service)} · blocked ${fmt(s.blocked)}` : undefined}>
+                            {s ? `${fmt(s.queue)}+${fmt(s.service + s.blocked)}` : "–"}
+                          </td>
+                        );
+                      })}
+                      <td className={`text-right font-semibold ${missed.includes("total") ? "text-rose-400" : "text-amber-300"}`}>{fmt(j.total)}</td>
+                      <td className="text-right text-slate-400">{missed.length ? missed.join(", ") : "–"}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,89 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Plus, UtensilsCrossed, X } from "lucide-react";
+import { expectedTicket, meanGroupSize, meanItemPrep, meanItems } from "./menu";
+
+/**
+ * Menu editor card
+ * - Items with price, prep time and mix weight
+ * - Group-size mix and items per person drive order size
+ * - Relative order/pay effort per item (the stage rates stay the average)
+ */
+
+const num = (v, fallback) => { const n = parseFloat(v); return isFinite(n) ? n : fallback; };
+
+function NumCell({ value, onChange, step = 0.1 }) {
+  return <Input type="number" min={0} step={step} value={value} onChange={(e) => onChange(Math.max(0, num(e.target.value, value)))} className="h-8 text-right" />;
+}
+
+export default function MenuEditor({ params, setParams }) {
+  const menu = params.menu;
+  const set = (patch) => setParams((p) => ({ ...p, menu: { ...p.menu, ...patch } }));
+  const setItem = (i, patch) => set({ items: menu.items.map((it, j) => (j === i ? { ...it, ...patch } : it)) });
+  const setTiming = (k, v) => set({ timing: { ...menu.timing, [k]: v } });
+  const groupTotal = menu.groupSizes.reduce((a, b) => a + b, 0) || 1;
+
+  return (
+    <Card className="bg-slate-900/70 border-slate-700">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-amber-300"><UtensilsCrossed className="h-5 w-5" /> Menu & Orders</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap gap-2 text-sm">
+          <Badge className="bg-slate-700 text-slate-200">{meanGroupSize(menu).toFixed(2)} people / car</Badge>
+          <Badge className="bg-slate-700 text-slate-200">{meanItems(menu).toFixed(2)} items / order</Badge>
+          <Badge className="bg-slate-700 text-slate-200">{meanItemPrep(menu).toFixed(2)} min avg item prep (scaled to 1 / prep rate)</Badge>
+          <Badge className="bg-amber-400 text-black">Expected ticket ${expectedTicket(menu).toFixed(2)}</Badge>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div className="lg:col-span-2 p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-1">
+            <div className="grid grid-cols-[2fr_1fr_1fr_1fr_auto] gap-2 text-xs text-slate-400">
+              <span>Item</span><span>Price $</span><span>Prep min</span><span>Mix weight</span><span />
+            </div>
+            {menu.items.map((it, i) => (
+              <div key={it.id} className="grid grid-cols-[2fr_1fr_1fr_1fr_auto] gap-2 items-center">
+                <Input value={it.name} onChange={(e) => setItem(i, { name: e.target.value })} className="h-8" />
+                <NumCell value={it.price} onChange={(v) => setItem(i, { price: v })} step={0.25} />
+                <NumCell value={it.prepMin} onChange={(v) => setItem(i, { prepMin: v })} />
+                <NumCell value={it.weight} onChange={(v) => setItem(i, { weight: v })} />
+                <Button variant="ghost" size="icon" disabled={menu.items.length < 2} onClick={() => set({ items: menu.items.filter((_, j) => j !== i) })} className="h-8 w-8"><X className="h-4 w-4" /></Button>
+              </div>
+            ))}
+            <Button variant="secondary" size="sm" onClick={() => set({ items: [...menu.items, { id: `item${Date.now().toString(36)}`, name: "New item", price: 5, prepMin: 1.5, weight: 1 }] })} className="rounded-xl border border-slate-600">
+              <Plus className="mr-1 h-3 w-3" />Item
+            </Button>
+          </div>
+
+          <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-3">
+            <div className="text-sm text-slate-200 font-medium">Group size mix</div>
+            <div className="grid grid-cols-4 gap-2">
+              {menu.groupSizes.map((w, i) => (
+                <label key={i} className="space-y-1 text-xs text-slate-400">
+                  <span>{i + 1} · {((100 * w) / groupTotal).toFixed(0)}%</span>
+                  <NumCell value={w} onChange={(v) => set({ groupSizes: menu.groupSizes.map((x, j) => (j === i ? v : x)) })} step={0.05} />
+                </label>
+              ))}
+            </div>
+            <label className="block space-y-1 text-xs text-slate-400">
+              <span>Items per person (≥ 1)</span>
+              <NumCell value={menu.itemsPerPerson} onChange={(v) => set({ itemsPerPerson: Math.max(1, v) })} />
+            </label>
+            <div className="text-sm text-slate-200 font-medium">Effort per order</div>
+            <div className="grid grid-cols-2 gap-2">
+              {[["orderBase", "Order base"], ["orderPerItem", "Order / item"], ["payBase", "Pay base"], ["payPerItem", "Pay / item"]].map(([k, label]) => (
+                <label key={k} className="space-y-1 text-xs text-slate-400">
+                  <span>{label}</span>
+                  <NumCell value={menu.timing[k]} onChange={(v) => setTiming(k, v)} step={0.05} />
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
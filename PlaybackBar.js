@@ -0,0 +1,59 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Switch } from "@/components/ui/switch";
+import { Input } from "@/components/ui/input";
+import { Pause, Play, SkipForward, StepForward } from "lucide-react";
+import { BREAKPOINT_KINDS, SPEEDS } from "./playback";
+import { clockHour, formatClock } from "./profiles";
+
+/**
+ * Playback bar under the site map
+ * - Play/pause, speed (× real time), step one event or one simulated minute
+ * - Breakpoints: pause when a condition first becomes true
+ * - Timeline slider: drag back to rewind (restores a snapshot and replays),
+ *   forward to fast-forward
+ */
+
+const num = (v, fallback) => { const n = parseFloat(v); return isFinite(n) ? n : fallback; };
+const selectCls = "h-8 rounded-md bg-slate-950 border border-slate-600 text-sm px-2";
+
+export default function PlaybackBar({ running, setRunning, now, reached, params, speed, setSpeed, stepEvent, stepMinute, seek, breakpoints, setBreakpoints, paused }) {
+  const updateBreakpoint = (id, patch) => setBreakpoints((bps) => bps.map((b) => (b.id === id ? { ...b, ...patch } : b)));
+  const end = Math.max(reached, now, 1);
+
+  return (
+    <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <Button size="sm" onClick={() => setRunning(!running)} className="rounded-xl bg-emerald-500 text-black hover:bg-emerald-400">
+          {running ? <Pause className="h-4 w-4" /> : <Play className="h-4 w-4" />}
+        </Button>
+        <Button variant="secondary" size="sm" onClick={stepEvent} className="rounded-xl border border-slate-600"><StepForward className="mr-1 h-4 w-4" />Event</Button>
+        <Button variant="secondary" size="sm" onClick={stepMinute} className="rounded-xl border border-slate-600"><SkipForward className="mr-1 h-4 w-4" />1 min</Button>
+        <label className="flex items-center gap-2 text-xs text-slate-400">Speed
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className={selectCls}>
+            {SPEEDS.map((s) => <option key={s} value={s}>{s}×</option>)}
+          </select>
+        </label>
+        <span className="ml-auto text-xs text-slate-300 font-mono">{now.toFixed(2)} min · {formatClock(clockHour(params, now))}</span>
+      </div>
+
+      <input type="range" min={0} max={end} step={0.1} value={Math.min(now, end)} onChange={(e) => seek(parseFloat(e.target.value))} className="w-full accent-amber-400" />
+      <div className="flex justify-between text-[10px] text-slate-500"><span>0</span><span>simulated so far: {end.toFixed(0)} min</span></div>
+
+      <div className="flex flex-wrap items-center gap-4">
+        {breakpoints.map((bp) => {
+          const kind = BREAKPOINT_KINDS[bp.kind];
+          return (
+            <div key={bp.id} className="flex items-center gap-2 text-xs text-slate-300">
+              <Switch checked={bp.enabled} onCheckedChange={(v) => updateBreakpoint(bp.id, { enabled: v })} />
+              <span>Pause when {kind.label}</span>
+              <Input type="number" min={0} step={1} value={bp.limit} onChange={(e) => updateBreakpoint(bp.id, { limit: Math.max(0, num(e.target.value, bp.limit)) })} className="w-16 h-8 text-right" />
+              <span className="text-slate-400">{kind.unit}</span>
+            </div>
+          );
+        })}
+      </div>
+      {paused && <div className="text-xs text-amber-300">{paused}</div>}
+    </div>
+  );
+}
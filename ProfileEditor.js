@@ -0,0 +1,141 @@
+import React, { useMemo } from "react";
+import { Area, ComposedChart, Line, ReferenceLine, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Switch } from "@/components/ui/switch";
+import { Input } from "@/components/ui/input";
+import { Clock, Plus, X } from "lucide-react";
+import { clockHour, formatClock, MOBILE_PRESET, PROFILE_PRESETS, profileAt } from "./profiles";
+
+/**
+ * Arrival profile editor
+ * - Preset rush curves, piecewise/smooth shape, editable rate points
+ * - Optional time-varying mobile share curve
+ * - Daypart boundaries used for the KPI breakdown
+ */
+
+const num = (v, fallback) => { const n = parseFloat(v); return isFinite(n) ? n : fallback; };
+const selectCls = "h-8 rounded-md bg-slate-950 border border-slate-600 text-sm px-2";
+
+function PointsEditor({ points, onChange, valueLabel, max }) {
+  const sorted = [...points].sort((a, b) => a.h - b.h);
+  const update = (i, patch) => onChange(sorted.map((p, j) => (j === i ? { ...p, ...patch } : p)));
+  return (
+    <div className="space-y-1">
+      <div className="grid grid-cols-[1fr_1fr_auto] gap-2 text-xs text-slate-400">
+        <span>Hour (0–24)</span><span>{valueLabel}</span><span />
+      </div>
+      {sorted.map((p, i) => (
+        <div key={i} className="grid grid-cols-[1fr_1fr_auto] gap-2 items-center">
+          <Input type="number" min={0} max={23.75} step={0.25} value={p.h} onChange={(e) => update(i, { h: Math.min(23.75, Math.max(0, num(e.target.value, p.h))) })} className="h-8 text-right" />
+          <Input type="number" min={0} max={max} step={0.05} value={p.v} onChange={(e) => update(i, { v: Math.min(max, Math.max(0, num(e.target.value, p.v))) })} className="h-8 text-right" />
+          <Button variant="ghost" size="icon" disabled={sorted.length < 2} onClick={() => onChange(sorted.filter((_, j) => j !== i))} className="h-8 w-8"><X className="h-4 w-4" /></Button>
+        </div>
+      ))}
+      <Button variant="secondary" size="sm" onClick={() => onChange([...sorted, { h: Math.min(23.75, (sorted[sorted.length - 1]?.h ?? 0) + 1), v: sorted[sorted.length - 1]?.v ?? 1 }])} className="rounded-xl border border-slate-600">
+        <Plus className="mr-1 h-3 w-3" />Point
+      </Button>
+    </div>
+  );
+}
+
+function DaypartEditor({ dayparts, onChange }) {
+  const update = (i, patch) => onChange(dayparts.map((d, j) => (j === i ? { ...d, ...patch } : d)));
+  return (
+    <div className="space-y-1">
+      <div className="grid grid-cols-[2fr_1fr_1fr_auto] gap-2 text-xs text-slate-400">
+        <span>Daypart</span><span>Start</span><span>End</span><span />
+      </div>
+      {dayparts.map((d, i) => (
+        <div key={i} className="grid grid-cols-[2fr_1fr_1fr_auto] gap-2 items-center">
+          <Input value={d.name} onChange={(e) => update(i, { name: e.target.value })} className="h-8" />
+          <Input type="number" min={0} max={24} step={0.25} value={d.start} onChange={(e) => update(i, { start: num(e.target.value, d.start) })} className="h-8 text-right" />
+          <Input type="number" min={0} max={24} step={0.25} value={d.end} onChange={(e) => update(i, { end: num(e.target.value, d.end) })} className="h-8 text-right" />
+          <Button variant="ghost" size="icon" onClick={() => onChange(dayparts.filter((_, j) => j !== i))} className="h-8 w-8"><X className="h-4 w-4" /></Button>
+        </div>
+      ))}
+      <Button variant="secondary" size="sm" onClick={() => onChange([...dayparts, { name: `Daypart ${dayparts.length + 1}`, start: dayparts[dayparts.length - 1]?.end ?? 0, end: 24 }])} className="rounded-xl border border-slate-600">
+        <Plus className="mr-1 h-3 w-3" />Daypart
+      </Button>
+    </div>
+  );
+}
+
+export default function ProfileEditor({ params, setParams, now }) {
+  const { arrivalProfile: profile, mobileProfile } = params;
+  const set = (patch) => setParams((p) => ({ ...p, ...patch }));
+  const setProfile = (patch) => set({ arrivalProfile: { ...profile, label: "Custom", ...patch } });
+
+  const curve = useMemo(() => Array.from({ length: 97 }, (_, i) => {
+    const h = i / 4;
+    return {
+      h,
+      rate: +(params.arrivalRate * profileAt(profile, h)).toFixed(1),
+      mobile: +(100 * (mobileProfile ? profileAt(mobileProfile, h) : params.mobileShare)).toFixed(0),
+    };
+  }), [profile, mobileProfile, params.arrivalRate, params.mobileShare]);
+
+  const presetId = Object.keys(PROFILE_PRESETS).find((k) => PROFILE_PRESETS[k].label === profile.label) || "custom";
+
+  return (
+    <Card className="bg-slate-900/70 border-slate-700">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-amber-300"><Clock className="h-5 w-5" /> Arrival Profile</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-3 text-sm text-slate-200">
+          <label className="flex items-center gap-2">Preset
+            <select value={presetId} onChange={(e) => PROFILE_PRESETS[e.target.value] && set({ arrivalProfile: PROFILE_PRESETS[e.target.value] })} className={selectCls}>
+              {Object.entries(PROFILE_PRESETS).map(([id, p]) => <option key={id} value={id}>{p.label}</option>)}
+              {presetId === "custom" && <option value="custom">Custom</option>}
+            </select>
+          </label>
+          <label className="flex items-center gap-2">Curve
+            <select value={profile.shape} onChange={(e) => setProfile({ shape: e.target.value })} className={selectCls}>
+              <option value="piecewise">Piecewise</option>
+              <option value="smooth">Smooth</option>
+            </select>
+          </label>
+          <label className="flex items-center gap-2">Sim starts at
+            <Input type="number" min={0} max={23.75} step={0.25} value={params.startHour} onChange={(e) => set({ startHour: Math.min(23.75, Math.max(0, num(e.target.value, params.startHour))) })} className="w-20 h-8 text-right" />
+          </label>
+          <span className="ml-auto text-xs text-slate-400">Clock {formatClock(clockHour(params, now))}</span>
+        </div>
+
+        <div className="h-48">
+          <ResponsiveContainer width="100%" height="100%">
+            <ComposedChart data={curve} margin={{ top: 8, right: 8, left: -16, bottom: 0 }}>
+              <XAxis dataKey="h" type="number" domain={[0, 24]} ticks={[0, 3, 6, 9, 12, 15, 18, 21, 24]} tickFormatter={formatClock} stroke="#94a3b8" fontSize={11} />
+              <YAxis yAxisId="rate" stroke="#fcd34d" fontSize={11} />
+              <YAxis yAxisId="mobile" orientation="right" domain={[0, 100]} stroke="#38bdf8" fontSize={11} unit="%" />
+              <Tooltip labelFormatter={formatClock} contentStyle={{ background: "#0f172a", border: "1px solid #334155" }} />
+              <Area yAxisId="rate" dataKey="rate" name="Cars/hr" type="monotone" stroke="#fbbf24" fill="rgba(251,191,36,0.25)" isAnimationActive={false} />
+              <Line yAxisId="mobile" dataKey="mobile" name="Mobile %" type="monotone" stroke="#38bdf8" dot={false} isAnimationActive={false} />
+              <ReferenceLine yAxisId="rate" x={clockHour(params, now)} stroke="#f43f5e" />
+            </ComposedChart>
+          </ResponsiveContainer>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+            <div className="text-sm text-slate-200 font-medium">Rate curve (× Arrivals/hr)</div>
+            <PointsEditor points={profile.points} onChange={(points) => setProfile({ points })} valueLabel="Multiplier" max={3} />
+          </div>
+          <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+            <div className="flex items-center justify-between">
+              <div className="text-sm text-slate-200 font-medium">Mobile share by time</div>
+              <Switch checked={!!mobileProfile} onCheckedChange={(v) => set({ mobileProfile: v ? MOBILE_PRESET : null })} />
+            </div>
+            {mobileProfile
+              ? <PointsEditor points={mobileProfile.points} onChange={(points) => set({ mobileProfile: { ...mobileProfile, points } })} valueLabel="Share (0–1)" max={1} />
+              : <div className="text-xs text-slate-400">Using the constant Mobile share slider.</div>}
+          </div>
+          <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+            <div className="text-sm text-slate-200 font-medium">Dayparts</div>
+            <DaypartEditor dayparts={params.dayparts} onChange={(dayparts) => set({ dayparts })} />
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
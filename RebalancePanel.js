@@ -0,0 +1,143 @@
+import React from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Switch } from "@/components/ui/switch";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { ArrowRight, Footprints, Plus, Shuffle, X } from "lucide-react";
+import { DEFAULT_REBALANCE, POLICIES, scheduleKeys, stageLabel } from "./policies";
+import { clockHour, formatClock } from "./profiles";
+
+/**
+ * Staff rebalancing card
+ * - Policy picker with per-policy cooldown, walk/handoff delay and tuning
+ * - Timeline of every reassignment in this run (who moved where, when, why)
+ */
+
+const num = (v, fallback) => { const n = parseFloat(v); return isFinite(n) ? n : fallback; };
+const selectCls = "h-8 rounded-md bg-slate-950 border border-slate-600 text-sm px-2";
+const STAGE_COLORS = { order: "#22c55e", pay: "#fbbf24", pickup: "#38bdf8", kitchen: "#fb923c" };
+const stageColor = (key) => STAGE_COLORS[key.split(":")[0]];
+
+// Extra knobs per policy, beyond cooldown + walk
+const TUNING = {
+  threshold: [["high", "Help above (min queued)", 0.5], ["low", "Donate below (min queued)", 0.25]],
+  predictive: [["horizonMin", "Forecast horizon (min)", 1], ["minGainMin", "Min gain (min)", 0.25]],
+};
+
+function Field({ label, value, onChange, step }) {
+  return (
+    <label className="space-y-1 text-xs text-slate-400">
+      <span>{label}</span>
+      <Input type="number" min={0} step={step} value={value} onChange={(e) => onChange(Math.max(0, num(e.target.value, value)))} className="h-8 text-right" />
+    </label>
+  );
+}
+
+function ScheduleEditor({ moves, keys, onChange }) {
+  const update = (i, patch) => onChange(moves.map((m, j) => (j === i ? { ...m, ...patch } : m)));
+  return (
+    <div className="space-y-1">
+      <div className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 text-xs text-slate-400">
+        <span>At (hour)</span><span>From</span><span>To</span><span />
+      </div>
+      {moves.map((m, i) => (
+        <div key={i} className="grid grid-cols-[1fr_1fr_1fr_auto] gap-2 items-center">
+          <Input type="number" min={0} max={23.75} step={0.25} value={m.h} onChange={(e) => update(i, { h: Math.min(23.75, Math.max(0, num(e.target.value, m.h))) })} className="h-8 text-right" />
+          {["from", "to"].map((k) => (
+            <select key={k} value={m[k]} onChange={(e) => update(i, { [k]: e.target.value })} className={selectCls}>
+              {keys.map((key) => <option key={key} value={key}>{stageLabel(key)}</option>)}
+            </select>
+          ))}
+          <Button variant="ghost" size="icon" onClick={() => onChange(moves.filter((_, j) => j !== i))} className="h-8 w-8"><X className="h-4 w-4" /></Button>
+        </div>
+      ))}
+      <Button variant="secondary" size="sm" onClick={() => onChange([...moves, { h: moves[moves.length - 1]?.h ?? 12, from: "pickup", to: "pay" }])} className="rounded-xl border border-slate-600">
+        <Plus className="mr-1 h-3 w-3" />Move
+      </Button>
+    </div>
+  );
+}
+
+// Reassignments on a strip over the run so far; the bar spans the walk
+function Timeline({ log, params, span }) {
+  return (
+    <div className="relative h-8 rounded-lg bg-slate-950 border border-slate-700 overflow-hidden">
+      {log.map((e, i) => (
+        <div key={i} title={`${formatClock(clockHour(params, e.t))} ${stageLabel(e.from)} → ${stageLabel(e.to)} · ${e.reason}`}
+          className="absolute top-1 bottom-1 rounded-sm"
+          style={{ left: `${(100 * e.t) / span}%`, width: `max(2px, ${(100 * (e.arriveAt - e.t)) / span}%)`, background: stageColor(e.to) }} />
+      ))}
+    </div>
+  );
+}
+
+export default function RebalancePanel({ params, site, setParams, now, log, inTransit }) {
+  const cfg = params.rebalance ?? DEFAULT_REBALANCE;
+  const policy = POLICIES[cfg.policy] ?? POLICIES.greedy;
+  const settings = { ...policy.defaults, ...cfg.settings?.[policy.id] };
+  const setCfg = (patch) => setParams((p) => ({ ...p, rebalance: { ...cfg, ...patch } }));
+  const setSetting = (patch) => setCfg({ settings: { ...cfg.settings, [policy.id]: { ...settings, ...patch } } });
+  const keys = scheduleKeys(site);
+  const span = Math.max(60, now);
+
+  return (
+    <Card className="bg-slate-900/70 border-slate-700">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-amber-300"><Shuffle className="h-5 w-5" /> Staff Rebalancing</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap items-center gap-3 text-sm text-slate-200">
+          <label className="flex items-center gap-2">
+            <Switch checked={params.autoRebalance} onCheckedChange={(v) => setParams((p) => ({ ...p, autoRebalance: v }))} />
+            Auto rebalance
+          </label>
+          <label className="flex items-center gap-2">Policy
+            <select value={policy.id} onChange={(e) => setCfg({ policy: e.target.value })} className={selectCls}>
+              {Object.values(POLICIES).map((p) => <option key={p.id} value={p.id}>{p.label}</option>)}
+            </select>
+          </label>
+          {params.staffingPlan && <Badge className="bg-slate-700 text-slate-200">Staffing plan active: it resets counts every interval</Badge>}
+          {inTransit.map((w, i) => (
+            <Badge key={i} className="bg-sky-500 text-black"><Footprints className="mr-1 h-3 w-3" />To {stageLabel(w.to)} in {(w.arriveAt - now).toFixed(1)}m</Badge>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+          <Field label="Check every (min)" value={cfg.checkEveryMin} onChange={(v) => setCfg({ checkEveryMin: Math.max(0.1, v) })} step={0.1} />
+          <Field label="Cooldown (min)" value={settings.cooldownMin} onChange={(v) => setSetting({ cooldownMin: v })} step={0.5} />
+          <Field label="Walk / handoff (min)" value={settings.walkMin} onChange={(v) => setSetting({ walkMin: v })} step={0.25} />
+          {(TUNING[policy.id] || []).map(([k, label, step]) => (
+            <Field key={k} label={label} value={settings[k]} onChange={(v) => setSetting({ [k]: v })} step={step} />
+          ))}
+        </div>
+        {policy.id === "schedule" && (
+          <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+            <div className="text-sm text-slate-200 font-medium">Scheduled moves</div>
+            <ScheduleEditor moves={settings.moves} keys={keys} onChange={(moves) => setSetting({ moves })} />
+          </div>
+        )}
+
+        <div className="space-y-2">
+          <div className="flex items-center justify-between text-sm text-slate-200">
+            <span className="font-medium">Reassignment timeline</span>
+            <span className="text-xs text-slate-400">{log.length} moves · {log.reduce((a, e) => a + (e.arriveAt - e.t), 0).toFixed(1)} staff-min walking</span>
+          </div>
+          <Timeline log={log} params={params} span={span} />
+          <div className="max-h-48 overflow-y-auto text-xs text-slate-300 space-y-1">
+            {log.slice(-30).reverse().map((e, i) => (
+              <div key={i} className="grid grid-cols-[3.5rem_6rem_1fr] gap-2 items-center">
+                <span className="text-slate-400">{formatClock(clockHour(params, e.t))}</span>
+                <span className="flex items-center gap-1">
+                  <span style={{ color: stageColor(e.from) }}>{stageLabel(e.from)}</span><ArrowRight className="h-3 w-3" /><span style={{ color: stageColor(e.to) }}>{stageLabel(e.to)}</span>
+                </span>
+                <span className="text-slate-500 truncate">{POLICIES[e.policy]?.label ?? e.policy} · {e.reason}</span>
+              </div>
+            ))}
+            {!log.length && <div className="text-slate-500">No reassignments yet.</div>}
+          </div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
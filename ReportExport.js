@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Badge } from "@/components/ui/badge";
+import { FileDown, FileText } from "lucide-react";
+import { buildReport, reportHtml, reportPdf } from "./report";
+
+/**
+ * Report export card
+ * - Multi-page PDF and a standalone HTML file from the current run
+ * - Both are built in the browser (jsPDF + inline SVG), no network needed
+ * - The site map is snapshotted from the live canvas when enabled
+ */
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// state: { now, params, site, seed, metrics, events } of the live engine
+export default function ReportExport({ state, advice, mapRef }) {
+  const [title, setTitle] = useState("Drive-thru simulation report");
+  const [withMap, setWithMap] = useState(true);
+  const [last, setLast] = useState(null);
+
+  function build() {
+    let mapImage = null;
+    if (withMap && mapRef?.current) {
+      try { mapImage = mapRef.current.toDataURL("image/png"); } catch { mapImage = null; }
+    }
+    return buildReport(state, { title, advice, mapImage });
+  }
+
+  const stamp = () => `drive-thru-report-seed${state.seed}-t${Math.round(state.now)}`;
+
+  function exportPdf() {
+    reportPdf(build()).save(`${stamp()}.pdf`);
+    setLast("PDF");
+  }
+
+  function exportHtml() {
+    download(new Blob([reportHtml(build())], { type: "text/html" }), `${stamp()}.html`);
+    setLast("HTML");
+  }
+
+  return (
+    <Card className="bg-slate-900/70 border-slate-700">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-amber-300"><FileText className="h-5 w-5" /> Simulation Report</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="space-y-1 text-xs text-slate-400 grow">
+            <span>Title</span>
+            <Input value={title} onChange={(e) => setTitle(e.target.value)} className="h-8" />
+          </label>
+          <label className="flex items-center gap-2 text-xs text-slate-300 h-8">
+            <Switch checked={withMap} onCheckedChange={setWithMap} /> Map snapshot
+          </label>
+          <Button onClick={exportPdf} disabled={!state.now} className="rounded-2xl bg-amber-400 text-black hover:bg-amber-300"><FileDown className="mr-2 h-4 w-4" />PDF</Button>
+          <Button variant="secondary" onClick={exportHtml} disabled={!state.now} className="rounded-2xl border border-slate-600"><FileDown className="mr-2 h-4 w-4" />HTML</Button>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+          <span>Parameters, KPIs, WIP/wait charts, utilization, staffing changes and recommendations as of t={state.now.toFixed(0)} min.</span>
+          {last && <Badge className="bg-emerald-500 text-black">{last} saved</Badge>}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
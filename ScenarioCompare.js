@@ -0,0 +1,203 @@
+import React, { useEffect, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Columns, Pause, Play, Plus, RefreshCw, Square, X } from "lucide-react";
+import { createSimulation } from "./engine";
+import { DEFAULT_BATCH, KPIS } from "./replications";
+import { makeScenario, runPaired, scenarioChanges, SCENARIO_KNOBS, summarizeComparison } from "./scenarios";
+
+/**
+ * Scenario comparison card
+ * - Named variants of the current params; the first is the baseline
+ * - Headless CRN replications -> KPI deltas with paired 95% CIs + a verdict
+ * - Synchronized maps: one engine per scenario, same seed, stepped together
+ * - The map itself is passed in (MapComponent) so this card stays UI-agnostic
+ */
+
+const num = (v, fallback) => { const n = parseFloat(v); return isFinite(n) ? n : fallback; };
+const signed = (v) => `${v >= 0 ? "+" : "−"}${Math.abs(v).toFixed(2)}`;
+
+function Field({ label, value, onChange, step = 1, min = 0 }) {
+  return (
+    <label className="space-y-1 text-xs text-slate-400">
+      <span>{label}</span>
+      <Input type="number" step={step} min={min} value={value} onChange={(e) => onChange(Math.max(min, num(e.target.value, value)))} className="h-8 text-right" />
+    </label>
+  );
+}
+
+function ScenarioEditor({ scenario, base, onChange, onRemove }) {
+  const set = (patch) => onChange({ ...scenario, params: { ...scenario.params, ...patch } });
+  const changes = base ? scenarioChanges(base, scenario) : [];
+  return (
+    <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+      <div className="flex items-center gap-2">
+        <Input value={scenario.name} onChange={(e) => onChange({ ...scenario, name: e.target.value })} className="h-8" />
+        {base ? <Button variant="ghost" size="icon" onClick={onRemove} className="h-8 w-8"><X className="h-4 w-4" /></Button> : <Badge className="bg-slate-700 text-slate-200">Baseline</Badge>}
+      </div>
+      <div className="grid grid-cols-2 gap-2">
+        {Object.entries(scenario.params.orderServers).map(([L, n]) => (
+          <Field key={L} label={`Order ${L} servers`} value={n} min={1} onChange={(v) => set({ orderServers: { ...scenario.params.orderServers, [L]: Math.round(v) } })} />
+        ))}
+        {SCENARIO_KNOBS.map((k) => (
+          <Field key={k.key} label={k.label} value={scenario.params[k.key]} step={k.step} min={k.min} onChange={(v) => set({ [k.key]: k.step === 1 ? Math.round(v) : v })} />
+        ))}
+      </div>
+      {base && <div className="text-xs text-slate-500">{changes.length ? changes.join(" · ") : "Same as baseline"}</div>}
+    </div>
+  );
+}
+
+// Engines for the synchronized maps, rebuilt whenever a scenario or the seed changes
+function useLockstep(scenarios, site, seed) {
+  const [running, setRunning] = useState(false);
+  const [, setFrame] = useState(0);
+  const engines = useRef([]);
+  const build = () => { engines.current = scenarios.map((sc) => createSimulation(sc.params, { seed, site })); setFrame((f) => f + 1); };
+
+  useEffect(build, [scenarios, site, seed]);
+  useEffect(() => {
+    if (!running) return;
+    const id = setInterval(() => { for (const e of engines.current) e.step(0.08); setFrame((f) => f + 1); }, 120);
+    return () => clearInterval(id);
+  }, [running]);
+
+  return { running, setRunning, reset: build, states: engines.current.map((e) => e.state) };
+}
+
+export default function ScenarioCompare({ params, site, seed, MapComponent }) {
+  const [scenarios, setScenarios] = useState(() => [makeScenario("Baseline", params)]);
+  const [opts, setOpts] = useState({ replications: DEFAULT_BATCH.replications, horizon: DEFAULT_BATCH.horizon, warmup: DEFAULT_BATCH.warmup });
+  const [progress, setProgress] = useState(null);
+  const [result, setResult] = useState(null);
+  const cancel = useRef(false);
+  const lockstep = useLockstep(scenarios, site, seed);
+  const setOpt = (patch) => setOpts((o) => ({ ...o, ...patch }));
+
+  const update = (i, sc) => { setScenarios((list) => list.map((s, j) => (j === i ? sc : s))); setResult(null); };
+  const add = () => { setScenarios((list) => [...list, makeScenario(`Scenario ${String.fromCharCode(64 + list.length)}`, list[list.length - 1].params)]); setResult(null); };
+  const remove = (i) => { setScenarios((list) => list.filter((_, j) => j !== i)); setResult(null); };
+  const rebase = () => { setScenarios((list) => [makeScenario(list[0].name, params), ...list.slice(1)]); setResult(null); };
+
+  function run() {
+    const { replications, horizon } = opts;
+    const warmup = Math.min(opts.warmup, horizon - 1);
+    const runs = [];
+    cancel.current = false;
+    setResult(null);
+    const next = () => {
+      if (cancel.current || runs.length >= replications) {
+        setProgress(null);
+        if (runs.length > 1) setResult(summarizeComparison(scenarios, runs));
+        return;
+      }
+      runs.push(runPaired(scenarios, site, { seed, rep: runs.length, horizon, warmup }));
+      setProgress(runs.length / replications);
+      setTimeout(next, 0);
+    };
+    setProgress(0);
+    setTimeout(next, 0);
+  }
+
+  const lineFor = (id) => result?.verdict.lines.find((l) => l.id === id);
+
+  return (
+    <Card className="bg-slate-900/70 border-slate-700">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-amber-300"><Columns className="h-5 w-5" /> Scenario Comparison</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          {scenarios.map((sc, i) => (
+            <ScenarioEditor key={sc.id} scenario={sc} base={i ? scenarios[0] : null} onChange={(next) => update(i, next)} onRemove={() => remove(i)} />
+          ))}
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end">
+          <Button variant="secondary" onClick={add} disabled={scenarios.length >= 4} className="rounded-2xl border border-slate-600"><Plus className="mr-2 h-4 w-4" />Scenario</Button>
+          <Button variant="secondary" onClick={rebase} className="rounded-2xl border border-slate-600"><RefreshCw className="mr-2 h-4 w-4" />Baseline ← sim</Button>
+          <Field label="Replications (paired)" value={opts.replications} onChange={(v) => setOpt({ replications: Math.max(2, Math.round(v)) })} min={2} />
+          <Field label="Horizon (min)" value={opts.horizon} onChange={(v) => setOpt({ horizon: v })} step={30} min={10} />
+          <Field label="Warm-up (min)" value={opts.warmup} onChange={(v) => setOpt({ warmup: v })} step={5} />
+          {progress === null
+            ? <Button onClick={run} disabled={scenarios.length < 2} className="rounded-2xl bg-amber-400 text-black hover:bg-amber-300"><Play className="mr-2 h-4 w-4" />Compare</Button>
+            : <Button variant="secondary" onClick={() => { cancel.current = true; }} className="rounded-2xl border border-slate-600"><Square className="mr-2 h-4 w-4" />Stop ({Math.round(progress * 100)}%)</Button>}
+        </div>
+
+        {progress !== null && (
+          <div className="h-2 rounded bg-slate-800 overflow-hidden"><div className="h-full bg-amber-400" style={{ width: `${progress * 100}%` }} /></div>
+        )}
+
+        {result && (
+          <div className="space-y-2">
+            <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-1">
+              <div className="text-sm text-amber-300 font-semibold">{result.verdict.headline}</div>
+              {result.verdict.lines.map((l) => (
+                <div key={l.id} className={`text-xs ${l.better > 0 ? "text-emerald-400" : l.better < 0 ? "text-rose-400" : "text-slate-400"}`}>{l.text}</div>
+              ))}
+            </div>
+            <table className="w-full text-sm text-slate-300">
+              <thead className="text-xs text-slate-400 uppercase tracking-wider">
+                <tr>
+                  <th className="text-left font-medium">KPI</th>
+                  {result.scenarios.map((sc) => <th key={sc.id} className="text-right font-medium">{sc.name}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {KPIS.map((k) => (
+                  <tr key={k.key} className="border-t border-slate-700/60">
+                    <td className="py-1">{k.label} <span className="text-xs text-slate-500">{k.unit}</span></td>
+                    {result.scenarios.map((sc) => {
+                      const d = sc.diffs?.[k.key];
+                      const significant = d && (d.lo > 0 || d.hi < 0);
+                      const good = d && (k.better === "lower" ? d.mean < 0 : d.mean > 0);
+                      return (
+                        <td key={sc.id} className="text-right align-top">
+                          <div className="text-amber-300 font-semibold">{sc.kpis[k.key].mean.toFixed(2)}</div>
+                          {d && (
+                            <div className={`text-xs ${!significant ? "text-slate-500" : good ? "text-emerald-400" : "text-rose-400"}`}>
+                              Δ {signed(d.mean)} [{signed(d.lo)}, {signed(d.hi)}]
+                            </div>
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="text-xs text-slate-400">
+              {result.replications} paired replications on common random numbers (seed {seed}) · Δ vs {result.scenarios[0].name} with 95% CI; grey = CI spans zero
+            </div>
+          </div>
+        )}
+
+        {MapComponent && scenarios.length > 1 && (
+          <div className="space-y-2">
+            <div className="flex items-center gap-2">
+              <Button onClick={() => lockstep.setRunning((r) => !r)} className="rounded-2xl bg-emerald-500 text-black hover:bg-emerald-400">
+                {lockstep.running ? <Pause className="mr-2 h-4 w-4" /> : <Play className="mr-2 h-4 w-4" />} {lockstep.running ? "Pause maps" : "Animate side by side"}
+              </Button>
+              <Button variant="secondary" onClick={lockstep.reset} className="rounded-2xl border border-slate-600"><RefreshCw className="mr-2 h-4 w-4" />Restart</Button>
+              <span className="text-xs text-slate-400">Same seed for every map: identical arrivals, only the scenario differs</span>
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              {lockstep.states.map((st, i) => (
+                <div key={scenarios[i]?.id ?? i} className="space-y-1">
+                  <div className="flex items-center gap-2 text-sm text-slate-200">
+                    {scenarios[i]?.name}
+                    {lineFor(scenarios[i]?.id)?.better > 0 && <Badge className="bg-emerald-500 text-black">better</Badge>}
+                    <span className="ml-auto text-xs text-slate-400">t={st.now.toFixed(1)}m · served {st.metrics.served} · avg wait {st.metrics.avgWait.toFixed(2)}m</span>
+                  </div>
+                  <MapComponent site={st.site} queues={st.queues} spots={st.spots} now={st.now} params={st.params} />
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Download, FolderOpen, Save, Share2, Trash2 } from "lucide-react";
+import { captureScenario, deleteSaved, listSaved, loadScenario, parseScenario, saveScenario, scenarioFromHash, scenarioToHash, serializeScenario } from "./scenarioStore";
+
+/**
+ * Saved scenarios card
+ * - Save the whole setup (params, site layout, profile, policy, seed) by name
+ * - Load, export or delete saved scenarios; import a scenario JSON file
+ * - Share link: the scenario compressed into the URL hash; opening such a
+ *   link loads it on start
+ */
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const fileName = (name) => `${name.trim().replace(/[^\w-]+/g, "-") || "scenario"}.scenario.json`;
+
+export default function ScenarioLibrary({ params, site, seed, onLoad }) {
+  const [name, setName] = useState("My scenario");
+  const [saved, setSaved] = useState(listSaved);
+  const [errors, setErrors] = useState([]);
+  const [status, setStatus] = useState(null);
+
+  const current = () => captureScenario({ name: name.trim() || "Untitled", params, site, seed });
+
+  function load(scenario, how) {
+    onLoad(scenario);
+    setName(scenario.name);
+    setErrors([]);
+    setStatus(`${how} "${scenario.name}"`);
+  }
+
+  // A shared link wins over the remembered setup
+  useEffect(() => {
+    scenarioFromHash(window.location.hash).then((result) => {
+      if (!result) return;
+      if (result.scenario) load(result.scenario, "Opened shared");
+      else setErrors(result.errors);
+    });
+  }, []);
+
+  function save() {
+    const ok = saveScenario(current());
+    setSaved(listSaved());
+    setStatus(ok ? `Saved "${name}"` : "Browser storage is unavailable or full");
+  }
+
+  function remove(n) {
+    deleteSaved(n);
+    setSaved(listSaved());
+  }
+
+  function open(raw) {
+    // Stored entries are re-validated: they may predate a schema change
+    const { scenario, errors: problems } = loadScenario(raw);
+    if (scenario) load(scenario, "Loaded");
+    else setErrors(problems);
+  }
+
+  function onFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const { scenario, errors: problems } = parseScenario(String(reader.result));
+        if (!scenario) { setErrors(problems); return; }
+        saveScenario(scenario);
+        setSaved(listSaved());
+        load(scenario, "Imported");
+      } catch (err) {
+        setErrors([{ field: file.name, message: err.message }]);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  }
+
+  async function share() {
+    const hash = await scenarioToHash(current());
+    window.history.replaceState(null, "", hash);
+    const url = window.location.href;
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus(`Link copied (${url.length} characters)`);
+    } catch {
+      setStatus("Link is in the address bar");
+    }
+  }
+
+  return (
+    <Card className="bg-slate-900/70 border-slate-700">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-amber-300"><FolderOpen className="h-5 w-5" /> Saved Scenarios</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <div className="flex flex-wrap items-end gap-3">
+          <label className="space-y-1 text-xs text-slate-400 grow">
+            <span>Name</span>
+            <Input value={name} onChange={(e) => setName(e.target.value)} className="h-8" />
+          </label>
+          <Button onClick={save} className="rounded-2xl bg-amber-400 text-black hover:bg-amber-300"><Save className="mr-2 h-4 w-4" />Save</Button>
+          <Button variant="secondary" onClick={() => download(new Blob([serializeScenario(current())], { type: "application/json" }), fileName(name))} className="rounded-2xl border border-slate-600"><Download className="mr-2 h-4 w-4" />Export</Button>
+          <Button variant="secondary" onClick={share} className="rounded-2xl border border-slate-600"><Share2 className="mr-2 h-4 w-4" />Copy share link</Button>
+          <label className="flex items-center gap-1 text-xs text-slate-400">Import
+            <input type="file" accept=".json" onChange={onFile} className="text-xs text-slate-300" />
+          </label>
+        </div>
+
+        {status && <div className="text-xs text-emerald-400">{status}</div>}
+        {errors.map((e, i) => <div key={i} className="text-xs text-rose-400">{e.field}: {e.message}</div>)}
+
+        {saved.length ? (
+          <table className="w-full text-sm text-slate-300">
+            <thead className="text-xs text-slate-400 uppercase tracking-wider">
+              <tr>
+                <th className="text-left font-medium">Scenario</th><th className="text-left font-medium">Site</th>
+                <th className="text-left font-medium">Seed</th><th className="text-left font-medium">Saved</th><th />
+              </tr>
+            </thead>
+            <tbody>
+              {saved.map((s) => (
+                <tr key={s.name} className="border-t border-slate-700/60">
+                  <td className="py-1">{s.name} <Badge className="bg-slate-700 text-slate-200">v{s.version}</Badge></td>
+                  <td>{s.site?.name ?? "–"}</td>
+                  <td className="font-mono">{String(s.seed)}</td>
+                  <td className="text-xs text-slate-400">{s.savedAt ? new Date(s.savedAt).toLocaleString() : "–"}</td>
+                  <td className="text-right space-x-1">
+                    <Button variant="secondary" size="sm" onClick={() => open(s)} className="rounded-xl border border-slate-600">Load</Button>
+                    <Button variant="ghost" size="icon" onClick={() => download(new Blob([serializeScenario(s)], { type: "application/json" }), fileName(s.name))} className="h-8 w-8"><Download className="h-4 w-4" /></Button>
+                    <Button variant="ghost" size="icon" onClick={() => remove(s.name)} className="h-8 w-8"><Trash2 className="h-4 w-4" /></Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="text-xs text-slate-400">No saved scenarios yet. The current setup is remembered across reloads either way.</div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
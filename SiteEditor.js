@@ -0,0 +1,340 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Switch } from "@/components/ui/switch";
+import { Badge } from "@/components/ui/badge";
+import { BoxSelect, Check, Download, MousePointer2, ParkingSquare, Trash2, X } from "lucide-react";
+import { applyStackZones, parseSite, serializeSite, siteMeters, validateSite, withSpotGeometry, zoneCapacity } from "./site";
+import { DEFAULT_IMPORT, importSitePlan } from "./siteImport";
+import { project, SPOT_SIZE_PX } from "./mapMotion";
+
+/**
+ * Site layout editor (edit mode of the site map)
+ * - Drag lane vertices, order posts, the merge, pay/pickup window bays and the store
+ * - Double-click a lane to add a vertex, right-click a vertex to remove it
+ * - Add, move, rotate and delete parking spots (reserved, back-in, EV)
+ * - Draw stack zones; a zone sets its stage's stack from its length
+ * - Save / load the versioned site JSON, or import a GeoJSON / SVG site plan (./siteImport)
+ * - Spot distance and exit friction are derived from the layout, not edited
+ * - Apply restarts the sim on the new layout
+ */
+
+const num = (v, fallback) => { const n = parseFloat(v); return isFinite(n) ? n : fallback; };
+const selectCls = "h-8 rounded-md bg-slate-950 border border-slate-600 text-sm px-2";
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+const MIN_ZONE = 0.01; // smaller drags are treated as clicks
+
+const TOOLS = [
+  { id: "select", label: "Move", icon: MousePointer2 },
+  { id: "spot", label: "Add spot", icon: ParkingSquare },
+  { id: "zone", label: "Stack zone", icon: BoxSelect },
+];
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function Field({ label, value, onChange, step = 1, min = 0 }) {
+  return (
+    <label className="space-y-1 text-xs text-slate-400">
+      <span>{label}</span>
+      <Input type="number" step={step} min={min} value={value} onChange={(e) => onChange(Math.max(min, num(e.target.value, value)))} className="h-8 text-right" />
+    </label>
+  );
+}
+
+// Canvas-sized box, tracked so handles stay in pixels while the site stays normalized
+function useBox(ref) {
+  const [box, setBox] = useState({ width: 0, height: 0 });
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return;
+    const measure = () => { const r = el.getBoundingClientRect(); setBox({ width: r.width, height: r.height }); };
+    measure();
+    const ro = new ResizeObserver(measure); ro.observe(el);
+    return () => ro.disconnect();
+  }, []);
+  return box;
+}
+
+const nextId = (prefix, items) => `${prefix}${items.reduce((n, it) => Math.max(n, parseInt(String(it.id).slice(prefix.length), 10) || 0), 0) + 1}`;
+
+// Apply one drag step to a (cloned) draft; p is the pointer in normalized space
+function moveHandle(site, drag, p) {
+  const [x, y] = p;
+  switch (drag.kind) {
+    case "vertex": site.lanes.find((l) => l.id === drag.lane).path[drag.i] = p; break;
+    case "post": {
+      const lane = site.lanes.find((l) => l.id === drag.lane);
+      lane.orderPost = project(lane.path, p).point; // posts stay on their lane
+      break;
+    }
+    case "merge": site.merge = p; break;
+    case "bay": site[drag.bay][drag.i] = p; break;
+    case "store": site.store = { ...site.store, x: clamp01(x - drag.dx), y: clamp01(y - drag.dy) }; break;
+    case "storeSize": site.store = { ...site.store, w: Math.max(0.04, x - site.store.x), h: Math.max(0.04, y - site.store.y) }; break;
+    case "spot": Object.assign(site.parking.find((s) => s.id === drag.id), { x: clamp01(x - drag.dx), y: clamp01(y - drag.dy) }); break;
+    case "zone": Object.assign(site.stackZones.find((z) => z.id === drag.id), { x: clamp01(x - drag.dx), y: clamp01(y - drag.dy) }); break;
+    case "zoneSize": {
+      const [ox, oy] = drag.origin;
+      Object.assign(site.stackZones.find((z) => z.id === drag.id), { x: Math.min(ox, x), y: Math.min(oy, y), w: Math.abs(x - ox), h: Math.abs(y - oy) });
+      break;
+    }
+    default:
+  }
+}
+
+function SpotProps({ spot, onChange, onRemove }) {
+  return (
+    <div className="grid grid-cols-2 md:grid-cols-6 gap-3 items-end">
+      <div className="text-sm text-slate-200 font-medium">Spot {spot.id}</div>
+      <label className="flex items-center gap-2 text-xs text-slate-400"><Switch checked={!!spot.reserved} onCheckedChange={(reserved) => onChange({ reserved })} /> Reserved</label>
+      <label className="flex items-center gap-2 text-xs text-slate-400"><Switch checked={!!spot.backIn} onCheckedChange={(backIn) => onChange({ backIn })} /> Back-in</label>
+      <label className="flex items-center gap-2 text-xs text-slate-400"><Switch checked={!!spot.ev} onCheckedChange={(ev) => onChange({ ev })} /> EV charger</label>
+      <Field label="Angle (°)" value={spot.angle ?? 0} step={15} min={-360} onChange={(angle) => onChange({ angle: ((angle % 360) + 360) % 360 })} />
+      <div className="text-xs text-slate-400">{spot.distance?.toFixed(0) ?? "–"} m from entrance · exit friction {spot.exitFriction?.toFixed(2) ?? "–"}</div>
+      <Button variant="secondary" onClick={onRemove} className="rounded-2xl border border-slate-600"><Trash2 className="mr-2 h-4 w-4" />Remove spot</Button>
+    </div>
+  );
+}
+
+function ZoneProps({ zone, site, onChange, onRemove }) {
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <div className="text-sm text-slate-200 font-medium">Stack zone</div>
+      <label className="flex items-center gap-1 text-xs text-slate-400">Queue for
+        <select value={zone.stage} onChange={(e) => onChange({ stage: e.target.value })} className={selectCls}>
+          {site.lanes.map((l) => <option key={l.id} value={l.id}>{l.label}</option>)}
+          <option value="pay">Pay window</option>
+          <option value="pickup">Pickup window</option>
+        </select>
+      </label>
+      <Badge className="bg-slate-700 text-slate-200">{zoneCapacity(zone, siteMeters(site))} car lengths</Badge>
+      <Button variant="secondary" onClick={onRemove} className="rounded-2xl border border-slate-600"><Trash2 className="mr-2 h-4 w-4" />Remove zone</Button>
+    </div>
+  );
+}
+
+export default function SiteEditor({ site, onApply, onCancel }) {
+  const [draft, setDraft] = useState(() => structuredClone({ ...site, parking: site.parking ?? [], stackZones: site.stackZones ?? [] }));
+  const [tool, setTool] = useState("select");
+  const [selected, setSelected] = useState(null); // { kind: "spot" | "zone", id }
+  const [loadErrors, setLoadErrors] = useState([]);
+  const [warnings, setWarnings] = useState([]);
+  const [svgScale, setSvgScale] = useState(DEFAULT_IMPORT.scale);
+  const boxRef = useRef(null);
+  const dragRef = useRef(null);
+  const { width: W, height: H } = useBox(boxRef);
+
+  const update = (fn) => setDraft((d) => { const next = structuredClone(d); fn(next); return next; });
+  const errors = useMemo(() => validateSite(draft), [draft]);
+  const applied = useMemo(() => (errors.length ? draft : withSpotGeometry(applyStackZones(draft))), [draft, errors]);
+
+  const toNorm = (e) => {
+    const r = boxRef.current.getBoundingClientRect();
+    return [clamp01((e.clientX - r.left) / r.width), clamp01((e.clientY - r.top) / r.height)];
+  };
+
+  // Handles start a drag; the svg owns the pointer until release
+  const grab = (drag) => (e) => {
+    if (e.button !== 0 || tool !== "select") return;
+    e.stopPropagation();
+    e.currentTarget.ownerSVGElement?.setPointerCapture(e.pointerId);
+    const [x, y] = toNorm(e);
+    const at = drag.kind === "spot" ? draft.parking.find((s) => s.id === drag.id)
+      : drag.kind === "zone" ? draft.stackZones.find((z) => z.id === drag.id)
+      : drag.kind === "store" ? draft.store : null;
+    dragRef.current = at ? { ...drag, dx: x - at.x, dy: y - at.y } : drag;
+    if (drag.kind === "spot" || drag.kind === "zone") setSelected({ kind: drag.kind, id: drag.id });
+  };
+
+  function onBackgroundDown(e) {
+    if (e.button !== 0) return;
+    const p = toNorm(e);
+    if (tool === "spot") {
+      const id = nextId("S", draft.parking);
+      // Centered on the click
+      const x = clamp01(p[0] - SPOT_SIZE_PX[0] / 2 / W), y = clamp01(p[1] - SPOT_SIZE_PX[1] / 2 / H);
+      update((d) => { d.parking.push({ id, x, y, angle: 0, reserved: false, backIn: false, ev: false }); });
+      setSelected({ kind: "spot", id });
+    } else if (tool === "zone") {
+      const id = nextId("Z", draft.stackZones);
+      e.currentTarget.setPointerCapture(e.pointerId);
+      update((d) => { d.stackZones.push({ id, stage: d.lanes[0].id, x: p[0], y: p[1], w: 0, h: 0 }); });
+      dragRef.current = { kind: "zoneSize", id, origin: p };
+      setSelected({ kind: "zone", id });
+    } else {
+      setSelected(null);
+    }
+  }
+
+  function onMove(e) {
+    if (!dragRef.current) return;
+    const p = toNorm(e);
+    update((d) => moveHandle(d, dragRef.current, p));
+  }
+
+  function onUp() {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag?.kind !== "zoneSize") return;
+    const zone = draft.stackZones.find((z) => z.id === drag.id);
+    if (zone && Math.max(zone.w, zone.h) < MIN_ZONE) {
+      update((d) => { d.stackZones = d.stackZones.filter((z) => z.id !== drag.id); });
+      setSelected(null);
+    }
+  }
+
+  function insertVertex(lane, e) {
+    const p = toNorm(e);
+    update((d) => {
+      const l = d.lanes.find((x) => x.id === lane.id);
+      l.path.splice(project(l.path, p).i + 1, 0, p);
+    });
+  }
+
+  function removeVertex(lane, i, e) {
+    e.preventDefault();
+    if (lane.path.length <= 2) return;
+    update((d) => { d.lanes.find((x) => x.id === lane.id).path.splice(i, 1); });
+  }
+
+  const setSpot = (id, patch) => update((d) => { Object.assign(d.parking.find((s) => s.id === id), patch); });
+  const setZone = (id, patch) => update((d) => { Object.assign(d.stackZones.find((z) => z.id === id), patch); });
+  const removeSelected = () => {
+    const key = selected.kind === "spot" ? "parking" : "stackZones";
+    update((d) => { d[key] = d[key].filter((it) => it.id !== selected.id); });
+    setSelected(null);
+  };
+
+  function save() {
+    download(new Blob([serializeSite(applied)], { type: "application/json" }), `${draft.name || "site"}.site.json`);
+  }
+
+  function onFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const text = String(reader.result);
+      try {
+        // Site JSON, or a site plan to import
+        const plan = /^\s*</.test(text) || /"FeatureCollection"|"Feature"/.test(text.slice(0, 2000));
+        const result = plan ? importSitePlan(text, { scale: svgScale, name: file.name.replace(/\.\w+$/, "") }) : parseSite(text);
+        setLoadErrors(result.errors);
+        setWarnings(result.warnings ?? []);
+        if (result.site) { setDraft(result.site); setSelected(null); }
+      } catch (err) {
+        setLoadErrors([{ field: file.name, message: err.message }]);
+        setWarnings([]);
+      }
+    };
+    reader.readAsText(file);
+    e.target.value = "";
+  }
+
+  const px = ([x, y]) => [x * W, y * H];
+  const pts = (poly) => poly.map((p) => px(p).join(",")).join(" ");
+  const spot = selected?.kind === "spot" && applied.parking.find((s) => s.id === selected.id);
+  const zone = selected?.kind === "zone" && draft.stackZones.find((z) => z.id === selected.id);
+  const stageLabel = (stage) => draft.lanes.find((l) => l.id === stage)?.label ?? (stage === "pay" ? "Pay" : "Pickup");
+  const handle = { stroke: "#0f172a", strokeWidth: 2, style: { cursor: tool === "select" ? "grab" : "default" } };
+  const problems = [...loadErrors, ...errors];
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        {TOOLS.map(({ id, label, icon: Icon }) => (
+          <Button key={id} variant="secondary" onClick={() => setTool(id)} className={`rounded-2xl border ${tool === id ? "border-amber-400 text-amber-300" : "border-slate-600"}`}>
+            <Icon className="mr-2 h-4 w-4" />{label}
+          </Button>
+        ))}
+        <Input value={draft.name} onChange={(e) => update((d) => { d.name = e.target.value; })} className="w-40 h-8" />
+        <Button variant="secondary" onClick={save} className="rounded-2xl border border-slate-600"><Download className="mr-2 h-4 w-4" />Save JSON</Button>
+        <label className="flex items-center gap-1 text-xs text-slate-400" title="Site JSON, GeoJSON or SVG site plan">Load
+          <input type="file" accept=".json,.geojson,.svg" onChange={onFile} className="text-xs text-slate-300" />
+        </label>
+        <label className="flex items-center gap-1 text-xs text-slate-400">SVG m/unit
+          <Input type="number" step={0.01} min={0.001} value={svgScale} onChange={(e) => setSvgScale(Math.max(0.001, num(e.target.value, svgScale)))} className="w-20 h-8 text-right" />
+        </label>
+        <div className="ml-auto flex items-center gap-2">
+          <Button variant="secondary" onClick={onCancel} className="rounded-2xl border border-slate-600"><X className="mr-2 h-4 w-4" />Cancel</Button>
+          <Button onClick={() => onApply(applied)} disabled={errors.length > 0} className="rounded-2xl bg-amber-400 text-black hover:bg-amber-300"><Check className="mr-2 h-4 w-4" />Apply layout</Button>
+        </div>
+      </div>
+
+      <div ref={boxRef} className="relative w-full h-[560px] rounded-3xl overflow-hidden border-2 border-amber-400/60 shadow-2xl">
+        {W > 0 && (
+          <svg width={W} height={H} className="absolute inset-0 select-none" onPointerDown={onBackgroundDown} onPointerMove={onMove} onPointerUp={onUp}>
+            <rect width={W} height={H} fill="#0b1220" />
+
+            <rect x={draft.store.x * W} y={draft.store.y * H} width={draft.store.w * W} height={draft.store.h * H} rx={14} fill="#e11d48" fillOpacity={0.8} {...handle} onPointerDown={grab({ kind: "store" })} />
+            <rect x={(draft.store.x + draft.store.w) * W - 6} y={(draft.store.y + draft.store.h) * H - 6} width={12} height={12} fill="#fda4af" {...handle} style={{ cursor: "nwse-resize" }} onPointerDown={grab({ kind: "storeSize" })} />
+
+            {draft.stackZones.map((z) => (
+              <g key={z.id} onPointerDown={grab({ kind: "zone", id: z.id })} style={handle.style}>
+                <rect x={z.x * W} y={z.y * H} width={z.w * W} height={z.h * H} fill="rgba(251,191,36,0.08)" stroke={zone?.id === z.id ? "#fbbf24" : "#94a3b8"} strokeDasharray="6 4" strokeWidth={2} />
+                <text x={z.x * W + 4} y={z.y * H + 14} fill="#e2e8f0" fontSize={11}>{stageLabel(z.stage)} · {zoneCapacity(z, siteMeters(draft))}</text>
+              </g>
+            ))}
+
+            {draft.lanes.map((lane) => (
+              <g key={lane.id}>
+                <polyline points={pts(lane.path)} fill="none" stroke={lane.color} strokeOpacity={0.35} strokeWidth={16} strokeLinecap="round" strokeLinejoin="round" onDoubleClick={(e) => insertVertex(lane, e)} />
+                {lane.path.map((p, i) => (
+                  <circle key={i} cx={px(p)[0]} cy={px(p)[1]} r={6} fill={lane.color} {...handle}
+                    onPointerDown={grab({ kind: "vertex", lane: lane.id, i })} onContextMenu={(e) => removeVertex(lane, i, e)} />
+                ))}
+                <rect x={px(lane.orderPost)[0] - 7} y={px(lane.orderPost)[1] - 7} width={14} height={14} fill="#fff" stroke={lane.color} strokeWidth={3}
+                  transform={`rotate(45 ${px(lane.orderPost).join(" ")})`} style={handle.style} onPointerDown={grab({ kind: "post", lane: lane.id })} />
+              </g>
+            ))}
+
+            {[["payBay", "#fbbf24", "Pay"], ["pickupBay", "#a78bfa", "Pickup"]].map(([bay, color, label]) => (
+              <g key={bay}>
+                <polyline points={pts(draft[bay])} fill="none" stroke={color} strokeOpacity={0.6} strokeWidth={10} />
+                {draft[bay].map((p, i) => <circle key={i} cx={px(p)[0]} cy={px(p)[1]} r={6} fill={color} {...handle} onPointerDown={grab({ kind: "bay", bay, i })} />)}
+                <text x={px(draft[bay][draft[bay].length - 1])[0] + 8} y={px(draft[bay][draft[bay].length - 1])[1] + 4} fill={color} fontSize={11}>{label} window</text>
+              </g>
+            ))}
+            <circle cx={px(draft.merge)[0]} cy={px(draft.merge)[1]} r={7} fill="#f59e0b" {...handle} onPointerDown={grab({ kind: "merge" })} />
+
+            {draft.parking.map((s) => {
+              const [w, h] = SPOT_SIZE_PX;
+              const cx = s.x * W + w / 2, cy = s.y * H + h / 2;
+              const stroke = spot?.id === s.id ? "#fbbf24" : s.reserved ? "#38bdf8" : s.ev ? "#4ade80" : "rgba(148,163,184,0.6)";
+              return (
+                <g key={s.id} transform={`translate(${cx} ${cy}) rotate(${s.angle ?? 0})`} onPointerDown={grab({ kind: "spot", id: s.id })} style={handle.style}>
+                  <rect x={-w / 2} y={-h / 2} width={w} height={h} rx={6} fill="rgba(2,6,23,0.5)" stroke={stroke} strokeWidth={2} />
+                  {s.ev && <text x={-5} y={h / 2 - 4} fill="#4ade80" fontSize={11}>⚡</text>}
+                  {s.backIn && <polyline points={`-5,${-h / 2 + 8} 0,${-h / 2 + 4} 5,${-h / 2 + 8}`} fill="none" stroke="#94a3b8" strokeWidth={1.5} />}
+                </g>
+              );
+            })}
+          </svg>
+        )}
+        <div className="absolute left-4 top-4 px-2 py-1 rounded-md bg-black/40 backdrop-blur text-xs text-slate-200 pointer-events-none">
+          Drag handles to move · double-click a lane to add a vertex · right-click a vertex to remove it
+        </div>
+      </div>
+
+      <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+        {spot && <SpotProps spot={spot} onChange={(patch) => setSpot(spot.id, patch)} onRemove={removeSelected} />}
+        {zone && <ZoneProps zone={zone} site={draft} onChange={(patch) => setZone(zone.id, patch)} onRemove={removeSelected} />}
+        {!spot && !zone && <div className="text-xs text-slate-400">Select a spot or stack zone to edit it.</div>}
+        <div className="flex flex-wrap gap-2 text-xs">
+          {applied.lanes.map((l) => <Badge key={l.id} className="bg-slate-700 text-slate-200">{l.label} stack {l.stack}</Badge>)}
+          <Badge className="bg-slate-700 text-slate-200">Pay stack {applied.stacks.pay}</Badge>
+          <Badge className="bg-slate-700 text-slate-200">Pickup stack {applied.stacks.pickup}</Badge>
+          <Badge className="bg-slate-700 text-slate-200">{draft.parking.length} spots · {draft.parking.filter((s) => s.reserved).length} reserved · {draft.parking.filter((s) => s.ev).length} EV</Badge>
+        </div>
+        {warnings.map((w, i) => <div key={`w${i}`} className="text-xs text-amber-300">{w}</div>)}
+        {problems.map((p, i) => <div key={i} className="text-xs text-rose-400">{p.field}: {p.message}</div>)}
+      </div>
+    </div>
+  );
+}
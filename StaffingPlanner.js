@@ -0,0 +1,117 @@
+import React, { useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { CalendarClock, Check, Wand2, X } from "lucide-react";
+import { DEFAULT_STAFFING_INPUTS, optimizeStaffing, positionsFor, repairPlan } from "./staffing";
+
+/**
+ * Staffing planner card
+ * - SLA + labor-cost inputs -> minimum-cost 15-minute staffing plan
+ * - Gantt-style grid (positions x intervals) with simulated SLA compliance;
+ *   intervals that miss in simulation are topped up until the plan passes
+ * - "Apply to sim" drives the engine's server counts from the plan
+ */
+
+const num = (v, fallback) => { const n = parseFloat(v); return isFinite(n) ? n : fallback; };
+
+function Field({ label, value, onChange, step = 1, min = 0, max }) {
+  return (
+    <label className="space-y-1 text-xs text-slate-400">
+      <span>{label}</span>
+      <Input type="number" step={step} min={min} max={max} value={value} onChange={(e) => onChange(num(e.target.value, value))} className="h-8 text-right" />
+    </label>
+  );
+}
+
+const cellColor = (n) => `rgba(251,191,36,${Math.min(0.9, 0.15 + n * 0.15)})`;
+
+export default function StaffingPlanner({ params, site, setParams, seed }) {
+  const [inputs, setInputs] = useState(DEFAULT_STAFFING_INPUTS);
+  const [plan, setPlan] = useState(null);
+  const [check, setCheck] = useState(null);
+  const set = (patch) => setInputs((s) => ({ ...s, ...patch }));
+  const setCost = (k, v) => set({ laborCost: { ...inputs.laborCost, [k]: v } });
+  const applied = params.staffingPlan;
+
+  function optimize() {
+    const { plan: next, check: verified } = repairPlan(optimizeStaffing(params, site, inputs), params, site, inputs, { seed });
+    setPlan(next);
+    setCheck(verified);
+  }
+
+  const positions = positionsFor(site);
+  const staffAt = (slot, pos) => (pos.lane ? slot.staff.order[pos.lane] : slot.staff[pos.stage]);
+
+  return (
+    <Card className="bg-slate-900/70 border-slate-700">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-amber-300"><CalendarClock className="h-5 w-5" /> Staffing Plan</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-2 md:grid-cols-5 lg:grid-cols-11 gap-3">
+          <Field label="SLA % of cars" value={Math.round(inputs.sla.pct * 100)} onChange={(v) => set({ sla: { ...inputs.sla, pct: Math.min(0.99, Math.max(0.5, v / 100)) } })} min={50} max={99} />
+          <Field label="SLA minutes" value={inputs.sla.minutes} onChange={(v) => set({ sla: { ...inputs.sla, minutes: Math.max(1, v) } })} step={0.5} min={1} />
+          <Field label="Open (hour)" value={inputs.openHour} onChange={(v) => set({ openHour: v })} step={0.25} max={23.75} />
+          <Field label="Close (hour)" value={inputs.closeHour} onChange={(v) => set({ closeHour: v })} step={0.25} max={24} />
+          <Field label="Order $/hr" value={inputs.laborCost.order} onChange={(v) => setCost("order", v)} step={0.5} />
+          <Field label="Pay $/hr" value={inputs.laborCost.pay} onChange={(v) => setCost("pay", v)} step={0.5} />
+          <Field label="Pickup $/hr" value={inputs.laborCost.pickup} onChange={(v) => setCost("pickup", v)} step={0.5} />
+          <Field label="Make line $/hr" value={inputs.laborCost.kitchen} onChange={(v) => setCost("kitchen", v)} step={0.5} />
+          <Field label="Runner $/hr" value={inputs.laborCost.curbside} onChange={(v) => setCost("curbside", v)} step={0.5} />
+          <Field label="Curbside share" value={inputs.curbsideShare} onChange={(v) => set({ curbsideShare: Math.min(0.9, Math.max(0, v)) })} step={0.05} max={0.9} />
+          <Field label="Verify runs" value={inputs.replications} onChange={(v) => set({ replications: Math.max(1, Math.round(v)) })} min={1} max={50} />
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <Button onClick={optimize} className="rounded-2xl bg-amber-400 text-black hover:bg-amber-300"><Wand2 className="mr-2 h-4 w-4" />Optimize</Button>
+          {plan && <Button variant="secondary" onClick={() => setParams((p) => ({ ...p, staffingPlan: plan, autoRebalance: false }))} className="rounded-2xl border border-slate-600"><Check className="mr-2 h-4 w-4" />Apply to sim</Button>}
+          {applied && <Button variant="secondary" onClick={() => setParams((p) => ({ ...p, staffingPlan: null }))} className="rounded-2xl border border-slate-600"><X className="mr-2 h-4 w-4" />Clear applied plan</Button>}
+          {applied && <Badge className="bg-emerald-500 text-black">Plan active {applied.slots[0]?.label}–{applied.slots[applied.slots.length - 1]?.label}</Badge>}
+          {plan && (
+            <div className="ml-auto text-sm text-slate-300">
+              Labor ${plan.cost.toFixed(0)} · {plan.slots.filter((s) => !s.meets).length} intervals unreachable
+              {check && <> · simulated {(check.compliance * 100).toFixed(1)}% under {plan.sla.minutes} min <Badge className={check.passes ? "bg-emerald-500 text-black" : "bg-rose-500 text-black"}>{check.passes ? "SLA met" : "SLA missed"}</Badge></>}
+            </div>
+          )}
+        </div>
+
+        {plan && (
+          <div className="overflow-x-auto">
+            <table className="text-xs text-slate-300 border-separate border-spacing-0.5">
+              <thead>
+                <tr>
+                  <th className="sticky left-0 bg-slate-900 text-left pr-2 font-medium">Position</th>
+                  {plan.slots.map((s, i) => <th key={i} className="w-6 font-normal text-slate-500">{i % 4 === 0 ? s.label : ""}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {positions.map((pos) => (
+                  <tr key={pos.key}>
+                    <td className="sticky left-0 bg-slate-900 pr-2 whitespace-nowrap">{pos.label}</td>
+                    {plan.slots.map((s, i) => (
+                      <td key={i} title={`${s.label} · ${staffAt(s, pos)} staff`} className="h-6 w-6 text-center rounded text-black font-semibold" style={{ background: cellColor(staffAt(s, pos)) }}>{staffAt(s, pos)}</td>
+                    ))}
+                  </tr>
+                ))}
+                <tr>
+                  <td className="sticky left-0 bg-slate-900 pr-2 whitespace-nowrap text-slate-400">Predicted p{Math.round(plan.sla.pct * 100)}</td>
+                  {plan.slots.map((s, i) => <td key={i} title={`${s.lam.toFixed(0)} cars/hr`} className={`text-center ${s.meets ? "text-slate-400" : "text-rose-400"}`}>{isFinite(s.predicted) ? s.predicted.toFixed(0) : "∞"}</td>)}
+                </tr>
+                {check && (
+                  <tr>
+                    <td className="sticky left-0 bg-slate-900 pr-2 whitespace-nowrap text-slate-400">Simulated SLA</td>
+                    {check.bySlot.map((c, i) => (
+                      <td key={i} title={c == null ? "no cars" : `${(c * 100).toFixed(0)}%`} className="h-3 rounded" style={{ background: c == null ? "transparent" : c >= plan.sla.pct ? "#10b981" : "#f43f5e" }} />
+                    ))}
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
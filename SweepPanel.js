@@ -0,0 +1,219 @@
+import React, { useMemo, useRef, useState } from "react";
+import { CartesianGrid, ResponsiveContainer, Scatter, ScatterChart, Tooltip, XAxis, YAxis, ZAxis } from "recharts";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Switch } from "@/components/ui/switch";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Grid3x3, Play, Square, Upload } from "lucide-react";
+import { DEFAULT_SWEEP, evaluatePoint, getField, heatmap, MAX_POINTS, paretoFront, SAMPLERS, samplePoints, sweepFields, SWEEP_METRICS } from "./sweep";
+
+/**
+ * Parameter sweep card
+ * - Pick fields + ranges, a sampler and the replications per point
+ * - Heatmap of any KPI over two swept fields (other fields averaged out)
+ * - Labor vs p90 scatter with the Pareto front (diverts as bubble size)
+ * - Clicking a point, or "Load", writes its config into the live sim
+ */
+
+const num = (v, fallback) => { const n = parseFloat(v); return isFinite(n) ? n : fallback; };
+const selectCls = "h-8 rounded-md bg-slate-950 border border-slate-600 text-sm px-2";
+const tooltipStyle = { background: "#0f172a", border: "1px solid #334155" };
+
+function Field({ label, value, onChange, step = 1, min = 0 }) {
+  return (
+    <label className="space-y-1 text-xs text-slate-400">
+      <span>{label}</span>
+      <Input type="number" step={step} min={min} value={value} onChange={(e) => onChange(Math.max(min, num(e.target.value, value)))} className="h-8 text-right" />
+    </label>
+  );
+}
+
+// Green = good end of the metric, red = bad end
+function cellColor(v, min, max, higherIsBetter) {
+  if (v == null) return "transparent";
+  let t = max > min ? (v - min) / (max - min) : 0.5;
+  if (higherIsBetter) t = 1 - t;
+  return `hsl(${140 - 140 * t}, 70%, ${28 + 10 * t}%)`;
+}
+
+function Heatmap({ map, xLabel, yLabel, metric }) {
+  return (
+    <div className="space-y-1 overflow-x-auto">
+      <div className="grid gap-px text-[10px]" style={{ gridTemplateColumns: `auto repeat(${map.xLabels.length}, minmax(2.5rem, 1fr))` }}>
+        {[...map.yLabels].reverse().map((yl, ri) => {
+          const row = map.values[map.yLabels.length - 1 - ri];
+          return (
+            <React.Fragment key={yl}>
+              <div className="pr-2 text-right text-slate-400 self-center">{yl}</div>
+              {row.map((v, ci) => (
+                <div key={ci} title={v == null ? "no samples" : `${v.toFixed(2)} ${metric.unit}`} className="h-8 rounded-sm flex items-center justify-center text-slate-100"
+                  style={{ background: cellColor(v, map.min, map.max, metric.better === "higher") }}>
+                  {v == null ? "" : v.toFixed(v >= 100 ? 0 : 1)}
+                </div>
+              ))}
+            </React.Fragment>
+          );
+        })}
+        <div />
+        {map.xLabels.map((xl) => <div key={xl} className="text-center text-slate-400">{xl}</div>)}
+      </div>
+      <div className="text-xs text-slate-500">x: {xLabel} · y: {yLabel} · {metric.label} ({metric.unit}), averaged over other swept fields</div>
+    </div>
+  );
+}
+
+export default function SweepPanel({ params, site, seed, setParams }) {
+  const fields = useMemo(() => sweepFields(site), [site]);
+  const [dims, setDims] = useState(() => ({ payServers: { on: true }, pickupServers: { on: true } }));
+  const [opts, setOpts] = useState({ ...DEFAULT_SWEEP, seed });
+  const [progress, setProgress] = useState(null);
+  const [results, setResults] = useState([]);
+  const [view, setView] = useState({ x: "", y: "", metric: "p90Wait" });
+  const [loaded, setLoaded] = useState(null);
+  const cancel = useRef(false);
+  const set = (patch) => setOpts((o) => ({ ...o, ...patch }));
+
+  const chosen = fields.filter((f) => dims[f.key]?.on).map((f) => ({ ...f, min: dims[f.key].min ?? f.min, max: dims[f.key].max ?? f.max }));
+  const setDim = (key, patch) => setDims((d) => ({ ...d, [key]: { ...d[key], ...patch } }));
+  const planned = useMemo(() => samplePoints(chosen, opts), [JSON.stringify(chosen), opts]);
+
+  function run() {
+    const points = planned;
+    const out = [];
+    cancel.current = false;
+    setResults([]);
+    setLoaded(null);
+    setView((v) => ({ ...v, x: chosen[0]?.key ?? "", y: chosen[1]?.key ?? chosen[0]?.key ?? "" }));
+    const next = () => {
+      if (cancel.current || out.length >= points.length) {
+        setProgress(null);
+        setResults(paretoFront(out));
+        return;
+      }
+      out.push(evaluatePoint(params, site, points[out.length], opts));
+      setProgress(out.length / points.length);
+      setTimeout(next, 0);
+    };
+    setProgress(0);
+    setTimeout(next, 0);
+  }
+
+  function load(r) {
+    setParams(r.params);
+    setLoaded(r);
+  }
+
+  const metric = SWEEP_METRICS.find((m) => m.key === view.metric);
+  const keys = results.length ? Object.keys(results[0].point) : [];
+  const map = results.length && view.x && view.y ? heatmap(results, view.x, view.y, view.metric) : null;
+  const front = results.filter((r) => r.pareto).sort((a, b) => a.laborCost - b.laborCost || a.p90Wait - b.p90Wait);
+  const labelOf = (key) => fields.find((f) => f.key === key)?.label ?? key;
+  const describe = (r) => Object.entries(r.point).map(([k, v]) => `${labelOf(k)} ${v}`).join(" · ");
+
+  return (
+    <Card className="bg-slate-900/70 border-slate-700">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-amber-300"><Grid3x3 className="h-5 w-5" /> Parameter Sweep</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div className="lg:col-span-2 p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-1">
+            <div className="grid grid-cols-[auto_1fr_5rem_5rem_auto] gap-2 text-xs text-slate-400">
+              <span /><span>Field</span><span className="text-right">Min</span><span className="text-right">Max</span><span className="text-right">Current</span>
+            </div>
+            {fields.map((f) => {
+              const d = dims[f.key] ?? {};
+              const step = f.integer ? 1 : (f.max - f.min) / 20;
+              return (
+                <div key={f.key} className="grid grid-cols-[auto_1fr_5rem_5rem_auto] gap-2 items-center text-sm text-slate-300">
+                  <Switch checked={!!d.on} onCheckedChange={(on) => setDim(f.key, { on })} />
+                  <span>{f.label}</span>
+                  <Input type="number" step={step} disabled={!d.on} value={d.min ?? f.min} onChange={(e) => setDim(f.key, { min: num(e.target.value, f.min) })} className="h-7 text-right" />
+                  <Input type="number" step={step} disabled={!d.on} value={d.max ?? f.max} onChange={(e) => setDim(f.key, { max: num(e.target.value, f.max) })} className="h-7 text-right" />
+                  <span className="text-xs text-slate-500 text-right w-12">{getField(params, f.key)}</span>
+                </div>
+              );
+            })}
+          </div>
+          <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-3">
+            <label className="space-y-1 text-xs text-slate-400 block">
+              <span>Sampler</span>
+              <select value={opts.sampler} onChange={(e) => set({ sampler: e.target.value })} className={`${selectCls} w-full`}>
+                {SAMPLERS.map((s) => <option key={s.id} value={s.id}>{s.label}</option>)}
+              </select>
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              {opts.sampler === "grid"
+                ? <Field label="Levels per field" value={opts.levels} onChange={(v) => set({ levels: Math.max(2, Math.round(v)) })} min={2} />
+                : <Field label="Samples" value={opts.samples} onChange={(v) => set({ samples: Math.max(2, Math.round(v)) })} min={2} />}
+              <Field label="Replications / point" value={opts.replications} onChange={(v) => set({ replications: Math.max(1, Math.round(v)) })} min={1} />
+              <Field label="Horizon (min)" value={opts.horizon} onChange={(v) => set({ horizon: v })} step={30} min={10} />
+              <Field label="Warm-up (min)" value={opts.warmup} onChange={(v) => set({ warmup: v })} step={5} />
+            </div>
+            <div className="text-xs text-slate-400">
+              {planned.length} points × {opts.replications} runs{planned.length >= MAX_POINTS ? ` (capped at ${MAX_POINTS})` : ""} · same seeds at every point
+            </div>
+            {progress === null
+              ? <Button onClick={run} disabled={!planned.length} className="w-full rounded-2xl bg-amber-400 text-black hover:bg-amber-300"><Play className="mr-2 h-4 w-4" />Run sweep</Button>
+              : <Button variant="secondary" onClick={() => { cancel.current = true; }} className="w-full rounded-2xl border border-slate-600"><Square className="mr-2 h-4 w-4" />Stop ({Math.round(progress * 100)}%)</Button>}
+          </div>
+        </div>
+
+        {progress !== null && (
+          <div className="h-2 rounded bg-slate-800 overflow-hidden"><div className="h-full bg-amber-400" style={{ width: `${progress * 100}%` }} /></div>
+        )}
+
+        {results.length > 0 && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+            <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+              <div className="flex flex-wrap items-center gap-2 text-xs text-slate-400">
+                {[["x", "X"], ["y", "Y"]].map(([axis, label]) => (
+                  <label key={axis} className="flex items-center gap-1">{label}
+                    <select value={view[axis]} onChange={(e) => setView({ ...view, [axis]: e.target.value })} className={selectCls}>
+                      {keys.map((k) => <option key={k} value={k}>{labelOf(k)}</option>)}
+                    </select>
+                  </label>
+                ))}
+                <label className="flex items-center gap-1">Metric
+                  <select value={view.metric} onChange={(e) => setView({ ...view, metric: e.target.value })} className={selectCls}>
+                    {SWEEP_METRICS.map((m) => <option key={m.key} value={m.key}>{m.label}</option>)}
+                  </select>
+                </label>
+              </div>
+              {map && <Heatmap map={map} xLabel={labelOf(view.x)} yLabel={labelOf(view.y)} metric={metric} />}
+            </div>
+
+            <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+              <div className="text-sm text-slate-200 font-medium">Labor vs p90 wait <span className="text-xs text-slate-500">(bubble = diverts, amber = Pareto front; click to load)</span></div>
+              <div className="h-56">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ScatterChart margin={{ top: 4, right: 8, left: -16, bottom: 0 }}>
+                    <CartesianGrid stroke="#1e293b" />
+                    <XAxis type="number" dataKey="laborCost" name="Labor" unit="$" stroke="#94a3b8" fontSize={10} domain={["auto", "auto"]} />
+                    <YAxis type="number" dataKey="p90Wait" name="p90" unit="m" stroke="#94a3b8" fontSize={10} tickFormatter={(v) => +v.toFixed(1)} />
+                    <ZAxis type="number" dataKey="diverts" name="Diverts" range={[30, 300]} />
+                    <Tooltip contentStyle={tooltipStyle} formatter={(v) => +(+v).toFixed(2)} />
+                    <Scatter data={results.filter((r) => !r.pareto)} fill="rgba(148,163,184,0.5)" isAnimationActive={false} onClick={(d) => load(d.payload ?? d)} cursor="pointer" />
+                    <Scatter data={front} fill="#fbbf24" line={{ stroke: "#fbbf24", strokeDasharray: "4 3" }} isAnimationActive={false} onClick={(d) => load(d.payload ?? d)} cursor="pointer" />
+                  </ScatterChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="max-h-40 overflow-y-auto space-y-1">
+                {front.map((r, i) => (
+                  <div key={i} className="flex items-center gap-2 text-xs text-slate-300">
+                    <Badge className="bg-amber-400 text-black">${r.laborCost.toFixed(0)}/hr</Badge>
+                    <span>p90 {r.p90Wait.toFixed(1)}m · {r.diverts.toFixed(1)} diverts</span>
+                    <span className="text-slate-500 truncate">{describe(r)}</span>
+                    <Button variant="ghost" size="sm" onClick={() => load(r)} className="ml-auto h-6"><Upload className="mr-1 h-3 w-3" />Load</Button>
+                  </div>
+                ))}
+              </div>
+              {loaded && <Badge className="bg-emerald-500 text-black">Loaded into controls: {describe(loaded)}</Badge>}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,155 @@
+import React, { useMemo, useState } from "react";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { FileUp, GitCompare, Play, X } from "lucide-react";
+import CalibrationReport from "./CalibrationReport";
+import { compareTrace, guessMapping, normalizeTrace, parseTrace, TIME_UNITS, TRACE_FIELDS } from "./trace";
+import { formatClock } from "./profiles";
+
+/**
+ * Trace import card
+ * - Paste or load a CSV/JSON export, map its columns, pick the time unit
+ * - Validation errors are listed per row; bad rows are skipped
+ * - Drive the sim's arrivals from the trace, or replay it against the model
+ * - Calibrate params from the trace (fit report in ./CalibrationReport)
+ */
+
+const selectCls = "h-8 rounded-md bg-slate-950 border border-slate-600 text-sm px-2";
+const fmt = (v) => (v == null || !isFinite(v) ? "–" : v.toFixed(1));
+
+export default function TraceImport({ params, site, setParams, seed, trace, setTrace }) {
+  const [text, setText] = useState("");
+  const [mapping, setMapping] = useState(null);
+  const [unit, setUnit] = useState("auto");
+  const [comparison, setComparison] = useState(null);
+
+  const parsed = useMemo(() => {
+    if (!text.trim()) return null;
+    try { return parseTrace(text); } catch (e) { return { error: e.message }; }
+  }, [text]);
+
+  const result = useMemo(() => {
+    if (!parsed || parsed.error || !mapping) return null;
+    return normalizeTrace(parsed.rows, mapping, { unit, site, firstLine: parsed.format === "json" ? 1 : 2 });
+  }, [parsed, mapping, unit, site]);
+
+  function load(next) {
+    setText(next);
+    setComparison(null);
+    try { setMapping(guessMapping(parseTrace(next).columns)); } catch { setMapping(null); }
+  }
+
+  function onFile(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => load(String(reader.result));
+    reader.readAsText(file);
+  }
+
+  function drive() {
+    setTrace(result.records);
+    if (result.startHour != null) setParams((p) => ({ ...p, startHour: Math.floor(result.startHour * 4) / 4 }));
+  }
+
+  const records = result?.records ?? [];
+  const span = records.length ? records[records.length - 1].arrival : 0;
+
+  return (
+    <Card className="bg-slate-900/70 border-slate-700">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-amber-300"><FileUp className="h-5 w-5" /> Trace Import</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <div className="lg:col-span-2 space-y-2">
+            <input type="file" accept=".csv,.json,.txt" onChange={onFile} className="text-xs text-slate-300" />
+            <textarea value={text} onChange={(e) => load(e.target.value)} placeholder="Paste CSV (header row) or JSON rows: arrival, order, pay, pickup timestamps…"
+              className="w-full h-32 rounded-md bg-slate-950 border border-slate-600 text-xs font-mono p-2" />
+            {parsed?.error && <div className="text-xs text-rose-400">Could not parse: {parsed.error}</div>}
+          </div>
+          <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+            <div className="text-sm text-slate-200 font-medium">Column mapping</div>
+            {TRACE_FIELDS.map((f) => (
+              <label key={f.key} className="grid grid-cols-[1fr_1.4fr] gap-2 items-center text-xs text-slate-400">
+                <span>{f.label}{f.required ? " *" : ""}</span>
+                <select value={mapping?.[f.key] ?? ""} disabled={!parsed || parsed.error} onChange={(e) => setMapping({ ...mapping, [f.key]: e.target.value })} className={selectCls}>
+                  <option value="">—</option>
+                  {(parsed?.columns ?? []).map((c) => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </label>
+            ))}
+            <label className="grid grid-cols-[1fr_1.4fr] gap-2 items-center text-xs text-slate-400">
+              <span>Time unit</span>
+              <select value={unit} onChange={(e) => setUnit(e.target.value)} className={selectCls}>
+                {TIME_UNITS.map((u) => <option key={u.id} value={u.id}>{u.label}</option>)}
+              </select>
+            </label>
+          </div>
+        </div>
+
+        {result && (
+          <div className="space-y-2">
+            <div className="flex flex-wrap items-center gap-2 text-sm text-slate-300">
+              <Badge className="bg-emerald-500 text-black">{records.length} cars</Badge>
+              {result.errors.length > 0 && <Badge className="bg-rose-500 text-black">{result.errors.length} errors</Badge>}
+              <span className="text-xs text-slate-400">
+                {result.unit && `as ${result.unit}`}{result.startHour != null && ` · starts ${formatClock(result.startHour)}`} · spans {span.toFixed(0)} min
+              </span>
+              <div className="ml-auto flex gap-2">
+                <Button disabled={!records.length} onClick={drive} className="rounded-2xl bg-amber-400 text-black hover:bg-amber-300"><Play className="mr-2 h-4 w-4" />Drive arrivals</Button>
+                <Button variant="secondary" disabled={!records.length} onClick={() => setComparison(compareTrace(records, params, site, { seed }))} className="rounded-2xl border border-slate-600"><GitCompare className="mr-2 h-4 w-4" />Replay & compare</Button>
+              </div>
+            </div>
+            {result.errors.length > 0 && (
+              <div className="max-h-32 overflow-y-auto text-xs">
+                {result.errors.slice(0, 100).map((e, i) => (
+                  <div key={i} className="text-rose-300">{e.row ? `Row ${e.row}` : "Trace"} · {e.field}: {e.message}</div>
+                ))}
+                {result.errors.length > 100 && <div className="text-slate-500">…and {result.errors.length - 100} more</div>}
+              </div>
+            )}
+          </div>
+        )}
+
+        {records.length > 0 && <CalibrationReport records={records} startHour={result.startHour} params={params} site={site} setParams={setParams} />}
+
+        {trace && (
+          <div className="flex items-center gap-2 text-sm text-slate-300">
+            <Badge className="bg-sky-500 text-black">Sim arrivals from trace ({trace.length} cars)</Badge>
+            <Button variant="ghost" size="sm" onClick={() => setTrace(null)}><X className="mr-1 h-3 w-3" />Back to synthetic arrivals</Button>
+          </div>
+        )}
+
+        {comparison && (
+          <div className="space-y-1">
+            <table className="w-full text-xs text-slate-300">
+              <thead className="text-slate-400 uppercase tracking-wider">
+                <tr>
+                  <th className="text-left font-medium">Segment (min)</th>
+                  <th className="text-right font-medium">Recorded mean</th><th className="text-right font-medium">Model mean</th>
+                  <th className="text-right font-medium">Recorded p90</th><th className="text-right font-medium">Model p90</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.segments.map((s) => (
+                  <tr key={s.key} className="border-t border-slate-700/60">
+                    <td className="py-1">{s.label}</td>
+                    <td className="text-right">{fmt(s.recorded?.mean)}</td><td className="text-right text-amber-300">{fmt(s.model?.mean)}</td>
+                    <td className="text-right">{fmt(s.recorded?.p90)}</td><td className="text-right text-amber-300">{fmt(s.model?.p90)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="text-xs text-slate-400">
+              {comparison.replications} model runs on the recorded arrivals with the current staffing · model − recorded per car {fmt(comparison.meanDiff)} min
+              · {fmt(comparison.diverted)} diverted, {fmt(comparison.lost)} lost per run
+              {comparison.unmatched > 0 && <span className="text-rose-400"> · {fmt(comparison.unmatched)} recorded cars not simulated</span>}
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
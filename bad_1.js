@@ -5,257 +5,180 @@ import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Switch } from "@/components/ui/switch";
 import { Input } from "@/components/ui/input";
 import { Badge } from "@/components/ui/badge";
-import { Play, Pause, RefreshCw, MapPin, Gauge, Car, LayoutGrid } from "lucide-react";
+import { Play, Pause, RefreshCw, MapPin, Gauge, Car, LayoutGrid, FastForward, Rewind, Pencil } from "lucide-react";
+import { chooseBestLane, createSimulation, DEFAULT_PARAMS, runnerWalkMin } from "./engine";
+import { carEta, laneSteadyState } from "./predict";
+import { DIST_TYPES, distCv, erlangK, histogramStats, parseHistogram } from "./distributions";
+import { clockHour, formatClock } from "./profiles";
+import { DEFAULT_SITE, MERGE_DISCIPLINES, SITE_PRESETS } from "./site";
+import { journeyStats } from "./journeys";
+import { traceFitsSite } from "./trace";
+import { captureScenario, recallCurrent, rememberCurrent } from "./scenarioStore";
+import { advance, BREAKPOINT_KINDS, createBreakpointWatch, createTimeline, DEFAULT_BREAKPOINTS, DEFAULT_SPEED, recordSnapshot, seek } from "./playback";
+import { buildRoutes, carTargets, pointAt, polyLength, SPOT_SIZE_PX, spotCenter, stageText, storeDoorPx } from "./mapMotion";
+import ProfileEditor from "./ProfileEditor";
+import StaffingPlanner from "./StaffingPlanner";
+import RebalancePanel from "./RebalancePanel";
+import MenuEditor from "./MenuEditor";
+import TraceImport from "./TraceImport";
+import BatchRunner from "./BatchRunner";
+import ScenarioCompare from "./ScenarioCompare";
+import SweepPanel from "./SweepPanel";
+import ReportExport from "./ReportExport";
+import ChartsPanel from "./ChartsPanel";
+import JourneyPanel from "./JourneyPanel";
+import SiteEditor from "./SiteEditor";
+import ScenarioLibrary from "./ScenarioLibrary";
+import PlaybackBar from "./PlaybackBar";
 
 /**
  * Drive‑Thru Optimizer — High‑Contrast UI + Canvas Map
- * - Detailed fake map rendered to <canvas> for smooth 60fps animation
- * - Cars as animated rounded rectangles with lane-following
- * - Improved parking visuals (reserved, occupied) + curbside
- * - Predictive wait-time with M/M/s Erlang C per lane & overall
+ * - Site map rendered to <canvas> for smooth 60fps animation
+ * - Every simulated car drawn at its queue position, eased along its lane route
+ * - Improved parking visuals (reserved, occupied, EV, back-in) + curbside
+ * - Edit mode swaps the map for the site layout editor (./SiteEditor)
+ * - Playback bar: speed, stepping, breakpoints and a rewindable timeline
+ * - The setup survives reloads; named scenarios and share links in ./ScenarioLibrary
+ * - Predicted waits per lane (./predict): tandem M/G/s steady state, plus an
+ *   ETA for an arriving car from the queues it sees
  */
 
-// ------------------------------- Utils ------------------------------------
-const rand = (min, max) => min + Math.random() * (max - min);
-const uid = () => Math.random().toString(36).slice(2, 9);
-const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
-
-// ------------------------------- Queue Model -------------------------------
-const exp = (ratePerMin) => (ratePerMin <= 0 ? Infinity : -Math.log(1 - Math.random()) / ratePerMin);
-const predictedQueueTime = (q, rate, servers) => (rate <= 0 || servers <= 0 ? Infinity : q / (rate * servers));
-
-const chooseBestLane = (sys, isMobile) => {
-  const lanes = ["A", "B"];
-  const mobileFactor = isMobile ? 0.55 : 1.0;
-  let best = lanes[0];
-  let bestTime = Infinity;
-  for (const L of lanes) {
-    const tOrder = predictedQueueTime(sys.queues.order[L].length, sys.params.orderRate, sys.params.orderServers[L]);
-    const tPay = predictedQueueTime(sys.queues.pay.length, sys.params.payRate, sys.params.payServers);
-    const tPickup = predictedQueueTime(sys.queues.pickup.length, sys.params.pickupRate, sys.params.pickupServers);
-    const total = tOrder * mobileFactor + tPay + tPickup;
-    if (total < bestTime) { bestTime = total; best = L; }
-  }
-  return { lane: best, eta: bestTime };
-};
-
-function chooseParkingSpot(spots, opts) {
-  const { entrance = { x: 6, y: 70 }, w = { dist: 1, exit: 0.6, cong: 0.8, angle: 0.2 } } = opts || {};
-  let best = null, bestScore = Infinity;
-  for (const s of spots) {
-    if (s.occupied || s.reserved) continue;
-    const dx = s.x - entrance.x, dy = s.y - entrance.y;
-    const dist = Math.hypot(dx, dy);
-    const score = w.dist * dist + w.exit * s.exitFriction + w.cong * s.localCongestion + w.angle * (s.backIn ? 0.7 : 0);
-    if (score < bestScore) { bestScore = score; best = s; }
-  }
-  return best;
-}
+// --------------------------- Simulation Hook ------------------------------
+const DAY_MINUTES = 480;
 
-function rebalanceServers(sys) {
-  const util = (q, rate, s) => (s > 0 ? q / (rate * s + 1e-6) : Infinity);
-  const pressure = {
-    orderA: util(sys.queues.order.A.length, sys.params.orderRate, sys.params.orderServers.A),
-    orderB: util(sys.queues.order.B.length, sys.params.orderRate, sys.params.orderServers.B),
-    pay: util(sys.queues.pay.length, sys.params.payRate, sys.params.payServers),
-    pickup: util(sys.queues.pickup.length, sys.params.pickupRate, sys.params.pickupServers),
-  };
-  const entries = Object.entries(pressure).sort((a, b) => b[1] - a[1]);
-  const hottest = entries[0][0];
-  const stages = {
-    orderA: () => ({ get: () => sys.params.orderServers.A, set: (v) => (sys.params.orderServers.A = v), min: 1 }),
-    orderB: () => ({ get: () => sys.params.orderServers.B, set: (v) => (sys.params.orderServers.B = v), min: 1 }),
-    pay: () => ({ get: () => sys.params.payServers, set: (v) => (sys.params.payServers = v), min: 1 }),
-    pickup: () => ({ get: () => sys.params.pickupServers, set: (v) => (sys.params.pickupServers = v), min: 1 }),
-  };
-  for (const [name] of entries.slice().reverse()) {
-    if (name === hottest) continue;
-    const s = stages[name]();
-    if (s.get() > s.min) {
-      s.set(s.get() - 1);
-      const h = stages[hottest]();
-      h.set(h.get() + 1);
-      return { from: name, to: hottest };
-    }
+// Thin view over the headless engine: owns the UI clock, re-renders on ticks.
+// initial: a saved scenario ({ params, site, seed }) to start from
+function useSimulation(initial = null) {
+  const [running, setRunning] = useState(false);
+  const [seed, setSeed] = useState(initial?.seed ?? 1);
+  const [speed, setSpeed] = useState(DEFAULT_SPEED);
+  const [breakpoints, setBreakpoints] = useState(DEFAULT_BREAKPOINTS);
+  const [paused, setPaused] = useState(null); // why the last run stopped on its own
+  const [, setFrame] = useState(0);
+  const engine = useRef(null);
+  const timeline = useRef(null);
+  if (!engine.current) {
+    engine.current = createSimulation(initial?.params ?? DEFAULT_PARAMS, { seed, site: initial?.site ?? DEFAULT_SITE });
+    timeline.current = createTimeline(engine.current);
   }
-  return null;
-}
 
-// --------------------------- Predictive Wait (M/M/s) ----------------------
-// Erlang C approximation to estimate expected wait in queue (not in service)
-function erlangC(lam, mu, s) {
-  if (s <= 0 || mu <= 0) return 1;
-  const rho = lam / (s * mu);
-  if (rho >= 1) return 1; // unstable -> 100% waiting
-  let sum = 0;
-  for (let k = 0; k < s; k++) {
-    sum += Math.pow(lam / mu, k) / fact(k);
-  }
-  const ps = (Math.pow(lam / mu, s) / (fact(s) * (1 - rho))) * (1 / (sum + (Math.pow(lam / mu, s) / (fact(s) * (1 - rho)))));
-  return ps;
-}
-function fact(n) { let r = 1; for (let i = 2; i <= n; i++) r *= i; return r; }
-function expectedWaitMinutes(lam, mu, s) {
-  if (s <= 0 || mu <= 0) return Infinity;
-  const C = erlangC(lam, mu, s);
-  const rho = lam / (s * mu);
-  if (rho >= 1) return Infinity;
-  return (C / (s * mu - lam));
-}
+  const tickMs = 120; // UI tick; the engine itself is event-driven
+  const maxTickMs = 500; // a stalled tab doesn't jump the clock on return
+  const refresh = () => setFrame((f) => f + 1);
 
-// --------------------------- Simulation Hook ------------------------------
-function useSimulation() {
-  const [running, setRunning] = useState(false);
-  const [now, setNow] = useState(0);
-  const [params, setParams] = useState({
-    arrivalRate: 36, // cars/hour
-    mobileShare: 0.35,
-    divertThresholdMin: 7,
-    orderRate: 0.8,
-    payRate: 1.3,
-    pickupRate: 1.0,
-    orderServers: { A: 1, B: 1 },
-    payServers: 1,
-    pickupServers: 1,
-    autoRebalance: true,
-  });
-  const [queues, setQueues] = useState({ order: { A: [], B: [] }, pay: [], pickup: [], curbside: [] });
-  const [spots, setSpots] = useState(() => generateSpots());
-  const metrics = useRef({ arrivals: 0, served: 0, parked: 0, avgWait: 0, maxWip: 0, history: [] });
-
-  const nextArrival = useRef(exp(params.arrivalRate / 60));
-  const orderClock = useRef({ A: 0, B: 0 });
-  const payClock = useRef(0);
-  const pickupClock = useRef(0);
-
-  const tickMs = 120; // UI tick
-  const minutesPerTick = 0.08; // sim speed
+  function start(sim) {
+    engine.current = sim;
+    timeline.current = createTimeline(sim);
+    setPaused(null);
+    refresh();
+  }
 
+  // Each tick covers the real time elapsed × speed, stopping early at a breakpoint
   useEffect(() => {
     if (!running) return;
-    const id = setInterval(() => step(minutesPerTick), tickMs);
+    setPaused(null);
+    const watch = createBreakpointWatch(breakpoints, engine.current);
+    let last = performance.now();
+    const id = setInterval(() => {
+      const t = performance.now();
+      const minutes = (Math.min(t - last, maxTickMs) / 60000) * speed;
+      last = t;
+      const hit = advance(engine.current, engine.current.state.now + minutes, { watch, timeline: timeline.current });
+      if (hit) { setRunning(false); setPaused(`Paused at ${engine.current.state.now.toFixed(2)} min: ${BREAKPOINT_KINDS[hit.kind].why(hit.limit)}`); }
+      refresh();
+    }, tickMs);
     return () => clearInterval(id);
-  }, [running, params]);
-
-  function step(dt) {
-    setNow((t) => t + dt);
-    const sys = { queues, params };
-
-    // Arrivals
-    nextArrival.current -= dt;
-    while (nextArrival.current <= 0) {
-      const car = { id: uid(), arrival: now, isMobile: Math.random() < params.mobileShare, progress: {} };
-      metrics.current.arrivals++;
-      const { eta, lane } = chooseBestLane(sys, car.isMobile);
-      if (eta > params.divertThresholdMin) {
-        const spot = chooseParkingSpot(spots, { entrance: { x: 6, y: 70 } });
-        if (spot) {
-          spot.occupied = true; car.parkingSpotId = spot.id; car.state = "curbside"; queues.curbside.push(car); metrics.current.parked++;
-        } else {
-          car.lane = lane; queues.order[lane].push(car);
-        }
-      } else {
-        car.lane = lane; queues.order[lane].push(car);
-      }
-      nextArrival.current += exp(params.arrivalRate / 60);
-    }
+  }, [running, speed, breakpoints]);
 
-    // ORDER service both lanes
-    for (const L of ["A", "B"]) {
-      if (queues.order[L].length > 0 && params.orderServers[L] > 0) {
-        orderClock.current[L] -= dt * params.orderServers[L];
-        if (orderClock.current[L] <= 0) {
-          const car = queues.order[L].shift();
-          car.progress.order = now; queues.pay.push(car); orderClock.current[L] = 1 / params.orderRate;
-        }
-      } else {
-        orderClock.current[L] = Math.max(orderClock.current[L], 1 / params.orderRate);
-      }
-    }
-
-    // PAY
-    if (queues.pay.length > 0 && params.payServers > 0) {
-      payClock.current -= dt * params.payServers;
-      if (payClock.current <= 0) {
-        const car = queues.pay.shift(); car.progress.pay = now; queues.pickup.push(car); payClock.current = 1 / params.payRate; }
-    } else { payClock.current = Math.max(payClock.current, 1 / params.payRate); }
-
-    // PICKUP
-    if (queues.pickup.length > 0 && params.pickupServers > 0) {
-      pickupClock.current -= dt * params.pickupServers;
-      if (pickupClock.current <= 0) {
-        const car = queues.pickup.shift(); car.progress.pickup = now; metrics.current.served++;
-        const w = now - car.arrival; const m = metrics.current; m.avgWait = (m.avgWait * (m.served - 1) + w) / m.served; pickupClock.current = 1 / params.pickupRate; }
-    } else { pickupClock.current = Math.max(pickupClock.current, 1 / params.pickupRate); }
-
-    // Curbside completion
-    for (let i = queues.curbside.length - 1; i >= 0; i--) {
-      const car = queues.curbside[i]; if (!car.readyAt) car.readyAt = car.arrival + rand(4, 10);
-      if (now >= car.readyAt) { const s = spots.find((x) => x.id === car.parkingSpotId); if (s) s.occupied = false; queues.curbside.splice(i, 1);
-        metrics.current.served++; const w = now - car.arrival; const m = metrics.current; m.avgWait = (m.avgWait * (m.served - 1) + w) / m.served; }
-    }
+  function setParams(update) {
+    const sim = engine.current;
+    sim.setParams(typeof update === "function" ? update(sim.state.params) : update);
+    refresh();
+  }
 
-    const wip = queues.order.A.length + queues.order.B.length + queues.pay.length + queues.pickup.length + queues.curbside.length;
-    metrics.current.maxWip = Math.max(metrics.current.maxWip, wip);
-    metrics.current.history.push({ t: now, wip, wait: metrics.current.avgWait });
+  function reset(nextSeed = seed, site = engine.current.state.site, trace = engine.current.state.trace) {
+    start(createSimulation(engine.current.state.params, { seed: nextSeed, site, trace }));
+    setSeed(nextSeed);
+  }
 
-    if (params.autoRebalance && Math.random() < 0.05) { rebalanceServers({ queues, params }); }
+  // Lanes are structural: switching sites restarts the run. A trace recorded on
+  // lanes the new site doesn't have is dropped (back to synthetic arrivals)
+  const setSite = (site) => {
+    const trace = engine.current.state.trace;
+    reset(seed, site, trace && traceFitsSite(trace, site) ? trace : null);
+  };
+  // Recorded arrivals replace the synthetic stream (null -> back to synthetic); also restarts
+  const setTrace = (trace) => reset(seed, engine.current.state.site, trace);
+
+  // A saved or shared scenario replaces the whole setup and restarts the run
+  function load({ params, site, seed: nextSeed }) {
+    setRunning(false);
+    start(createSimulation(params, { seed: nextSeed, site }));
+    setSeed(nextSeed);
+  }
 
-    setQueues({ ...queues }); setSpots([...spots]);
+  // Jump straight to simulated time t (an 8h day takes milliseconds)
+  function runTo(t) {
+    setRunning(false);
+    advance(engine.current, t, { timeline: timeline.current });
+    refresh();
   }
 
-  function reset() {
-    setQueues({ order: { A: [], B: [] }, pay: [], pickup: [], curbside: [] });
-    setSpots(generateSpots());
-    metrics.current = { arrivals: 0, served: 0, parked: 0, avgWait: 0, maxWip: 0, history: [] };
-    orderClock.current = { A: 0, B: 0 }; payClock.current = 0; pickupClock.current = 0; nextArrival.current = exp(params.arrivalRate / 60);
-    setNow(0);
+  // ---- Stepping and scrubbing (pause first) ----
+  function stepEvent() {
+    setRunning(false);
+    engine.current.stepEvent();
+    recordSnapshot(timeline.current, engine.current);
+    refresh();
   }
 
-  return { running, setRunning, now, params, setParams, queues, spots, metrics, reset };
-}
+  const stepMinute = () => runTo(engine.current.state.now + 1);
 
-function generateSpots() {
-  const arr = []; let id = 1;
-  for (let r = 0; r < 4; r++) {
-    for (let c = 0; c < 14; c++) {
-      arr.push({ id: `S${id++}`, x: 6 + c * 6, y: 60 + r * 8, occupied: Math.random() < 0.2, reserved: c < 2 && r === 0, exitFriction: (r + 1) * 0.2 + (c > 10 ? 0.8 : 0.2), localCongestion: Math.random() * 0.6, backIn: Math.random() < 0.25 });
-    }
+  function seekTo(t) {
+    setRunning(false);
+    setPaused(null);
+    seek(timeline.current, engine.current, t);
+    refresh();
   }
-  return arr;
+
+  // Same seed + params -> the animated replay retraces the fast run exactly
+  function replay() {
+    reset();
+    setRunning(true);
+  }
+
+  const { now, params, site, queues, spots, metrics, events, inTransit, kitchen, trace } = engine.current.state;
+  const reached = Math.max(timeline.current.reached, now);
+  return {
+    running, setRunning, now, params, setParams, site, setSite, trace, setTrace, queues, spots, metrics, events, inTransit, kitchen, seed, reset, runTo, replay, load,
+    speed, setSpeed, breakpoints, setBreakpoints, paused, stepEvent, stepMinute, seek: seekTo, reached,
+  };
 }
 
 // ------------------------------ Canvas Map -------------------------------
-function CanvasMap({ queues, spots }) {
-  const ref = useRef(null);
+// Every car drawn is a car in the engine's queues (see ./mapMotion); the canvas
+// eases each one toward its queue slot so motion stays smooth between events.
+// canvasRef (optional) exposes the canvas, e.g. for report snapshots
+const CAR_SPEED_PX = 160; // px per real second
+const CURBSIDE_COLOR = "#f472b6";
+
+function CanvasMap({ site, queues, spots, now = 0, params = null, canvasRef }) {
+  const ownRef = useRef(null);
+  const ref = canvasRef ?? ownRef;
   const animRef = useRef(0);
-  const carsRef = useRef([]);
+  const carsRef = useRef(new Map()); // id -> visual car
+  const targetsRef = useRef(new Map());
+  const hitsRef = useRef([]);
   const lastRef = useRef(performance.now());
+  const liveRef = useRef({ now, params });
+  liveRef.current = { now, params };
+  const [hover, setHover] = useState(null);
 
-  // Build lane polylines in normalized [0..1] space (responsive)
-  const lanes = useMemo(() => {
-    // Outer loop road
-    const loop = [
-      [0.06, 0.85], [0.12, 0.7], [0.25, 0.62], [0.5, 0.58], [0.78, 0.62], [0.92, 0.5], [0.8, 0.36], [0.52, 0.3], [0.24, 0.36], [0.1, 0.52], [0.06, 0.85]
-    ];
-    // Parallel inner for lane B
-    const inner = loop.map(([x, y]) => [x + 0.03, y - 0.04]);
-    // Pay and pickup bays as short connectors on the right
-    const payBay = [[0.88, 0.46], [0.96, 0.46]];
-    const pickupBay = [[0.84, 0.40], [0.94, 0.40]];
-    return { A: loop, B: inner, payBay, pickupBay };
-  }, []);
-
-  // Create visual cars independent from queue objects for smooth animation
-  useEffect(() => {
-    const total = 34; // more cars on map
-    const arr = [];
-    for (let i = 0; i < total; i++) {
-      const lane = i % 2 === 0 ? "A" : "B";
-      arr.push({ id: uid(), lane, seg: 0, t: Math.random(), speed: rand(0.12, 0.22), color: lane === "A" ? "#22c55e" : "#22d3ee" });
-    }
-    carsRef.current = arr;
-  }, []);
+  // Lane polylines come from the site model, in normalized [0..1] space (responsive)
+  const lanes = useMemo(() => Object.fromEntries(site.lanes.map((l) => [l.id, l])), [site]);
+
+  // A new site or run: forget the previous run's cars
+  useEffect(() => { carsRef.current = new Map(); }, [site, queues]);
 
   useEffect(() => {
     const canvas = ref.current;
@@ -272,10 +195,11 @@ function CanvasMap({ queues, spots }) {
     resize();
     const ro = new ResizeObserver(resize); ro.observe(canvas);
 
-    function lerp(a, b, t) { return a + (b - a) * t; }
-    function segPoint(poly, seg, t) {
-      const a = poly[seg]; const b = poly[(seg + 1) % poly.length];
-      return [lerp(a[0], b[0], t), lerp(a[1], b[1], t)];
+    let routes = null, routesKey = "";
+    function routesFor(width, height) {
+      const key = `${width}x${height}`;
+      if (key !== routesKey) { routes = buildRoutes(site, width, height); routesKey = key; }
+      return routes;
     }
 
     function drawRoad() {
@@ -286,10 +210,11 @@ function CanvasMap({ queues, spots }) {
       grd.addColorStop(1, "#0a0f1a");
       ctx.fillStyle = grd; ctx.fillRect(0, 0, width, height);
 
-      // Store box
+      // Store footprint from the site model
+      const st = site.store;
       ctx.fillStyle = "#e11d48"; // rose-600
-      roundRect(ctx, width * 0.39, height * 0.34, width * 0.22, height * 0.18, 14, true, false);
-      ctx.strokeStyle = "rgba(251,113,133,0.5)"; ctx.lineWidth = 4; roundRect(ctx, width * 0.39, height * 0.34, width * 0.22, height * 0.18, 14, false, true);
+      roundRect(ctx, width * st.x, height * st.y, width * st.w, height * st.h, 14, true, false);
+      ctx.strokeStyle = "rgba(251,113,133,0.5)"; ctx.lineWidth = 4; roundRect(ctx, width * st.x, height * st.y, width * st.w, height * st.h, 14, false, true);
 
       // Lane marking helper
       function drawLane(poly, color) {
@@ -301,24 +226,38 @@ function CanvasMap({ queues, spots }) {
         ctx.setLineDash([14, 14]); ctx.lineWidth = 2; ctx.strokeStyle = "rgba(255,255,255,0.6)";
         ctx.stroke(); ctx.setLineDash([]);
       }
-      drawLane(lanes.A, "rgba(16,185,129,0.25)");
-      drawLane(lanes.B, "rgba(34,211,238,0.25)");
+      for (const lane of site.lanes) drawLane(lane.path, `${lane.color}40`);
 
       // Pay & pickup bays
-      ctx.lineWidth = 10; ctx.strokeStyle = "rgba(250,204,21,0.45)"; pathLine(lanes.payBay);
-      ctx.strokeStyle = "rgba(167,139,250,0.45)"; pathLine(lanes.pickupBay);
+      ctx.lineWidth = 10; ctx.strokeStyle = "rgba(250,204,21,0.45)"; pathLine(site.payBay);
+      ctx.strokeStyle = "rgba(167,139,250,0.45)"; pathLine(site.pickupBay);
+
+      // Stack zones drawn in the layout editor
+      ctx.setLineDash([6, 4]); ctx.lineWidth = 1.5; ctx.strokeStyle = "rgba(148,163,184,0.5)";
+      for (const z of site.stackZones ?? []) ctx.strokeRect(z.x * width, z.y * height, z.w * width, z.h * height);
+      ctx.setLineDash([]);
 
-      // Parking grid
+      // Parking bays, rotated about their centers; EV bays get a green bolt, back-in bays a chevron
+      const [w, h] = SPOT_SIZE_PX;
       for (const s of spots) {
-        const x = s.x / 100 * width, y = s.y / 100 * height; const w = 28, h = 40;
-        ctx.lineWidth = 2; ctx.strokeStyle = s.reserved ? "#38bdf8" : "rgba(148,163,184,0.5)";
+        const [cx, cy] = spotCenter(s, width, height);
+        ctx.save(); ctx.translate(cx, cy); ctx.rotate(((s.angle ?? 0) * Math.PI) / 180);
+        ctx.lineWidth = 2; ctx.strokeStyle = s.reserved ? "#38bdf8" : s.ev ? "#4ade80" : "rgba(148,163,184,0.5)";
         ctx.fillStyle = s.occupied ? "#e5e7eb" : "rgba(2,6,23,0.3)";
-        roundRect(ctx, x, y, w, h, 6, true, true);
+        roundRect(ctx, -w / 2, -h / 2, w, h, 6, true, true);
+        if (s.ev) { ctx.fillStyle = "#4ade80"; ctx.font = "11px Inter, system-ui, sans-serif"; ctx.fillText("⚡", -5, h / 2 - 4); }
+        if (s.backIn) {
+          ctx.strokeStyle = "rgba(148,163,184,0.8)"; ctx.lineWidth = 1.5;
+          ctx.beginPath(); ctx.moveTo(-5, -h / 2 + 8); ctx.lineTo(0, -h / 2 + 4); ctx.lineTo(5, -h / 2 + 8); ctx.stroke();
+        }
+        ctx.restore();
       }
 
       // Legend
       ctx.font = "12px Inter, system-ui, sans-serif"; ctx.fillStyle = "#e2e8f0";
       ctx.fillText(`Curbside: ${queues.curbside.length}`, 12, height - 12);
+      const spill = Object.values(queues.street).reduce((n, q) => n + q.length, 0);
+      if (spill) { ctx.fillStyle = "#fb7185"; ctx.fillText(`Street spill-back: ${spill}`, 110, height - 12); }
     }
 
     function pathLine(poly) {
@@ -338,40 +277,109 @@ function CanvasMap({ queues, spots }) {
       if (fill) ctx.fill(); if (stroke) ctx.stroke();
     }
 
-    function stepCars(dt) {
+    // Street spill-back slot i below a lane's entry, in px
+    const streetPoint = (L, i, width, height) => {
+      const [ex, ey] = lanes[L].path[0];
+      return [ex * width, ey * height + 18 + i * 13];
+    };
+
+    function moveCars(dt) {
       const { width, height } = canvas.getBoundingClientRect();
-      for (const c of carsRef.current) {
-        const path = c.lane === "A" ? lanes.A : lanes.B;
-        c.t += dt * c.speed; // advance along segment parameter
-        while (c.t >= 1) { c.t -= 1; c.seg = (c.seg + 1) % path.length; }
-        // occasional speed jitter to mimic acceleration
-        if (Math.random() < 0.02) c.speed = clamp(c.speed + rand(-0.02, 0.02), 0.08, 0.28);
-
-        const [x, y] = segPoint(path, c.seg, c.t);
-        // draw car
-        const px = x * width, py = y * height; const w = 14, h = 10;
+      const routes = routesFor(width, height);
+      const { now } = liveRef.current;
+      const targets = carTargets(queues, routes);
+      const cars = carsRef.current;
+      const entrance = routes[site.lanes[0].id].poly[0];
+      const step = (from, to) => Math.min(CAR_SPEED_PX * dt, Math.max(0, to - from));
+      targetsRef.current = targets;
+
+      for (const [id, t] of targets) {
+        let v = cars.get(id);
+        const fresh = t.car.arrival >= now - 0.5; // just arrived: drive in from the entrance
+        if (t.lane && t.d !== undefined) {
+          if (!v || v.mode !== "route") {
+            v = { ...v, mode: "route", lane: t.lane, d: fresh || v ? 0 : t.d, alpha: 1 };
+            cars.set(id, v);
+          }
+          v.d += step(v.d, t.d);
+        } else if (t.street !== undefined) {
+          const [x, y] = streetPoint(t.lane, t.street, width, height);
+          if (!v) cars.set(id, (v = { mode: "point", x: fresh ? entrance[0] : x, y: fresh ? entrance[1] : y, alpha: 1 }));
+          v.x += (x - v.x) * Math.min(1, 6 * dt); v.y += (y - v.y) * Math.min(1, 6 * dt);
+        } else {
+          const spot = spots.find((sp) => sp.id === t.spotId);
+          if (!spot) continue;
+          if (!v || v.mode !== "park") {
+            const path = [entrance, spotCenter(spot, width, height)];
+            v = { mode: "park", path, d: fresh ? 0 : polyLength(path), alpha: 1 };
+            cars.set(id, v);
+          }
+          v.d += step(v.d, polyLength(v.path));
+        }
+        v.target = t;
+      }
+
+      // Cars that left the engine's queues: drive out after pickup/curbside, fade otherwise (balk, renege)
+      for (const [id, v] of cars) {
+        if (targets.has(id)) continue;
+        const stage = v.target?.stage;
+        if (v.mode === "route" && stage === "pickup") {
+          v.d += CAR_SPEED_PX * dt;
+          if (v.d >= routes[v.lane].length) cars.delete(id);
+        } else if (v.mode === "park" && stage === "curbside") {
+          if (!v.leaving) { v.leaving = true; v.path = [v.path[1], v.path[0]]; v.d = 0; }
+          v.d += CAR_SPEED_PX * dt;
+          if (v.d >= polyLength(v.path)) cars.delete(id);
+        } else {
+          v.alpha -= 2 * dt;
+          if (v.alpha <= 0) cars.delete(id);
+        }
+      }
+    }
+
+    function drawCars() {
+      const { width, height } = canvas.getBoundingClientRect();
+      const routes = routesFor(width, height);
+      const { now, params } = liveRef.current;
+      const hits = [];
+      for (const [id, v] of carsRef.current) {
+        let p;
+        if (v.mode === "route") p = pointAt(routes[v.lane].poly, v.d);
+        else if (v.mode === "park") p = pointAt(v.path, v.d);
+        else p = { x: v.x, y: v.y, angle: -Math.PI / 2 };
+        const car = v.target?.car;
+        const color = v.mode === "park" ? CURBSIDE_COLOR : lanes[v.lane ?? v.target?.lane]?.color ?? "#e2e8f0";
         ctx.save();
-        ctx.translate(px, py);
-        ctx.fillStyle = c.color;
-        ctx.shadowColor = c.color; ctx.shadowBlur = 8;
-        roundRect(ctx, -w/2, -h/2, w, h, 3, true, false);
+        ctx.globalAlpha = Math.max(0, v.alpha);
+        ctx.translate(p.x, p.y); ctx.rotate(p.angle);
+        ctx.fillStyle = color;
+        ctx.shadowColor = color; ctx.shadowBlur = car?.inService ? 12 : 4;
+        roundRect(ctx, -8, -5, 16, 10, 3, true, false);
+        if (car?.blocked || car?.awaitingFood !== undefined) { ctx.shadowBlur = 0; ctx.strokeStyle = "#f43f5e"; ctx.lineWidth = 2; roundRect(ctx, -8, -5, 16, 10, 3, false, true); }
+        if (car?.isMobile) { ctx.shadowBlur = 0; ctx.fillStyle = "#f8fafc"; ctx.beginPath(); ctx.arc(2, 0, 2, 0, Math.PI * 2); ctx.fill(); }
         ctx.restore();
+        hits.push({ id, x: p.x, y: p.y });
       }
-
-      // Visualize waiting cars near pay/pickup proportional to queue sizes
-      function drawQueueDots(n, baseX, baseY, color) {
-        for (let i = 0; i < n; i++) {
-          const off = i * 12;
-          ctx.fillStyle = color; ctx.shadowColor = color; ctx.shadowBlur = 6;
-          ctx.beginPath(); ctx.arc(baseX - off, baseY, 4 + (i===0?1:0), 0, Math.PI*2); ctx.fill();
+      hitsRef.current = hits;
+
+      // Runners walking out from the store door to parked cars
+      if (params) {
+        const door = storeDoorPx(site, width, height);
+        for (const car of queues.curbside) {
+          if (car.runnerAt === undefined) continue;
+          const spot = spots.find((sp) => sp.id === car.parkingSpotId);
+          if (!spot) continue;
+          const walk = runnerWalkMin(spot, site, params);
+          const f = walk ? Math.min(1, (now - car.runnerAt) / walk) : 1;
+          const [sx, sy] = spotCenter(spot, width, height);
+          ctx.fillStyle = "#fb923c"; ctx.shadowColor = "#fb923c"; ctx.shadowBlur = 6;
+          ctx.beginPath(); ctx.arc(door[0] + (sx - door[0]) * f, door[1] + (sy - door[1]) * f, 4, 0, Math.PI * 2); ctx.fill();
+          ctx.shadowBlur = 0;
         }
       }
-      drawQueueDots(queues.pay.length, width * 0.95, height * 0.46, "#fde047"); // yellow
-      drawQueueDots(queues.pickup.length, width * 0.93, height * 0.40, "#c4b5fd"); // violet
 
       // Pulsing beacons on order posts (lane heads)
-      pulse(width * lanes.A[0][0], height * lanes.A[0][1], "#22c55e");
-      pulse(width * lanes.B[0][0], height * lanes.B[0][1], "#22d3ee");
+      for (const lane of site.lanes) pulse(width * lane.orderPost[0], height * lane.orderPost[1], lane.color);
     }
 
     function pulse(x, y, color) {
@@ -384,21 +392,40 @@ function CanvasMap({ queues, spots }) {
       const dt = Math.min(0.05, (ts - lastRef.current) / 1000); // seconds
       lastRef.current = ts;
       drawRoad();
-      stepCars(dt);
+      moveCars(dt);
+      drawCars();
       animRef.current = requestAnimationFrame(frame);
     }
 
     animRef.current = requestAnimationFrame(frame);
     return () => { cancelAnimationFrame(animRef.current); ro.disconnect(); };
-  }, [lanes, spots, queues]);
+  }, [site, lanes, spots, queues]);
+
+  function onMove(e) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const x = e.clientX - rect.left, y = e.clientY - rect.top;
+    let best = null, bestD = 12;
+    for (const h of hitsRef.current) { const d = Math.hypot(h.x - x, h.y - y); if (d < bestD) { bestD = d; best = h; } }
+    setHover(best ? { id: best.id, x, y } : null);
+  }
+
+  const hovered = hover && targetsRef.current.get(hover.id);
 
   return (
     <div className="relative w-full h-[560px] rounded-3xl overflow-hidden border-2 border-slate-700 shadow-2xl">
-      <canvas ref={ref} className="absolute inset-0 w-full h-full" />
+      <canvas ref={ref} onMouseMove={onMove} onMouseLeave={() => setHover(null)} className="absolute inset-0 w-full h-full" />
+      {hovered && (
+        <div className="absolute pointer-events-none px-2 py-1 rounded-md bg-slate-950/90 border border-slate-600 text-xs text-slate-200 space-y-0.5"
+          style={{ left: Math.min(hover.x + 12, 9999), top: hover.y + 12 }}>
+          <div className="font-mono text-amber-300">{hovered.car.id}{hovered.car.lane ? ` · Lane ${hovered.car.lane}` : ""}</div>
+          <div>{stageText(hovered)}</div>
+          <div>In system {(now - hovered.car.arrival).toFixed(1)} min</div>
+          <div>{hovered.car.isMobile ? "Mobile order" : "Orders at the post"} · {hovered.car.order.items.length} items</div>
+        </div>
+      )}
       {/* Overlay HUD labels */}
       <div className="absolute left-4 top-4 px-2 py-1 rounded-md bg-black/30 backdrop-blur text-xs text-slate-200">
-        <span className="mr-2">🟢 Lane A</span>
-        <span className="mr-2">🔵 Lane B</span>
+        {site.lanes.map((l) => <span key={l.id} className="mr-2" style={{ color: l.color }}>● {l.label}</span>)}
         <span className="mr-2">🟡 Pay</span>
         <span>🟣 Pickup</span>
       </div>
@@ -431,42 +458,156 @@ function Control({ label, value, onChange, min = 0, max = 1, step = 0.01 }) {
   );
 }
 
-function Legend() {
+function DistributionControl({ label, spec, rate, onChange }) {
+  const [error, setError] = useState("");
+  const mean = rate > 0 ? 1 / rate : 0;
+  const cvLocked = spec.type === "exponential" || spec.type === "deterministic" || spec.type === "empirical";
+  const cv = distCv(spec);
+
+  async function upload(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      const bins = parseHistogram(await file.text());
+      const stats = histogramStats(bins);
+      onChange({ type: "empirical", cv: stats.cv, bins, source: file.name }, 1 / stats.mean);
+      setError("");
+    } catch (err) { setError(err.message); }
+  }
+
+  return (
+    <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+      <div className="text-sm text-slate-200 font-medium">{label}</div>
+      <select value={spec.type} onChange={(e) => onChange({ ...spec, type: e.target.value }, rate)} className="w-full h-8 rounded-md bg-slate-950 border border-slate-600 text-sm px-2">
+        {DIST_TYPES.map((d) => <option key={d.id} value={d.id}>{d.label}</option>)}
+      </select>
+      <div className="grid grid-cols-2 gap-2 text-xs text-slate-400">
+        <label className="space-y-1">
+          <span>Mean (min)</span>
+          <Input type="number" min={0.05} step={0.05} value={+mean.toFixed(2)} onChange={(e) => { const v = parseFloat(e.target.value); if (v > 0) onChange(spec, 1 / v); }} className="h-8 text-right" />
+        </label>
+        <label className="space-y-1">
+          <span>CV</span>
+          <Input type="number" min={0} max={3} step={0.05} value={+(cvLocked ? cv : spec.cv).toFixed(2)} disabled={cvLocked} onChange={(e) => { const v = parseFloat(e.target.value); if (v >= 0) onChange({ ...spec, cv: v }, rate); }} className="h-8 text-right" />
+        </label>
+      </div>
+      {spec.type === "erlang" && <div className="text-xs text-slate-400">k = {erlangK(spec.cv)} (cv {cv.toFixed(2)})</div>}
+      {spec.type === "triangular" && spec.cv > cv && <div className="text-xs text-slate-400">Capped at cv {cv.toFixed(2)} to stay positive</div>}
+      {spec.type === "empirical" && (
+        <div className="space-y-1 text-xs text-slate-400">
+          <div>{spec.bins ? `${histogramStats(spec.bins).n} obs${spec.source ? ` from ${spec.source}` : ""}` : "Upload observed times (minutes, one per line or value,count)"}</div>
+          <input type="file" accept=".csv,.txt" onChange={upload} className="w-full text-xs" />
+          {error && <div className="text-rose-400">{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Curbside is its own channel: runner staffing, promises and spot turnover
+function CurbsideStats({ curbside: c, waiting, runners }) {
+  const pct = (a, b) => (b ? `${((100 * a) / b).toFixed(0)}%` : "–");
+  return (
+    <div className="col-span-2 p-3 rounded-xl bg-slate-900/80 border border-slate-700">
+      <div className="text-slate-300 text-xs uppercase tracking-wider mb-2">Curbside · {runners} runner{runners === 1 ? "" : "s"} · {waiting} parked</div>
+      <div className="grid grid-cols-3 gap-2 text-center">
+        <div><div className="text-xl font-bold text-sky-300">{pct(c.busyMin, c.capacityMin)}</div><div className="text-xs text-slate-400">Runner util.</div></div>
+        <div><div className="text-xl font-bold text-sky-300">{pct(c.onTime, c.delivered)}</div><div className="text-xs text-slate-400">On time</div></div>
+        <div><div className="text-xl font-bold text-sky-300">{c.delivered ? (c.dwellSum / c.delivered).toFixed(1) : "–"}</div><div className="text-xs text-slate-400">Avg dwell (max {c.dwellMax.toFixed(0)}m)</div></div>
+      </div>
+    </div>
+  );
+}
+
+// Make-line shared by every channel; the window either waits on food or food waits on the car
+function KitchenStats({ kitchen: k, backlog, stations }) {
+  const pct = (a, b) => (b ? `${((100 * a) / b).toFixed(0)}%` : "–");
+  return (
+    <div className="col-span-2 p-3 rounded-xl bg-slate-900/80 border border-slate-700">
+      <div className="text-slate-300 text-xs uppercase tracking-wider mb-2">Kitchen · {stations} station{stations === 1 ? "" : "s"} · {backlog} items in backlog</div>
+      <div className="grid grid-cols-3 gap-2 text-center">
+        <div><div className="text-xl font-bold text-orange-300">{pct(k.busyMin, k.capacityMin)}</div><div className="text-xs text-slate-400">Station util.</div></div>
+        <div><div className="text-xl font-bold text-orange-300">{pct(k.onFood, k.pickups)}</div><div className="text-xs text-slate-400">Window waits on food ({k.onFood ? (k.foodWaitMin / k.onFood).toFixed(1) : "–"}m)</div></div>
+        <div><div className="text-xl font-bold text-orange-300">{pct(k.onCustomer, k.pickups)}</div><div className="text-xs text-slate-400">Food waits on car ({k.onCustomer ? (k.holdMin / k.onCustomer).toFixed(1) : "–"}m)</div></div>
+      </div>
+    </div>
+  );
+}
+
+function DaypartTable({ byDaypart, dayparts }) {
+  const rows = [...dayparts.map((d) => d.name), "Other"].filter((name) => byDaypart[name]);
+  if (!rows.length) return null;
+  return (
+    <table className="col-span-2 w-full text-xs text-slate-300">
+      <thead className="text-slate-400 uppercase tracking-wider">
+        <tr><th className="text-left font-medium">Daypart</th><th className="text-right font-medium">Arrivals</th><th className="text-right font-medium">Served</th><th className="text-right font-medium">Parked</th><th className="text-right font-medium">Avg wait</th></tr>
+      </thead>
+      <tbody>
+        {rows.map((name) => {
+          const d = byDaypart[name];
+          return (
+            <tr key={name} className="border-t border-slate-700/60">
+              <td className="py-1">{name}</td><td className="text-right">{d.arrivals}</td><td className="text-right">{d.served}</td><td className="text-right">{d.parked}</td>
+              <td className="text-right">{d.served ? (d.waitSum / d.served).toFixed(1) : "–"} min</td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+function Legend({ site }) {
   return (
     <div className="flex flex-wrap items-center gap-2 text-xs">
-      <Badge className="bg-emerald-500 text-black">Lane A</Badge>
-      <Badge className="bg-cyan-400 text-black">Lane B</Badge>
+      {site.lanes.map((l) => <Badge key={l.id} className="text-black" style={{ background: l.color }}>{l.label}</Badge>)}
       <Badge className="bg-yellow-400 text-black">Pay</Badge>
       <Badge className="bg-violet-400 text-black">Pickup</Badge>
       <Badge className="bg-sky-400 text-black">Reserved</Badge>
       <Badge variant="secondary" className="bg-white text-black">Occupied</Badge>
+      <Badge className="bg-pink-400 text-black">Curbside car</Badge>
+      <Badge className="bg-orange-400 text-black">Runner</Badge>
+      <Badge className="bg-slate-800 text-slate-200 border border-rose-500">Blocked / waiting on food</Badge>
+      <Badge className="bg-slate-800 text-slate-200">● App order</Badge>
     </div>
   );
 }
 
 // ------------------------------ App ---------------------------------------
 export default function App() {
-  const sim = useSimulation();
+  const [restored] = useState(recallCurrent);
+  const sim = useSimulation(restored);
   const [hc, setHc] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const mapRef = useRef(null);
 
-  const m = sim.metrics.current;
+  // Remember the working setup so a reload picks up where we left off
+  useEffect(() => { rememberCurrent(captureScenario({ name: "Current", params: sim.params, site: sim.site, seed: sim.seed })); }, [sim.params, sim.site, sim.seed]);
+
+  const m = sim.metrics;
+  const trip = useMemo(() => journeyStats(m.journeys, sim.params.slaTargets), [m.journeys, m.journeys.length, sim.params.slaTargets]);
   const kpis = useMemo(() => ([
     { label: "Arrivals", value: m.arrivals },
     { label: "Served", value: m.served },
     { label: "Parked", value: m.parked },
     { label: "Avg Wait", value: m.avgWait.toFixed(1), unit: "min" },
+    { label: "p50/p90/p95 time", value: trip.n ? `${trip.total.p50.toFixed(1)}/${trip.total.p90.toFixed(1)}/${trip.total.p95.toFixed(1)}` : "–", unit: "min" },
+    { label: "SLA breaches", value: `${trip.breaches.total} / ${trip.anyBreach}`, unit: "total / any" },
     { label: "Max WIP", value: m.maxWip },
-  ]), [sim.queues]);
-
-  // Predict current ETA for a new arrival choosing best lane vs. curbside
-  const arrivalPerMin = sim.params.arrivalRate / 60;
-  const etaOrderA = expectedWaitMinutes(sim.queues.order.A.length + 1, sim.params.orderRate, sim.params.orderServers.A);
-  const etaOrderB = expectedWaitMinutes(sim.queues.order.B.length + 1, sim.params.orderRate, sim.params.orderServers.B);
-  const etaPay = expectedWaitMinutes(sim.queues.pay.length + 1, sim.params.payRate, sim.params.payServers);
-  const etaPickup = expectedWaitMinutes(sim.queues.pickup.length + 1, sim.params.pickupRate, sim.params.pickupServers);
-  const etaA = (etaOrderA || 0) + (etaPay || 0) + (etaPickup || 0);
-  const etaB = (etaOrderB || 0) + (etaPay || 0) + (etaPickup || 0);
-  const advise = Math.min(etaA, etaB) > sim.params.divertThresholdMin ? "Divert to curbside" : `Use lane ${etaA < etaB ? 'A' : 'B'}`;
+    { label: "Lost (balk/renege)", value: `${m.balked}/${m.reneged}` },
+    { label: "Revenue", value: `$${m.revenue.toFixed(0)}` },
+    { label: "Avg ticket", value: m.served ? `$${(m.revenue / m.served).toFixed(2)}` : "–" },
+    { label: "Revenue / labor hr", value: m.laborMin ? `$${(m.revenue / (m.laborMin / 60)).toFixed(0)}` : "–" },
+    { label: "Lost revenue (balk/renege)", value: `$${m.lostBalkRevenue.toFixed(0)}/$${m.lostRenegeRevenue.toFixed(0)}` },
+    { label: "Diverted to curbside", value: `$${m.divertedRevenue.toFixed(0)}` },
+  ]), [m, sim.now, trip]);
+
+  // Predict current ETA for a new arrival choosing best lane vs. curbside (same predictor the engine routes with)
+  const sys = { queues: sim.queues, params: sim.params, site: sim.site };
+  const laneEtas = sim.site.lanes.map((lane) => ({ lane, eta: carEta(sys, lane.id, false, sim.now), steady: laneSteadyState(sim.params, sim.site, lane.id, sim.now) }));
+  const best = chooseBestLane(sys, false, sim.now);
+  const advise = best.eta > sim.params.divertThresholdMin ? "Divert to curbside" : `Use lane ${best.lane}`;
+  const fmt = (v) => (isFinite(v) ? v.toFixed(1) : '∞');
 
   return (
     <div className={`min-h-screen ${hc ? 'bg-slate-950' : 'bg-white'} p-6 text-white`}>
@@ -478,10 +619,16 @@ export default function App() {
             <h1 className="text-3xl md:text-4xl font-extrabold tracking-tight text-amber-300 drop-shadow">Drive‑Thru Optimizer</h1>
           </div>
           <div className="flex items-center gap-2">
-            <Button onClick={() => sim.setRunning((r) => !r)} className="rounded-2xl bg-emerald-500 text-black hover:bg-emerald-400">
+            <Button onClick={() => sim.setRunning(!sim.running)} className="rounded-2xl bg-emerald-500 text-black hover:bg-emerald-400">
               {sim.running ? <Pause className="mr-2 h-4 w-4" /> : <Play className="mr-2 h-4 w-4" />} {sim.running ? "Pause" : "Start"}
             </Button>
-            <Button variant="secondary" onClick={sim.reset} className="rounded-2xl border border-slate-600"><RefreshCw className="mr-2 h-4 w-4" />Reset</Button>
+            <Button variant="secondary" onClick={() => sim.reset()} className="rounded-2xl border border-slate-600"><RefreshCw className="mr-2 h-4 w-4" />Reset</Button>
+            <Button variant="secondary" onClick={() => sim.runTo(DAY_MINUTES)} className="rounded-2xl border border-slate-600"><FastForward className="mr-2 h-4 w-4" />Run 8h</Button>
+            <Button variant="secondary" onClick={sim.replay} className="rounded-2xl border border-slate-600"><Rewind className="mr-2 h-4 w-4" />Replay</Button>
+            <div className="flex items-center gap-2 ml-3">
+              <span className="text-xs text-slate-300">Seed</span>
+              <Input value={sim.seed} onChange={(e) => sim.reset(e.target.value)} className="w-24 h-8 text-right" />
+            </div>
             <div className="flex items-center gap-2 ml-3">
               <span className="text-xs text-slate-300">High Contrast</span>
               <Switch checked={hc} onCheckedChange={setHc} />
@@ -492,15 +639,29 @@ export default function App() {
         {/* Top content */}
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           <Card className="lg:col-span-2 bg-slate-900/70 border-slate-700">
-            <CardHeader>
+            <CardHeader className="flex flex-row items-center justify-between">
               <CardTitle className="flex items-center gap-2 text-amber-300"><LayoutGrid className="h-5 w-5" /> Site Map</CardTitle>
+              {!editing && (
+                <Button variant="secondary" onClick={() => { sim.setRunning(false); setEditing(true); }} className="rounded-2xl border border-slate-600"><Pencil className="mr-2 h-4 w-4" />Edit layout</Button>
+              )}
             </CardHeader>
             <CardContent>
-              <CanvasMap queues={sim.queues} spots={sim.spots} />
-              <div className="flex items-center gap-3 mt-4 text-xs text-slate-400">
-                <Legend />
-                <span className="ml-auto">Animation is synthetic for realism; queues and bays reflect live counts.</span>
-              </div>
+              {editing ? (
+                <SiteEditor site={sim.site} onApply={(site) => { sim.setSite(site); setEditing(false); }} onCancel={() => setEditing(false)} />
+              ) : (
+                <>
+                  <CanvasMap site={sim.site} queues={sim.queues} spots={sim.spots} now={sim.now} params={sim.params} canvasRef={mapRef} />
+                  <div className="mt-3">
+                    <PlaybackBar running={sim.running} setRunning={sim.setRunning} now={sim.now} reached={sim.reached} params={sim.params}
+                      speed={sim.speed} setSpeed={sim.setSpeed} stepEvent={sim.stepEvent} stepMinute={sim.stepMinute} seek={sim.seek}
+                      breakpoints={sim.breakpoints} setBreakpoints={sim.setBreakpoints} paused={sim.paused} />
+                  </div>
+                  <div className="flex items-center gap-3 mt-4 text-xs text-slate-400">
+                    <Legend site={sim.site} />
+                    <span className="ml-auto">Every car is a simulated car; hover one for its stage and time in system.</span>
+                  </div>
+                </>
+              )}
             </CardContent>
           </Card>
 
@@ -512,7 +673,10 @@ export default function App() {
               {kpis.map((k) => (
                 <Stat key={k.label} {...k} />
               ))}
-              <div className="col-span-2 text-xs text-slate-400">Time: {sim.now.toFixed(1)} min</div>
+              <CurbsideStats curbside={m.curbside} waiting={sim.queues.curbside.length} runners={sim.params.curbsideRunners} />
+              <KitchenStats kitchen={m.kitchen} backlog={sim.kitchen.queue.length + sim.kitchen.busy} stations={sim.params.kitchenStations} />
+              <DaypartTable byDaypart={m.byDaypart} dayparts={sim.params.dayparts} />
+              <div className="col-span-2 text-xs text-slate-400">Time: {sim.now.toFixed(1)} min · Clock {formatClock(clockHour(sim.params, sim.now))}</div>
             </CardContent>
           </Card>
         </div>
@@ -522,15 +686,15 @@ export default function App() {
           <CardHeader>
             <CardTitle className="text-amber-300">Predicted ETA (now)</CardTitle>
           </CardHeader>
-          <CardContent className="grid grid-cols-1 md:grid-cols-3 gap-4">
-            <div className="p-4 rounded-2xl bg-slate-900/80 border border-slate-700">
-              <div className="text-slate-300 text-xs mb-1">Lane A</div>
-              <div className="text-2xl font-bold text-emerald-400">{isFinite(etaA) ? etaA.toFixed(1) : '∞'}<span className="text-xs ml-1">min</span></div>
-            </div>
-            <div className="p-4 rounded-2xl bg-slate-900/80 border border-slate-700">
-              <div className="text-slate-300 text-xs mb-1">Lane B</div>
-              <div className="text-2xl font-bold text-cyan-300">{isFinite(etaB) ? etaB.toFixed(1) : '∞'}<span className="text-xs ml-1">min</span></div>
-            </div>
+          <CardContent className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-4 gap-4">
+            {laneEtas.map(({ lane, eta, steady }) => (
+              <div key={lane.id} className="p-4 rounded-2xl bg-slate-900/80 border border-slate-700">
+                <div className="text-slate-300 text-xs mb-1">{lane.label} · wait</div>
+                <div className="text-2xl font-bold" style={{ color: lane.color }}>{fmt(eta.wait)}<span className="text-xs ml-1">min</span></div>
+                <div className="text-xs text-slate-400 mt-1">Out in {fmt(eta.total)} min (p90 {fmt(eta.p90)})</div>
+                <div className="text-xs text-slate-500">Steady state {fmt(steady.mean)} min (p90 {fmt(steady.p90)})</div>
+              </div>
+            ))}
             <div className="p-4 rounded-2xl bg-slate-900/80 border border-slate-700 flex items-center justify-between">
               <div>
                 <div className="text-slate-300 text-xs mb-1">Advisor</div>
@@ -547,25 +711,90 @@ export default function App() {
             <CardTitle className="flex items-center gap-2 text-amber-300"><Car className="h-5 w-5" /> Controls</CardTitle>
           </CardHeader>
           <CardContent className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            <Control label="Arrivals/hr" value={sim.params.arrivalRate} onChange={(v)=> sim.setParams(p=>({...p, arrivalRate: v}))} min={1} max={120} step={1} />
+            <Control label="Arrivals/hr (× profile)" value={sim.params.arrivalRate} onChange={(v)=> sim.setParams(p=>({...p, arrivalRate: v}))} min={1} max={120} step={1} />
             <Control label="Mobile share" value={sim.params.mobileShare} onChange={(v)=> sim.setParams(p=>({...p, mobileShare: v}))} min={0} max={1} step={0.05} />
             <Control label="Divert threshold (min)" value={sim.params.divertThresholdMin} onChange={(v)=> sim.setParams(p=>({...p, divertThresholdMin: v}))} min={2} max={20} step={0.5} />
             <Control label="Order rate /server (1/min)" value={sim.params.orderRate} onChange={(v)=> sim.setParams(p=>({...p, orderRate: v}))} min={0.2} max={2} step={0.05} />
             <Control label="Pay rate /server (1/min)" value={sim.params.payRate} onChange={(v)=> sim.setParams(p=>({...p, payRate: v}))} min={0.2} max={3} step={0.05} />
             <Control label="Pickup rate /server (1/min)" value={sim.params.pickupRate} onChange={(v)=> sim.setParams(p=>({...p, pickupRate: v}))} min={0.2} max={3} step={0.05} />
-            <Control label="Order servers A" value={sim.params.orderServers.A} onChange={(v)=> sim.setParams(p=>({...p, orderServers:{...p.orderServers, A: Math.round(v)}}))} min={1} max={3} step={1} />
-            <Control label="Order servers B" value={sim.params.orderServers.B} onChange={(v)=> sim.setParams(p=>({...p, orderServers:{...p.orderServers, B: Math.round(v)}}))} min={1} max={3} step={1} />
+            {sim.site.lanes.map((lane) => (
+              <Control key={lane.id} label={`Order servers ${lane.id}`} value={sim.params.orderServers[lane.id]} onChange={(v)=> sim.setParams(p=>({...p, orderServers:{...p.orderServers, [lane.id]: Math.round(v)}}))} min={1} max={3} step={1} />
+            ))}
             <Control label="Pay servers" value={sim.params.payServers} onChange={(v)=> sim.setParams(p=>({...p, payServers: Math.round(v)}))} min={1} max={3} step={1} />
             <Control label="Pickup servers" value={sim.params.pickupServers} onChange={(v)=> sim.setParams(p=>({...p, pickupServers: Math.round(v)}))} min={1} max={3} step={1} />
-            <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 flex items-center justify-between">
-              <div>
-                <div className="text-sm text-slate-200 font-medium">Auto staff rebalance</div>
-                <div className="text-xs text-slate-400">Shift a server to the current bottleneck.</div>
+            <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 space-y-2">
+              <div className="text-sm text-slate-200 font-medium">Site layout</div>
+              <select value={Object.keys(SITE_PRESETS).find((k) => SITE_PRESETS[k].name === sim.site.name) ?? ""} onChange={(e) => sim.setSite(SITE_PRESETS[e.target.value])} className="w-full h-8 rounded-md bg-slate-950 border border-slate-600 text-sm px-2">
+                {Object.entries(SITE_PRESETS).map(([id, site]) => <option key={id} value={id}>{site.lanes.length} ordering lane{site.lanes.length > 1 ? "s" : ""}</option>)}
+                {!Object.values(SITE_PRESETS).some((p) => p.name === sim.site.name) && <option value="">Custom: {sim.site.name}</option>}
+              </select>
+              <div className="text-sm text-slate-200 font-medium">Merge at pay</div>
+              <select value={sim.params.mergeDiscipline} onChange={(e) => sim.setParams(p => ({ ...p, mergeDiscipline: e.target.value }))} className="w-full h-8 rounded-md bg-slate-950 border border-slate-600 text-sm px-2">
+                {MERGE_DISCIPLINES.map((d) => <option key={d.id} value={d.id}>{d.label}</option>)}
+              </select>
+            </div>
+            <Control label="Lane stack (car lengths)" value={sim.site.lanes[0].stack} onChange={(v)=> sim.setSite({ ...sim.site, lanes: sim.site.lanes.map((l) => ({ ...l, stack: Math.round(v) })) })} min={1} max={15} step={1} />
+            <Control label="Pay stack (car lengths)" value={sim.site.stacks.pay} onChange={(v)=> sim.setSite({ ...sim.site, stacks: { ...sim.site.stacks, pay: Math.round(v) } })} min={1} max={10} step={1} />
+            <Control label="Pickup stack (car lengths)" value={sim.site.stacks.pickup} onChange={(v)=> sim.setSite({ ...sim.site, stacks: { ...sim.site.stacks, pickup: Math.round(v) } })} min={1} max={10} step={1} />
+            <Control label="Kitchen stations" value={sim.params.kitchenStations} onChange={(v)=> sim.setParams(p=>({...p, kitchenStations: Math.round(v)}))} min={1} max={8} step={1} />
+            <Control label="Curbside runners" value={sim.params.curbsideRunners} onChange={(v)=> sim.setParams(p=>({...p, curbsideRunners: Math.round(v)}))} min={1} max={6} step={1} />
+            <Control label="Curbside promise (min)" value={sim.params.curbsidePromiseMin} onChange={(v)=> sim.setParams(p=>({...p, curbsidePromiseMin: v}))} min={2} max={30} step={0.5} />
+            <Control label="Balk tolerance (cars visible)" value={sim.params.balkTolerance} onChange={(v)=> sim.setParams(p=>({...p, balkTolerance: Math.round(v)}))} min={1} max={30} step={1} />
+            <div className="space-y-2">
+              <div className="p-3 rounded-xl bg-slate-900/80 border border-slate-700 flex items-center justify-between">
+                <div>
+                  <div className="text-sm text-slate-200 font-medium">Reneging</div>
+                  <div className="text-xs text-slate-400">Cars leave the lane when patience runs out.</div>
+                </div>
+                <Switch checked={sim.params.patienceMin > 0} onCheckedChange={(v)=> sim.setParams(p=>({...p, patienceMin: v ? 15 : 0}))} />
               </div>
-              <Switch checked={sim.params.autoRebalance} onCheckedChange={(v)=> sim.setParams(p=>({...p, autoRebalance: v}))} />
+              {sim.params.patienceMin > 0 && (
+                <DistributionControl label="Patience" spec={sim.params.patience} rate={1 / sim.params.patienceMin}
+                  onChange={(spec, rate) => sim.setParams(p => ({ ...p, patience: spec, patienceMin: 1 / rate }))} />
+              )}
             </div>
+            {[["order", "Order service"], ["pay", "Pay service"], ["pickup", "Pickup service"], ["prep", "Kitchen prep per item"], ["curbside", "Curbside handoff"]].map(([stage, label]) => (
+              <DistributionControl key={stage} label={label} spec={sim.params.service[stage]} rate={sim.params[`${stage}Rate`]}
+                onChange={(spec, rate) => sim.setParams(p => ({ ...p, service: { ...p.service, [stage]: spec }, [`${stage}Rate`]: rate }))} />
+            ))}
           </CardContent>
         </Card>
+
+        {/* Saved / shared scenarios */}
+        <ScenarioLibrary params={sim.params} site={sim.site} seed={sim.seed} onLoad={sim.load} />
+
+        {/* Per-car journeys + SLA */}
+        <JourneyPanel journeys={m.journeys} params={sim.params} site={sim.site} setParams={sim.setParams} />
+
+        {/* Time series from metrics.history */}
+        <ChartsPanel history={m.history} historyEvery={m.historyEvery} params={sim.params} />
+
+        {/* PDF / HTML report */}
+        <ReportExport state={sim} advice={advise} mapRef={mapRef} />
+
+        {/* Monte Carlo batch (headless) */}
+        <BatchRunner params={sim.params} site={sim.site} seed={sim.seed} />
+
+        {/* Scenario comparison (common random numbers) */}
+        <ScenarioCompare params={sim.params} site={sim.site} seed={sim.seed} MapComponent={CanvasMap} />
+
+        {/* Parameter sweep + Pareto front */}
+        <SweepPanel params={sim.params} site={sim.site} seed={sim.seed} setParams={sim.setParams} />
+
+        {/* Staff rebalancing */}
+        <RebalancePanel params={sim.params} site={sim.site} setParams={sim.setParams} now={sim.now} log={m.staffLog} inTransit={sim.inTransit} />
+
+        {/* Menu */}
+        <MenuEditor params={sim.params} setParams={sim.setParams} />
+
+        {/* Recorded traces */}
+        <TraceImport params={sim.params} site={sim.site} setParams={sim.setParams} seed={sim.seed} trace={sim.trace} setTrace={sim.setTrace} />
+
+        {/* Arrival profile */}
+        <ProfileEditor params={sim.params} setParams={sim.setParams} now={sim.now} />
+
+        {/* Staffing plan */}
+        <StaffingPlanner params={sim.params} site={sim.site} setParams={sim.setParams} seed={sim.seed} />
       </div>
     </div>
   );
@@ -0,0 +1,44 @@
+/**
+ * Event calendar for the discrete-event engine
+ * - Binary min-heap keyed on (time, insertion seq) -> deterministic tie order
+ * - Plain data only, so engine state can be cloned/snapshotted as-is
+ */
+
+export const createCalendar = () => ({ heap: [], seq: 0 });
+
+const before = (a, b) => a.t < b.t || (a.t === b.t && a.seq < b.seq);
+
+export function schedule(cal, t, type, data) {
+  const ev = { t, seq: cal.seq++, type, ...data };
+  const h = cal.heap;
+  h.push(ev);
+  let i = h.length - 1;
+  while (i > 0) {
+    const p = (i - 1) >> 1;
+    if (!before(h[i], h[p])) break;
+    [h[i], h[p]] = [h[p], h[i]]; i = p;
+  }
+  return ev;
+}
+
+export const peekTime = (cal) => (cal.heap.length ? cal.heap[0].t : Infinity);
+
+export function popEvent(cal) {
+  const h = cal.heap;
+  if (!h.length) return null;
+  const top = h[0];
+  const last = h.pop();
+  if (h.length) {
+    h[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let m = i;
+      if (l < h.length && before(h[l], h[m])) m = l;
+      if (r < h.length && before(h[r], h[m])) m = r;
+      if (m === i) break;
+      [h[i], h[m]] = [h[m], h[i]]; i = m;
+    }
+  }
+  return top;
+}
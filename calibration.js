@@ -0,0 +1,308 @@
+import { percentile } from "./journeys";
+import { normInv } from "./predict";
+import { formatClock } from "./profiles";
+import { laneIds } from "./site";
+
+/**
+ * Calibration from an imported trace (see ./trace)
+ * - Arrivals: Poisson MLE per clock bucket -> arrivalRate + piecewise profile,
+ *   checked with the time-rescaling KS test
+ * - Service: per-stage times recovered from completion stamps, then MLE fits
+ *   (exponential, gamma, lognormal); best by AIC, with KS distance + p-value;
+ *   time blocked behind a full stack is kept out, and anything that can't be
+ *   fitted reliably is reported in `warnings`
+ * - Mobile share: Bernoulli MLE; patience: exponential MLE with right-censoring
+ * - applyCalibration() writes the fitted values into params
+ */
+
+// ------------------------------- Special functions -------------------------
+// Lanczos log-gamma
+function lnGamma(x) {
+  const g = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x, tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  let ser = 1.000000000190015;
+  for (const c of g) ser += c / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// Regularized lower incomplete gamma P(a, x): series below a+1, continued fraction above
+function gammaP(a, x) {
+  if (x <= 0) return 0;
+  const lead = -x + a * Math.log(x) - lnGamma(a);
+  if (x < a + 1) {
+    let sum = 1 / a, term = sum;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-12; n++) { term *= x / (a + n); sum += term; }
+    return sum * Math.exp(lead);
+  }
+  let b = x + 1 - a, c = 1e300, d = 1 / b, h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b; if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c; if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const del = d * c; h *= del;
+    if (Math.abs(del - 1) < 1e-12) break;
+  }
+  return 1 - Math.exp(lead) * h;
+}
+
+// Standard normal CDF (Abramowitz–Stegun 7.1.26)
+function normCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + y) / 2 : (1 - y) / 2;
+}
+
+function digamma(x) {
+  let r = 0;
+  while (x < 6) { r -= 1 / x; x += 1; }
+  const f = 1 / (x * x);
+  return r + Math.log(x) - 0.5 / x - f * (1 / 12 - f * (1 / 120 - f * (1 / 252 - f * (1 / 240 - f / 132))));
+}
+
+function trigamma(x) {
+  let r = 0;
+  while (x < 6) { r += 1 / (x * x); x += 1; }
+  const f = 1 / (x * x);
+  return r + 1 / x + f / 2 + (f / x) * (1 / 6 - f * (1 / 30 - f * (1 / 42 - f / 30)));
+}
+
+// Kolmogorov distribution tail: P(D_n > d)
+function ksPValue(d, n) {
+  const l = (Math.sqrt(n) + 0.12 + 0.11 / Math.sqrt(n)) * d;
+  let sum = 0;
+  for (let k = 1; k <= 100; k++) {
+    const term = 2 * (k % 2 ? 1 : -1) * Math.exp(-2 * k * k * l * l);
+    sum += term;
+    if (Math.abs(term) < 1e-10) break;
+  }
+  return Math.min(1, Math.max(0, sum));
+}
+
+function ksStat(xs, cdf) {
+  const sorted = xs.slice().sort((a, b) => a - b);
+  const n = sorted.length;
+  let d = 0;
+  sorted.forEach((x, i) => { const F = cdf(x); d = Math.max(d, F - i / n, (i + 1) / n - F); });
+  return { ks: d, pValue: ksPValue(d, n) };
+}
+
+// ------------------------------- Distribution fits -------------------------
+// Each fit: { type, mean, cv, logLik, k (free params), pdf, cdf }
+const sum = (xs, f = (x) => x) => xs.reduce((a, x) => a + f(x), 0);
+
+function fitExponential(xs) {
+  const mean = sum(xs) / xs.length;
+  return {
+    type: "exponential", mean, cv: 1, k: 1,
+    logLik: -xs.length * Math.log(mean) - sum(xs) / mean,
+    pdf: (x) => (x < 0 ? 0 : Math.exp(-x / mean) / mean),
+    cdf: (x) => (x < 0 ? 0 : 1 - Math.exp(-x / mean)),
+  };
+}
+
+// Shape from Minka's closed-form start, polished with Newton on ln k − ψ(k) = s
+function fitGamma(xs) {
+  const mean = sum(xs) / xs.length;
+  const s = Math.log(mean) - sum(xs, Math.log) / xs.length;
+  let shape = s > 0 ? (3 - s + Math.sqrt((s - 3) ** 2 + 24 * s)) / (12 * s) : 1e3;
+  for (let i = 0; i < 20 && s > 0; i++) {
+    const next = shape - (Math.log(shape) - digamma(shape) - s) / (1 / shape - trigamma(shape));
+    if (!(next > 0)) break;
+    if (Math.abs(next - shape) < 1e-9 * shape) { shape = next; break; }
+    shape = next;
+  }
+  const scale = mean / shape;
+  const lnPdf = (x) => (shape - 1) * Math.log(x) - x / scale - shape * Math.log(scale) - lnGamma(shape);
+  return {
+    type: "gamma", mean, cv: 1 / Math.sqrt(shape), k: 2, shape,
+    logLik: sum(xs, lnPdf),
+    pdf: (x) => (x <= 0 ? 0 : Math.exp(lnPdf(x))),
+    cdf: (x) => gammaP(shape, x / scale),
+  };
+}
+
+function fitLognormal(xs) {
+  const logs = xs.map(Math.log);
+  const mu = sum(logs) / xs.length;
+  const sigma = Math.sqrt(Math.max(1e-12, sum(logs, (l) => (l - mu) ** 2) / xs.length));
+  const lnPdf = (x) => -Math.log(x * sigma * Math.sqrt(2 * Math.PI)) - (Math.log(x) - mu) ** 2 / (2 * sigma * sigma);
+  return {
+    type: "lognormal", mean: Math.exp(mu + (sigma * sigma) / 2), cv: Math.sqrt(Math.exp(sigma * sigma) - 1), k: 2,
+    logLik: sum(xs, lnPdf),
+    pdf: (x) => (x <= 0 ? 0 : Math.exp(lnPdf(x))),
+    cdf: (x) => (x <= 0 ? 0 : normCdf((Math.log(x) - mu) / sigma)),
+  };
+}
+
+const FITTERS = [fitExponential, fitGamma, fitLognormal];
+const MIN_SAMPLES = 8;
+
+// All candidate fits ranked by AIC, each with its KS goodness of fit
+export function fitDistribution(xs) {
+  const data = xs.filter((x) => x > 1e-6 && isFinite(x));
+  if (data.length < MIN_SAMPLES) return null;
+  const fits = FITTERS.map((f) => f(data))
+    .filter((f) => isFinite(f.logLik))
+    .map((f) => ({ ...f, aic: 2 * f.k - 2 * f.logLik, ...ksStat(data, f.cdf) }))
+    .sort((a, b) => a.aic - b.aic);
+  return { n: data.length, best: fits[0], fits, histogram: histogram(data, fits[0]) };
+}
+
+// Empirical density per bin next to the fitted density at the bin middle
+function histogram(xs, fit, bins = 16) {
+  const sorted = xs.slice().sort((a, b) => a - b);
+  const hi = percentile(sorted, 0.99) || 1;
+  const w = hi / bins;
+  const counts = new Array(bins).fill(0);
+  for (const x of xs) if (x <= hi) counts[Math.min(bins - 1, Math.floor(x / w))]++;
+  return counts.map((c, i) => ({ x: +((i + 0.5) * w).toFixed(2), empirical: c / (xs.length * w), fitted: fit.pdf((i + 0.5) * w) }));
+}
+
+// Engine spec for a fit: stage rate + { type, cv }
+const toSpec = (fit) => ({ rate: 1 / fit.mean, spec: { type: fit.type, cv: +fit.cv.toFixed(3) } });
+
+// ------------------------------- Service times -----------------------------
+/**
+ * Service time per car from completion stamps: a car starts when it reaches
+ * the stage and a server is free, i.e. when one of the last `servers` cars has
+ * left the window. A car that finished but found the next stack full keeps its
+ * window (blocking), so it leaves only once the car `stack` places ahead of it
+ * in the next stage has moved on; without that, the next car's service would
+ * absorb the blocked time (30%+ at a busy pay window).
+ */
+function departures(list, servers) {
+  const sorted = list.slice().sort((a, b) => a.done - b.done);
+  return sorted.map((c, i) => {
+    const free = i >= servers ? Math.min(...sorted.slice(i - servers, i).map((p) => p.leave)) : -Infinity;
+    return { rec: c.rec, x: c.done - Math.max(c.reach, free), blocked: c.leave > c.done };
+  });
+}
+
+// When each car could leave `stage`: its done stamp, or later if the next
+// stage's stack (cars entered but not yet out of it) was full
+function leaveTimes(records, stage, next, stack, nextLeave = null) {
+  const leave = new Map(records.map((r) => [r, r[stage]]));
+  if (!isFinite(stack)) return leave;
+  const entered = records.filter((r) => r[stage] !== undefined && r[next] !== undefined).sort((a, b) => a[stage] - b[stage]);
+  entered.forEach((r, i) => {
+    if (i < stack) return;
+    const ahead = entered[i - stack];
+    leave.set(r, Math.max(r[stage], nextLeave?.get(ahead) ?? ahead[next]));
+  });
+  return leave;
+}
+
+export function serviceSamples(records, params, site) {
+  const lanes = laneIds(site);
+  const warnings = [];
+  // Pickup exits freely; pay waits on the pickup stack; order waits on the pay stack
+  const payLeave = leaveTimes(records, "pay", "pickup", site.stacks?.pickup ?? Infinity);
+  const orderLeave = leaveTimes(records, "order", "pay", site.stacks?.pay ?? Infinity, payLeave);
+  const stamp = (r, reach, done, leave) => ({ rec: r, reach, done, leave: leave ?? done });
+
+  // Lanes are separate queues: without a lane column the order fit can't tell
+  // whose server freed up, so it is skipped rather than guessed
+  const order = [];
+  if (lanes.length === 1 || records.some((r) => r.lane)) {
+    for (const L of lanes.length > 1 ? lanes : [lanes[0]]) {
+      const cars = records.filter((r) => r.order !== undefined && (lanes.length === 1 || r.lane === L));
+      order.push(...departures(cars.map((r) => stamp(r, r.arrival, r.order, orderLeave.get(r))), params.orderServers[L]));
+    }
+  } else {
+    warnings.push({ stage: "order", message: "No lane column: order service can't be separated per lane, so it was not fitted" });
+  }
+  const pay = departures(records.filter((r) => r.pay !== undefined && r.order !== undefined).map((r) => stamp(r, r.order, r.pay, payLeave.get(r))), params.payServers);
+  const pickup = departures(records.filter((r) => r.pickup !== undefined && r.pay !== undefined).map((r) => stamp(r, r.pay, r.pickup)), params.pickupServers);
+  for (const [stage, list] of Object.entries({ order, pay })) {
+    const n = list.filter((s) => s.blocked).length;
+    if (n) warnings.push({ stage, message: `${n} cars were held at the ${stage} window by a full stack; that time is kept out of the fit` });
+  }
+  return { order, pay, pickup, warnings };
+}
+
+// ------------------------------- Arrivals ----------------------------------
+export function fitArrivals(records, startHour, bucketMin = 15) {
+  const times = records.map((r) => r.arrival).sort((a, b) => a - b);
+  if (times.length < MIN_SAMPLES) return null;
+  const span = Math.max(bucketMin, Math.ceil((times[times.length - 1] + 1e-9) / bucketMin) * bucketMin);
+  const buckets = Array.from({ length: span / bucketMin }, (_, i) => ({ t0: i * bucketMin, n: 0 }));
+  for (const t of times) buckets[Math.min(buckets.length - 1, Math.floor(t / bucketMin))].n++;
+  const perHour = (n) => (n / bucketMin) * 60;
+  const base = (times.length / span) * 60; // MLE of a constant rate, cars/hr
+  const points = buckets.map((b) => ({ h: ((startHour + b.t0 / 60) % 24 + 24) % 24, v: +(perHour(b.n) / base).toFixed(3) }));
+  // Outside the recorded window the base rate applies
+  points.push({ h: ((startHour + span / 60) % 24 + 24) % 24, v: 1 });
+  // Time rescaling: under the fitted piecewise rate, Λ-increments are Exp(1)
+  const cumulative = (t) => {
+    const i = Math.min(buckets.length - 1, Math.floor(t / bucketMin));
+    let L = 0;
+    for (let j = 0; j < i; j++) L += buckets[j].n;
+    return L + (buckets[i].n * (t - buckets[i].t0)) / bucketMin;
+  };
+  const gaps = [];
+  for (let i = 1; i < times.length; i++) gaps.push(cumulative(times[i]) - cumulative(times[i - 1]));
+  return {
+    n: times.length, arrivalRate: +base.toFixed(1),
+    profile: { label: "Fitted", shape: "piecewise", points },
+    buckets: buckets.map((b, i) => ({ label: formatClock(points[i].h), observed: perHour(b.n), fitted: base * points[i].v })),
+    ...ksStat(gaps.filter((g) => g > 0), (x) => 1 - Math.exp(-x)),
+  };
+}
+
+// ------------------------------- Mobile + patience --------------------------
+export function fitMobileShare(records) {
+  const tagged = records.filter((r) => r.isMobile !== undefined);
+  if (!tagged.length) return null;
+  const p = tagged.filter((r) => r.isMobile).length / tagged.length;
+  const half = normInv(0.975) * Math.sqrt((p * (1 - p)) / tagged.length);
+  return { n: tagged.length, share: p, lo: Math.max(0, p - half), hi: Math.min(1, p + half) };
+}
+
+/**
+ * Exponential patience with right-censoring: cars that left give their full
+ * patience; cars that reached the post only show they'd wait at least their
+ * queue time. MLE mean = total exposure / abandonments.
+ */
+export function fitPatience(records, orderSamples) {
+  const service = new Map(orderSamples.map((s) => [s.rec, s.x]));
+  let exposure = 0, left = 0;
+  for (const r of records) {
+    if (r.left !== undefined) { exposure += r.left - r.arrival; left++; }
+    else if (r.order !== undefined) exposure += Math.max(0, r.order - r.arrival - (service.get(r) ?? 0));
+  }
+  if (!left) return null;
+  return { n: left, mean: exposure / left, censored: records.length - left };
+}
+
+// ------------------------------- Report ------------------------------------
+export function calibrate(records, params, site, { startHour = params.startHour } = {}) {
+  const { warnings, ...samples } = serviceSamples(records, params, site);
+  const service = Object.fromEntries(Object.entries(samples).map(([stage, list]) => [stage, fitDistribution(list.map((s) => s.x))]));
+  return {
+    cars: records.length,
+    warnings,
+    arrivals: fitArrivals(records, startHour),
+    service,
+    mobile: fitMobileShare(records),
+    patience: fitPatience(records, samples.order),
+    startHour,
+  };
+}
+
+// Write every fitted value into params; anything that couldn't be fitted is kept
+export function applyCalibration(params, report) {
+  const next = { ...params, service: { ...params.service } };
+  if (report.arrivals) Object.assign(next, { arrivalRate: report.arrivals.arrivalRate, arrivalProfile: report.arrivals.profile, startHour: Math.floor(report.startHour * 4) / 4 });
+  for (const [stage, fit] of Object.entries(report.service)) {
+    if (!fit) continue;
+    const { rate, spec } = toSpec(fit.best);
+    next[`${stage}Rate`] = +rate.toFixed(3);
+    next.service[stage] = spec;
+  }
+  if (report.mobile) Object.assign(next, { mobileShare: +report.mobile.share.toFixed(3), mobileProfile: null });
+  if (report.patience) Object.assign(next, { patienceMin: +report.patience.mean.toFixed(2), patience: { type: "exponential", cv: 1 } });
+  return next;
+}
@@ -0,0 +1,126 @@
+/**
+ * Service-time distributions
+ * - Every spec is { type, cv, ...extra }; the mean comes from the stage rate
+ *   (mean = 1 / rate) so the existing rate sliders stay the single source of truth
+ * - Empirical specs carry histogram bins and are rescaled to the requested mean
+ */
+
+export const DIST_TYPES = [
+  { id: "exponential", label: "Exponential" },
+  { id: "deterministic", label: "Deterministic" },
+  { id: "lognormal", label: "Lognormal" },
+  { id: "gamma", label: "Gamma" },
+  { id: "erlang", label: "Erlang‑k" },
+  { id: "triangular", label: "Triangular" },
+  { id: "empirical", label: "Empirical" },
+];
+
+// Symmetric triangular on [m-h, m+h] has cv = h / (m·√6); h <= m keeps it positive
+const TRI_MAX_CV = 1 / Math.sqrt(6);
+
+export const erlangK = (cv) => Math.max(1, Math.round(1 / Math.max(cv, 1e-3) ** 2));
+
+// ------------------------------- Moments -----------------------------------
+export function histogramStats(bins) {
+  let n = 0, s = 0, s2 = 0;
+  for (const b of bins) {
+    const mid = (b.lo + b.hi) / 2, w = b.hi - b.lo;
+    n += b.n; s += b.n * mid; s2 += b.n * (mid * mid + (w * w) / 12);
+  }
+  const mean = n > 0 ? s / n : 0;
+  const variance = n > 0 ? Math.max(0, s2 / n - mean * mean) : 0;
+  return { n, mean, cv: mean > 0 ? Math.sqrt(variance) / mean : 0 };
+}
+
+// Effective coefficient of variation actually produced by the sampler
+export function distCv(spec) {
+  switch (spec.type) {
+    case "exponential": return 1;
+    case "deterministic": return 0;
+    case "erlang": return 1 / Math.sqrt(erlangK(spec.cv));
+    case "triangular": return Math.min(spec.cv, TRI_MAX_CV);
+    case "empirical": return histogramStats(spec.bins || []).cv;
+    default: return spec.cv;
+  }
+}
+
+// ------------------------------- Sampling ----------------------------------
+function normal(rng) {
+  const u = 1 - rng.next(), v = rng.next();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Marsaglia–Tsang, scale 1
+function gammaUnit(shape, rng) {
+  if (shape < 1) return gammaUnit(shape + 1, rng) * Math.pow(1 - rng.next(), 1 / shape);
+  const d = shape - 1 / 3, c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x, v;
+    do { x = normal(rng); v = 1 + c * x; } while (v <= 0);
+    v = v * v * v;
+    const u = 1 - rng.next();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+function sampleHistogram(bins, rng) {
+  const total = bins.reduce((a, b) => a + b.n, 0);
+  let r = rng.next() * total;
+  for (const b of bins) {
+    if ((r -= b.n) <= 0) return b.lo + rng.next() * (b.hi - b.lo);
+  }
+  const last = bins[bins.length - 1];
+  return last ? last.hi : 0;
+}
+
+export function sampleDist(spec, mean, rng) {
+  if (!(mean > 0) || !isFinite(mean)) return Infinity;
+  const cv = Math.max(0, spec.cv ?? 1);
+  switch (spec.type) {
+    case "deterministic": return mean;
+    case "lognormal": {
+      if (cv === 0) return mean;
+      const s2 = Math.log(1 + cv * cv);
+      return Math.exp(Math.log(mean) - s2 / 2 + Math.sqrt(s2) * normal(rng));
+    }
+    case "gamma": {
+      if (cv === 0) return mean;
+      const shape = 1 / (cv * cv);
+      return gammaUnit(shape, rng) * (mean / shape);
+    }
+    case "erlang": {
+      const k = erlangK(cv);
+      let s = 0; for (let i = 0; i < k; i++) s -= Math.log(1 - rng.next());
+      return (s / k) * mean;
+    }
+    case "triangular": {
+      const h = mean * Math.sqrt(6) * Math.min(cv, TRI_MAX_CV);
+      const u = rng.next();
+      return mean - h + h * (u < 0.5 ? Math.sqrt(2 * u) : 2 - Math.sqrt(2 * (1 - u)));
+    }
+    case "empirical": {
+      const { mean: hMean } = histogramStats(spec.bins || []);
+      return hMean > 0 ? sampleHistogram(spec.bins, rng) * (mean / hMean) : mean;
+    }
+    default: return -Math.log(1 - rng.next()) * mean;
+  }
+}
+
+// ------------------------------- Upload ------------------------------------
+// Accepts raw observations (one per line) or "value,count" rows; minutes.
+// Rows stay (value, count) pairs, so a huge count costs nothing to bin
+export function parseHistogram(text, binCount = 12) {
+  const rows = [];
+  for (const line of text.split(/\r?\n/)) {
+    const cells = line.split(/[,;\t]/).map((c) => parseFloat(c));
+    if (!isFinite(cells[0]) || cells[0] < 0) continue;
+    const count = cells.length > 1 && isFinite(cells[1]) ? Math.max(0, Math.round(cells[1])) : 1;
+    if (count > 0) rows.push({ v: cells[0], count });
+  }
+  if (rows.reduce((a, r) => a + r.count, 0) < 2) throw new Error("Need at least two numeric observations");
+  const lo = rows.reduce((a, r) => Math.min(a, r.v), Infinity), hi = rows.reduce((a, r) => Math.max(a, r.v), -Infinity);
+  const width = (hi - lo) / binCount || 1;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ lo: lo + i * width, hi: lo + (i + 1) * width, n: 0 }));
+  for (const { v, count } of rows) bins[Math.min(binCount - 1, Math.floor((v - lo) / width))].n += count;
+  return bins;
+}
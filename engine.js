@@ -0,0 +1,664 @@
+import { createCalendar, peekTime, popEvent, schedule } from "./calendar";
+import { sampleDist } from "./distributions";
+import { arrivalRateAt, clockHour, daypartAt, DEFAULT_DAYPARTS, mobileShareAt, PROFILE_PRESETS, profileMax } from "./profiles";
+import { DEFAULT_SLA_TARGETS, percentile } from "./journeys";
+import { DEFAULT_MENU, generateOrder, orderEffort, prepEffort } from "./menu";
+import { DEFAULT_REBALANCE, getServers, POLICIES, setServers } from "./policies";
+import { carEta } from "./predict";
+import { createRng } from "./rng";
+import { DEFAULT_SITE, fitOrderServers, laneIds, makeParking, siteMeters, withSpotGeometry } from "./site";
+
+/**
+ * Drive‑Thru simulation engine (headless)
+ * - No React / DOM: runs in the browser hook, node scripts or workers
+ * - All randomness comes from seeded RNG streams -> same seed, same run
+ * - One stream per source (arrivals, each stage, patience, ...) so scenarios
+ *   run on common random numbers: adding a pay server doesn't reshuffle arrivals
+ * - Produces an event log + metrics; the UI only renders engine state
+ */
+
+export const DEFAULT_PARAMS = {
+  arrivalRate: 36, // cars/hour
+  mobileShare: 0.35,
+  divertThresholdMin: 7,
+  orderRate: 0.8,
+  payRate: 1.3,
+  pickupRate: 1.0,
+  orderServers: { A: 1, B: 1 },
+  payServers: 1,
+  pickupServers: 1,
+  curbsideRate: 0.5, // 1 / mean handoff minutes at the car (walks come from spot distance)
+  curbsideRunners: 1,
+  curbsidePromiseMin: 10, // pickup time quoted to each parked car
+  runnerSpeed: 70, // runner walking speed, m/min
+  prepRate: 1, // 1 / mean minutes to make an average menu item at a kitchen station
+  kitchenStations: 3, // make-line stations shared by drive-thru, mobile and curbside
+  menu: DEFAULT_MENU, // item mix, prices and group sizes; order/pay/prep times scale with the order
+  service: {
+    order: { type: "deterministic", cv: 0 },
+    pay: { type: "deterministic", cv: 0 },
+    pickup: { type: "deterministic", cv: 0 },
+    curbside: { type: "triangular", cv: 0.25 },
+    prep: { type: "gamma", cv: 0.35 },
+  },
+  mergeDiscipline: "fifo", // see MERGE_DISCIPLINES in ./site
+  balkTolerance: 10, // cars visible in the chosen lane (incl. street) before a car drives off
+  patienceMin: 15, // mean time a car will sit in the lane before ordering; 0 disables reneging
+  patience: { type: "exponential", cv: 1 },
+  autoRebalance: true,
+  rebalance: DEFAULT_REBALANCE, // active policy + per-policy cooldown / walk delay, see ./policies
+  slaTargets: DEFAULT_SLA_TARGETS, // minutes; whole visit and per stage, see ./journeys
+  staffingPlan: null, // per-interval server counts from ./staffing; overrides the sliders while set
+  startHour: 10, // clock time at t = 0
+  arrivalProfile: PROFILE_PRESETS.flat,
+  mobileProfile: null, // null -> constant mobileShare
+  dayparts: DEFAULT_DAYPARTS,
+};
+
+const ENTRANCE = { x: 6, y: 70 };
+
+// ------------------------------- Queue Model -------------------------------
+// Lane with the shortest predicted queueing delay for this car; eta is that delay
+export const chooseBestLane = (sys, isMobile, now = 0) => {
+  let best = null;
+  for (const L of laneIds(sys.site)) {
+    const prediction = carEta(sys, L, isMobile, now);
+    if (!best || prediction.wait < best.wait) best = prediction;
+  }
+  return { lane: best.lane, eta: best.wait, prediction: best };
+};
+
+export function chooseParkingSpot(spots, opts) {
+  // ev: keep charging bays free for cars that need them
+  const { entrance = ENTRANCE, w = { dist: 1, exit: 0.6, cong: 0.8, angle: 0.2, ev: 0.5 } } = opts || {};
+  let best = null, bestScore = Infinity;
+  for (const s of spots) {
+    if (s.occupied || s.reserved) continue;
+    // Layout-derived distance when the spot has one (see withSpotGeometry)
+    const dist = s.distance ?? Math.hypot(s.x - entrance.x, s.y - entrance.y);
+    const score = w.dist * dist + w.exit * s.exitFriction + w.cong * s.localCongestion + w.angle * (s.backIn ? 0.7 : 0) + (w.ev ?? 0) * (s.ev ? 1 : 0);
+    if (score < bestScore) { bestScore = score; best = s; }
+  }
+  return best;
+}
+
+// ------------------------------- Curbside ----------------------------------
+const metersPerMapUnit = (site) => siteMeters(site) / 100; // spots live in 0..100 map units
+
+// Runners leave from the store door (bottom middle of the store footprint)
+const storeDoor = (site) => ({ x: (site.store.x + site.store.w / 2) * 100, y: (site.store.y + site.store.h) * 100 });
+
+// One-way runner walk from the store to a spot, in minutes
+export function runnerWalkMin(spot, site, params) {
+  const door = storeDoor(site);
+  return (Math.hypot(spot.x - door.x, spot.y - door.y) * metersPerMapUnit(site)) / params.runnerSpeed;
+}
+
+// Mean runner busy time per car (out, handoff, back) across the lot; for capacity planning
+export function runnerCycleMin(params, site) {
+  const spots = generateSpots(site, createRng(0)).filter((s) => !s.reserved);
+  const walk = spots.length ? spots.reduce((a, s) => a + runnerWalkMin(s, site, params), 0) / spots.length : 0;
+  return 2 * walk + 1 / params.curbsideRate;
+}
+
+// The site's parking layout in 0..100 map units (distance too), with this
+// run's starting occupancy and local congestion drawn from rng
+export function generateSpots(site, rng) {
+  const parking = site.parking ?? withSpotGeometry({ ...site, parking: makeParking() }).parking;
+  return parking.map((s) => ({
+    ...s, x: s.x * 100, y: s.y * 100, distance: s.distance === undefined ? undefined : s.distance / metersPerMapUnit(site),
+    occupied: rng.next() < 0.2, localCongestion: rng.next() * 0.6,
+  }));
+}
+
+// ------------------------------- Engine ------------------------------------
+// Discrete-event core: nothing happens between calendar events, so a whole
+// day runs in milliseconds and the UI just advances the clock to "now".
+export const HISTORY_EVERY_MIN = 0.25;
+// History is bounded: past this many points every other one is dropped and the
+// spacing doubles, so any run length fits (cumulative fields survive decimation)
+export const HISTORY_MAX_POINTS = 2000;
+export const ROLLING_WAIT_MIN = 15; // window for the rolling avg/p90 time in system
+const RNG_STREAMS = ["layout", "arrivals", "patience", "order", "pay", "pickup", "prep", "curbside"];
+const NEXT_STAGE = { order: "pay", pay: "pickup", pickup: null };
+
+const perLane = (site) => Object.fromEntries(laneIds(site).map((L) => [L, []]));
+// street: spill-back of cars that arrived to a full lane stack and wait outside the lot
+const emptyQueues = (site) => ({ order: perLane(site), street: perLane(site), pay: [], pickup: [], curbside: [] });
+const emptyMetrics = () => ({
+  arrivals: 0, served: 0, parked: 0, avgWait: 0, maxWip: 0, byDaypart: {},
+  history: [], historyEvery: HISTORY_EVERY_MIN, // see record(); minutes between kept points
+  balked: 0, reneged: 0, lost: 0, lostRevenue: 0,
+  revenue: 0, lostBalkRevenue: 0, lostRenegeRevenue: 0, divertedRevenue: 0,
+  laborMin: 0, // staffed minutes across every position (incl. kitchen and walkers)
+  // Window/post utilization; a blocked car still holds its server
+  stages: { order: { busyMin: 0, capacityMin: 0 }, pay: { busyMin: 0, capacityMin: 0 }, pickup: { busyMin: 0, capacityMin: 0 } },
+  journeys: [], // one per finished car, see journeyOf()
+  staffLog: [], // one entry per reassignment: { t, policy, from, to, reason, arriveAt }
+  curbside: { delivered: 0, onTime: 0, dwellSum: 0, dwellMax: 0, foodWaitSum: 0, busyMin: 0, capacityMin: 0 },
+  // Pickup window: "on food" = handoff due but food not made; "on customer" = food ready before the car
+  kitchen: { fired: 0, items: 0, busyMin: 0, capacityMin: 0, pickups: 0, onFood: 0, onCustomer: 0, foodWaitMin: 0, holdMin: 0 },
+});
+
+// trace: normalized records from ./trace; when given, they replace the synthetic arrival stream
+export function createSimulation(params = DEFAULT_PARAMS, { seed = 1, site = DEFAULT_SITE, trace = null } = {}) {
+  const rngs = Object.fromEntries(RNG_STREAMS.map((name) => [name, createRng(`${seed}/${name}`)]));
+  const rng = rngs.arrivals; // gaps, thinning and each car's attributes
+  const state = {
+    seed,
+    now: 0,
+    site: structuredClone(site),
+    params: { ...structuredClone(params), orderServers: fitOrderServers(site, params.orderServers) },
+    queues: emptyQueues(site),
+    spots: generateSpots(site, rngs.layout),
+    metrics: emptyMetrics(),
+    events: [],
+    calendar: createCalendar(),
+    rebalancePending: false,
+    cooldownUntil: 0,
+    transferToken: 0,
+    inTransit: [], // staff walking between stations: { to, arriveAt }
+    runnersBusy: 0,
+    recentWaits: [], // { t, w } of cars finished within ROLLING_WAIT_MIN
+    kitchen: { queue: [], busy: 0 }, // item jobs waiting for a station: { car, item, prep }
+    policyMemory: {},
+    shiftToken: 0,
+    arrivalToken: 0,
+    trace,
+    traceIndex: 0,
+    lastMergeLane: null,
+  };
+  const cal = state.calendar;
+
+  const log = (type, car, extra) => state.events.push({ t: state.now, type, car: car?.id, ...extra });
+
+  // Cars stay in their stage queue while being served (flagged inService)
+  const stageQueue = (stage, lane) => (stage === "order" ? state.queues.order[lane] : state.queues[stage]);
+  const stageServers = (stage, lane) => (stage === "order" ? state.params.orderServers[lane] : state.params[`${stage}Servers`]);
+  const laneStack = (L) => state.site.lanes.find((l) => l.id === L)?.stack ?? Infinity;
+  const isFull = (stage) => state.queues[stage].length >= (state.site.stacks?.[stage] ?? Infinity);
+  const serviceTime = (stage, effort = 1) => sampleDist(state.params.service[stage], effort / state.params[`${stage}Rate`], rngs[stage]);
+
+  function wip() {
+    const { queues } = state;
+    const ordering = [...Object.values(queues.order), ...Object.values(queues.street)].reduce((n, q) => n + q.length, 0);
+    return ordering + queues.pay.length + queues.pickup.length + queues.curbside.length;
+  }
+
+  // One history point: per-stage WIP, rolling wait stats, cumulative throughput,
+  // server allocation and parking occupancy
+  function record() {
+    const { metrics: m, queues, params: p, spots } = state;
+    const last = m.history[m.history.length - 1];
+    if (last && state.now - last.t < m.historyEvery - 1e-9) return;
+    const recent = state.recentWaits;
+    while (recent.length && recent[0].t < state.now - ROLLING_WAIT_MIN) recent.shift();
+    const waits = recent.map((r) => r.w).sort((a, b) => a - b);
+    const ordering = [...Object.values(queues.order), ...Object.values(queues.street)].reduce((n, q) => n + q.length, 0);
+    m.history.push({
+      t: state.now,
+      wip: wip(),
+      wait: m.avgWait,
+      kitchen: state.kitchen.queue.length + state.kitchen.busy,
+      stages: { order: ordering, pay: queues.pay.length, pickup: queues.pickup.length, curbside: queues.curbside.length },
+      waitAvg: waits.length ? waits.reduce((a, b) => a + b, 0) / waits.length : null,
+      waitP90: percentile(waits, 0.9),
+      served: m.served,
+      servers: { order: Object.values(p.orderServers).reduce((a, b) => a + b, 0), pay: p.payServers, pickup: p.pickupServers, curbside: p.curbsideRunners, kitchen: p.kitchenStations },
+      parking: spots.length ? spots.filter((sp) => sp.occupied).length / spots.length : 0,
+    });
+    if (m.history.length > HISTORY_MAX_POINTS) {
+      m.history = m.history.filter((_, i) => i % 2 === 0);
+      m.historyEvery *= 2;
+    }
+  }
+
+  function daypart(name) {
+    const parts = state.metrics.byDaypart;
+    return parts[name] || (parts[name] = { arrivals: 0, served: 0, parked: 0, lost: 0, waitSum: 0 });
+  }
+
+  function serve(car) {
+    const { metrics: m } = state;
+    m.served++; m.revenue += car.order.total;
+    const w = state.now - car.arrival;
+    m.avgWait = (m.avgWait * (m.served - 1) + w) / m.served;
+    const d = daypart(car.daypart); d.served++; d.waitSum += w;
+    state.recentWaits.push({ t: state.now, w });
+    m.journeys.push(journeyOf(car));
+  }
+
+  // Where a finished car spent its time: per stage queue / service / blocked minutes
+  function journeyOf(car) {
+    const p = car.progress;
+    const j = { id: car.id, arrival: car.arrival, done: state.now, total: state.now - car.arrival, lane: car.lane ?? null, isMobile: car.isMobile, curbside: car.state === "curbside", daypart: car.daypart, items: car.order.items.length, ticket: car.order.total, stages: {} };
+    if (j.curbside) {
+      j.stages.curbside = { queue: car.runnerAt - car.parkedAt, service: state.now - car.runnerAt, blocked: 0 };
+      return j;
+    }
+    ["order", "pay", "pickup"].forEach((stage, i, all) => {
+      const enter = stage === "order" ? car.arrival : p[`${stage}Enter`];
+      const leave = all[i + 1] ? p[`${all[i + 1]}Enter`] : state.now;
+      j.stages[stage] = { queue: p[`${stage}Start`] - enter, service: p[stage] - p[`${stage}Start`], blocked: leave - p[stage] };
+    });
+    return j;
+  }
+
+  function lose(car, reason) {
+    const { metrics: m } = state;
+    m[reason === "balk" ? "balked" : "reneged"]++; m.lost++; m.lostRevenue += car.order.total;
+    m[reason === "balk" ? "lostBalkRevenue" : "lostRenegeRevenue"] += car.order.total;
+    daypart(car.daypart).lost++;
+    log(reason, car, { lane: car.lane, row: car.traceRow });
+  }
+
+  // Candidates come at the profile's peak rate; thinning keeps λ(t)/λmax of them.
+  // The token invalidates the pending candidate when params change mid-run.
+  // With a trace, the next recorded arrival is scheduled instead.
+  function scheduleArrival() {
+    if (state.trace) {
+      const rec = state.trace[state.traceIndex];
+      if (rec) schedule(cal, Math.max(state.now, rec.arrival), "arrival", { record: state.traceIndex, token: state.arrivalToken });
+      return;
+    }
+    const lamMax = (state.params.arrivalRate / 60) * profileMax(state.params.arrivalProfile);
+    schedule(cal, state.now + rng.exp(lamMax), "arrival", { lamMax, token: state.arrivalToken });
+  }
+
+  function arrive(ev) {
+    if (ev.token !== state.arrivalToken) return;
+    const { params, queues, spots } = state;
+    const now = state.now;
+    const rec = state.trace?.[ev.record];
+    if (rec) state.traceIndex = ev.record + 1;
+    scheduleArrival();
+    if (!rec && rng.next() * ev.lamMax > arrivalRateAt(params, now)) return;
+    const car = { id: rng.uid(), arrival: now, isMobile: rec?.isMobile ?? rng.next() < mobileShareAt(params, now), progress: {} };
+    if (rec) car.traceRow = rec.row;
+    car.order = generateOrder(params.menu, rng);
+    car.daypart = daypartAt(params.dayparts, clockHour(params, now));
+    state.metrics.arrivals++; daypart(car.daypart).arrivals++;
+    const { eta, lane: bestLane, prediction } = chooseBestLane({ queues, params, site: state.site }, car.isMobile, now);
+    car.predicted = prediction.total;
+    if (car.isMobile) fireOrder(car); // app order: the kitchen starts on check-in, before the order post
+    const spot = eta > params.divertThresholdMin ? chooseParkingSpot(spots, { entrance: ENTRANCE }) : null;
+    if (spot) {
+      spot.occupied = true; car.parkingSpotId = spot.id; car.state = "curbside";
+      car.parkedAt = now; car.promisedAt = now + params.curbsidePromiseMin;
+      queues.curbside.push(car); state.metrics.parked++; daypart(car.daypart).parked++;
+      state.metrics.divertedRevenue += car.order.total;
+      fireOrder(car);
+      log("divert", car, { spot: spot.id, promisedAt: car.promisedAt, row: car.traceRow });
+    } else {
+      // A recorded lane wins over the model's choice, if this site has it
+      const lane = rec?.lane && state.queues.order[rec.lane] ? rec.lane : bestLane;
+      car.lane = lane;
+      if (queues.order[lane].length + queues.street[lane].length > params.balkTolerance) { lose(car, "balk"); return; }
+      if (queues.order[lane].length >= laneStack(lane)) {
+        queues.street[lane].push(car);
+        log("spill", car, { lane });
+      } else {
+        queues.order[lane].push(car);
+        schedule(cal, now, "start", { stage: "order", lane });
+      }
+      log("arrive", car, { lane, row: car.traceRow });
+      if (params.patienceMin > 0) schedule(cal, now + sampleDist(params.patience, params.patienceMin, rngs.patience), "renege", { car });
+    }
+  }
+
+  // Patience ran out before reaching the order post: leave the lane (or the street)
+  function renege(car) {
+    if (car.progress.orderStart !== undefined) return;
+    const { order, street } = state.queues;
+    for (const q of [order[car.lane], street[car.lane]]) {
+      const i = q.indexOf(car);
+      if (i < 0) continue;
+      q.splice(i, 1);
+      lose(car, "renege");
+      admitFromStreet(car.lane);
+      return;
+    }
+  }
+
+  function admitFromStreet(L) {
+    const { order, street } = state.queues;
+    let admitted = false;
+    while (street[L].length && order[L].length < laneStack(L)) { order[L].push(street[L].shift()); admitted = true; }
+    if (admitted) schedule(cal, state.now, "start", { stage: "order", lane: L });
+  }
+
+  // Which merged car the pay window takes next (queue is in order-completion order)
+  function nextAtMerge(waiting) {
+    const lanes = laneIds(state.site);
+    switch (state.params.mergeDiscipline) {
+      case "zipper": {
+        const from = lanes.indexOf(state.lastMergeLane);
+        for (let k = 1; k <= lanes.length; k++) {
+          const car = waiting.find((c) => c.lane === lanes[(from + k) % lanes.length]);
+          if (car) return car;
+        }
+        return waiting[0];
+      }
+      case "priority":
+        return waiting.reduce((best, c) => (lanes.indexOf(c.lane) < lanes.indexOf(best.lane) ? c : best));
+      default:
+        return waiting[0];
+    }
+  }
+
+  // Fill every free server at a stage: FIFO, except pay which follows the merge discipline
+  function startService(stage, lane) {
+    const q = stageQueue(stage, lane);
+    let busy = q.filter((c) => c.inService).length;
+    while (busy < stageServers(stage, lane)) {
+      const waiting = q.filter((c) => !c.inService);
+      if (!waiting.length) break;
+      const car = stage === "pay" ? nextAtMerge(waiting) : waiting[0];
+      if (stage === "pay") state.lastMergeLane = car.lane;
+      car.inService = true; car.progress[`${stage}Start`] = state.now; busy++;
+      const effort = stage === "pickup" ? 1 : orderEffort(state.params.menu, stage, car.order, car.isMobile, mobileShareAt(state.params, car.arrival));
+      schedule(cal, state.now + serviceTime(stage, effort), "complete", { stage, lane, car });
+      log("start", car, { stage, lane });
+    }
+  }
+
+  function completeService(stage, lane, car) {
+    if (stage === "order") fireOrder(car);
+    if (stage === "pickup" && !pickupReady(car)) return;
+    car.progress[stage] = state.now;
+    log(stage, car, stage === "order" ? { lane } : undefined);
+    // Blocking after service: the car keeps its window (and server) until the next stack has room
+    const next = NEXT_STAGE[stage];
+    if (next && isFull(next)) { car.blocked = true; log("blocked", car, { stage, lane }); return; }
+    advance(car, stage, lane);
+  }
+
+  // The window can only hand out food that exists: hold the car (and the server) until it does
+  function pickupReady(car) {
+    const k = state.metrics.kitchen;
+    if (car.foodReadyAt === undefined) {
+      if (car.awaitingFood === undefined) { car.awaitingFood = state.now; car.waitedOnFood = true; k.onFood++; log("waitFood", car); }
+      return false;
+    }
+    k.pickups++;
+    if (!car.waitedOnFood && car.foodReadyAt <= car.progress.pickupStart) { k.onCustomer++; k.holdMin += car.progress.pickupStart - car.foodReadyAt; }
+    return true;
+  }
+
+  function advance(car, stage, lane) {
+    const q = stageQueue(stage, lane);
+    q.splice(q.indexOf(car), 1);
+    car.inService = false; car.blocked = false;
+    const next = NEXT_STAGE[stage];
+    if (next) { state.queues[next].push(car); car.progress[`${next}Enter`] = state.now; schedule(cal, state.now, "start", { stage: next }); }
+    else serve(car);
+    schedule(cal, state.now, "start", { stage, lane });
+    freed(stage, lane);
+  }
+
+  // A car left `stage`: pull in street spill-back, or the longest-blocked upstream car
+  function freed(stage, lane) {
+    if (stage === "order") { admitFromStreet(lane); return; }
+    if (isFull(stage)) return;
+    const upstream = stage === "pay"
+      ? laneIds(state.site).flatMap((L) => state.queues.order[L].filter((c) => c.blocked).map((c) => ({ car: c, stage: "order", lane: L })))
+      : state.queues.pay.filter((c) => c.blocked).map((c) => ({ car: c, stage: "pay" }));
+    if (!upstream.length) return;
+    const first = upstream.reduce((a, b) => (b.car.progress[b.stage] < a.car.progress[a.stage] ? b : a));
+    advance(first.car, first.stage, first.lane);
+  }
+
+  // ---- Kitchen ----
+  // One make-line for every channel: items queue FIFO across orders for the next free station
+  function fireOrder(car) {
+    if (car.itemsLeft !== undefined) return;
+    const { items } = car.order;
+    car.itemsLeft = items.length; car.firedAt = state.now;
+    for (const id of items) state.kitchen.queue.push({ car, item: id, prep: serviceTime("prep", prepEffort(state.params.menu, id)) });
+    state.metrics.kitchen.fired++;
+    log("fire", car, { items: items.length });
+    startKitchen();
+  }
+
+  function startKitchen() {
+    const k = state.kitchen;
+    while (k.busy < state.params.kitchenStations && k.queue.length) {
+      const job = k.queue.shift();
+      k.busy++;
+      schedule(cal, state.now + job.prep, "cooked", { car: job.car });
+    }
+  }
+
+  function cooked(car) {
+    state.kitchen.busy--; state.metrics.kitchen.items++;
+    if (--car.itemsLeft === 0) foodReady(car);
+    startKitchen();
+  }
+
+  function foodReady(car) {
+    car.foodReadyAt = state.now;
+    log("food", car);
+    if (car.state === "curbside") dispatchRunners();
+    else if (car.awaitingFood !== undefined) {
+      state.metrics.kitchen.foodWaitMin += state.now - car.awaitingFood;
+      car.awaitingFood = undefined;
+      completeService("pickup", undefined, car);
+    }
+  }
+
+  // Curbside: a runner takes the food out once it is ready; earliest promise goes first
+  function dispatchRunners() {
+    const { queues, params } = state;
+    while (state.runnersBusy < params.curbsideRunners) {
+      const ready = queues.curbside.filter((c) => c.foodReadyAt !== undefined && c.runnerAt === undefined);
+      if (!ready.length) break;
+      const car = ready.reduce((a, b) => (b.promisedAt < a.promisedAt ? b : a));
+      const spot = state.spots.find((x) => x.id === car.parkingSpotId);
+      const walk = spot ? runnerWalkMin(spot, state.site, params) : 0;
+      const handoff = serviceTime("curbside");
+      car.runnerAt = state.now; state.runnersBusy++;
+      state.metrics.curbside.foodWaitSum += state.now - car.foodReadyAt;
+      schedule(cal, state.now + walk + handoff, "curbside", { car });
+      schedule(cal, state.now + 2 * walk + handoff, "runnerBack");
+      log("runner", car, { spot: car.parkingSpotId, walk });
+    }
+  }
+
+  function finishCurbside(car) {
+    const { queues, spots } = state;
+    const c = state.metrics.curbside;
+    const s = spots.find((x) => x.id === car.parkingSpotId); if (s) s.occupied = false;
+    queues.curbside.splice(queues.curbside.indexOf(car), 1);
+    const dwell = state.now - car.parkedAt;
+    c.delivered++; c.dwellSum += dwell; c.dwellMax = Math.max(c.dwellMax, dwell);
+    if (state.now <= car.promisedAt) c.onTime++;
+    serve(car); log("curbside", car, { spot: car.parkingSpotId, late: Math.max(0, state.now - car.promisedAt) });
+  }
+
+  // Server counts changed: let every stage pull waiting cars
+  function kickAll() {
+    for (const L of laneIds(state.site)) schedule(cal, state.now, "start", { stage: "order", lane: L });
+    schedule(cal, state.now, "start", { stage: "pay" });
+    schedule(cal, state.now, "start", { stage: "pickup" });
+    schedule(cal, state.now, "dispatch");
+    startKitchen();
+  }
+
+  function scheduleRebalance() {
+    if (!state.params.autoRebalance || state.rebalancePending) return;
+    state.rebalancePending = true;
+    schedule(cal, state.now + (state.params.rebalance?.checkEveryMin ?? DEFAULT_REBALANCE.checkEveryMin), "rebalance");
+  }
+
+  // Ask the active policy for a move; respect its cooldown
+  function rebalance() {
+    state.rebalancePending = false;
+    if (!state.params.autoRebalance) return;
+    const cfg = state.params.rebalance ?? DEFAULT_REBALANCE;
+    const policy = POLICIES[cfg.policy] ?? POLICIES.greedy;
+    const settings = { ...policy.defaults, ...cfg.settings?.[policy.id] };
+    if (state.now >= state.cooldownUntil) {
+      const memory = state.policyMemory[policy.id] || (state.policyMemory[policy.id] = {});
+      const move = policy.decide({ queues: state.queues, params: state.params, site: state.site, now: state.now }, settings, memory);
+      if (move && getServers(state.params, move.from) > 1) transfer(move, policy.id, settings);
+    }
+    scheduleRebalance();
+  }
+
+  // The mover leaves `from` now and serves neither stage until the walk ends.
+  // A busy server still finishes the car at the window; the stage just can't start new ones.
+  function transfer({ from, to, reason }, policy, { cooldownMin = 0, walkMin = 0 }) {
+    setServers(state.params, from, getServers(state.params, from) - 1);
+    const arriveAt = state.now + walkMin;
+    state.cooldownUntil = state.now + cooldownMin;
+    state.metrics.staffLog.push({ t: state.now, policy, from, to, reason, arriveAt });
+    log("rebalance", null, { from, to, policy });
+    if (walkMin > 0) {
+      state.inTransit.push({ to, arriveAt });
+      schedule(cal, arriveAt, "transfer", { to, token: state.transferToken });
+    } else arrived(to);
+  }
+
+  function arrived(to) {
+    setServers(state.params, to, getServers(state.params, to) + 1);
+    log("transfer", null, { to });
+    kickAll();
+  }
+
+  // Staffing plan: at every interval boundary on the clock, staff to the plan's slot.
+  // A new plan bumps the token so the old boundary chain dies out.
+  function applyShift() {
+    const plan = state.params.staffingPlan;
+    if (!plan) return;
+    const h = clockHour(state.params, state.now);
+    const slot = plan.slots.find((s) => ((h - s.h + 24) % 24) < plan.intervalMin / 60 - 1e-9);
+    if (slot) {
+      const p = state.params;
+      p.orderServers = fitOrderServers(state.site, slot.staff.order);
+      p.payServers = slot.staff.pay; p.pickupServers = slot.staff.pickup;
+      if (slot.staff.curbside !== undefined) p.curbsideRunners = slot.staff.curbside;
+      if (slot.staff.kitchen !== undefined) p.kitchenStations = slot.staff.kitchen;
+      state.transferToken++; state.inTransit = []; // the plan reassigns everyone, walkers included
+      log("shift", null, { slot: slot.label, staff: slot.staff });
+      kickAll();
+    }
+    const clockMin = h * 60;
+    const next = (Math.floor(clockMin / plan.intervalMin + 1e-9) + 1) * plan.intervalMin;
+    schedule(cal, state.now + (next - clockMin), "shift", { token: state.shiftToken });
+  }
+
+  const handlers = {
+    arrival: arrive,
+    start: (ev) => startService(ev.stage, ev.lane),
+    complete: (ev) => completeService(ev.stage, ev.lane, ev.car),
+    cooked: (ev) => cooked(ev.car),
+    dispatch: dispatchRunners,
+    curbside: (ev) => finishCurbside(ev.car),
+    runnerBack: () => { state.runnersBusy--; dispatchRunners(); },
+    renege: (ev) => renege(ev.car),
+    rebalance,
+    transfer: (ev) => {
+      if (ev.token !== state.transferToken) return;
+      const i = state.inTransit.findIndex((w) => w.to === ev.to && w.arriveAt === ev.t);
+      if (i >= 0) state.inTransit.splice(i, 1);
+      arrived(ev.to);
+    },
+    shift: (ev) => { if (ev.token === state.shiftToken) applyShift(); },
+    sample: () => {
+      // Runner, station and window utilization, integrated on the sampling grid
+      const c = state.metrics.curbside;
+      c.busyMin += Math.min(state.runnersBusy, state.params.curbsideRunners) * HISTORY_EVERY_MIN;
+      c.capacityMin += state.params.curbsideRunners * HISTORY_EVERY_MIN;
+      const k = state.metrics.kitchen;
+      k.busyMin += Math.min(state.kitchen.busy, state.params.kitchenStations) * HISTORY_EVERY_MIN;
+      k.capacityMin += state.params.kitchenStations * HISTORY_EVERY_MIN;
+      for (const [stage, u] of Object.entries(state.metrics.stages)) {
+        const lanes = stage === "order" ? laneIds(state.site) : [null];
+        for (const L of lanes) {
+          u.busyMin += Math.min(stageQueue(stage, L).filter((c) => c.inService).length, stageServers(stage, L)) * HISTORY_EVERY_MIN;
+          u.capacityMin += stageServers(stage, L) * HISTORY_EVERY_MIN;
+        }
+      }
+      // Labor: everyone on the clock, including staff walking between stations
+      const p = state.params;
+      const staffed = Object.values(p.orderServers).reduce((a, b) => a + b, 0) + p.payServers + p.pickupServers + p.curbsideRunners + p.kitchenStations + state.inTransit.length;
+      state.metrics.laborMin += staffed * HISTORY_EVERY_MIN;
+      record();
+      schedule(cal, state.now + HISTORY_EVERY_MIN, "sample");
+    },
+  };
+
+  // Process exactly one calendar event; returns it (or null when empty)
+  function stepEvent() {
+    const ev = popEvent(cal);
+    if (!ev) return null;
+    state.now = ev.t;
+    handlers[ev.type](ev);
+    state.metrics.maxWip = Math.max(state.metrics.maxWip, wip());
+    return ev;
+  }
+
+  // Run every event up to time t as fast as possible, then park the clock at t
+  function runUntil(t) {
+    while (peekTime(cal) <= t) stepEvent();
+    state.now = Math.max(state.now, t);
+  }
+
+  const step = (dt) => runUntil(state.now + dt);
+
+  // ---- Snapshots (playback rewind) ----
+  // Everything but the append-only logs is cloned; logs are kept by length and
+  // cut back on restore. The RNG streams are a single uint32 each.
+  function snapshot() {
+    const { events, trace, metrics, ...rest } = state;
+    const { history, journeys, staffLog, ...counters } = metrics;
+    return {
+      t: state.now,
+      state: structuredClone({ ...rest, metrics: counters }),
+      rngs: Object.fromEntries(Object.entries(rngs).map(([name, r]) => [name, r.state])),
+      lengths: { events: events.length, journeys: journeys.length, staffLog: staffLog.length },
+    };
+  }
+
+  // Rewind to a snapshot of this run; later log entries are dropped
+  function restore(snap) {
+    const { calendar, metrics, ...rest } = structuredClone(snap.state);
+    const live = state.metrics;
+    Object.assign(state, rest);
+    cal.heap = calendar.heap; cal.seq = calendar.seq; // handlers hold on to this calendar object
+    state.metrics = {
+      ...metrics,
+      // history may have been decimated since; keep its points up to the snapshot
+      history: live.history.filter((h) => h.t <= snap.t + 1e-9), historyEvery: live.historyEvery,
+      journeys: live.journeys.slice(0, snap.lengths.journeys),
+      staffLog: live.staffLog.slice(0, snap.lengths.staffLog),
+    };
+    state.events.length = snap.lengths.events;
+    for (const [name, value] of Object.entries(snap.rngs)) rngs[name].state = value;
+  }
+
+  function setParams(next) {
+    const planChanged = next.staffingPlan !== state.params.staffingPlan;
+    state.params = { ...structuredClone(next), orderServers: fitOrderServers(state.site, next.orderServers) };
+    state.arrivalToken++; scheduleArrival();
+    // Server counts set by hand are final: walkers still on their way don't land on top
+    state.transferToken++; state.inTransit = [];
+    scheduleRebalance();
+    if (planChanged) { state.shiftToken++; applyShift(); }
+    kickAll();
+  }
+
+  scheduleArrival();
+  schedule(cal, 0, "sample");
+  scheduleRebalance();
+  applyShift();
+
+  return { state, step, stepEvent, runUntil, setParams, snapshot, restore, wip, nextEventTime: () => peekTime(cal) };
+}
+
+// Run a whole horizon without any UI: same params + seed -> identical result
+export function runSimulation(params = DEFAULT_PARAMS, { seed = 1, horizon = 480, site = DEFAULT_SITE, trace = null } = {}) {
+  const sim = createSimulation(params, { seed, site, trace });
+  sim.runUntil(horizon);
+  return { events: sim.state.events, metrics: sim.state.metrics };
+}
@@ -0,0 +1,68 @@
+/**
+ * Per-car journeys (metrics.journeys) -> percentiles and SLA breaches
+ * - A journey: { id, arrival, done, total, lane, isMobile, curbside, daypart,
+ *   items, ticket, stages: { [stage]: { queue, service, blocked } } }
+ * - Drive-thru cars have order/pay/pickup stages; curbside cars one "curbside"
+ *   stage (queue = parked until a runner leaves, service = walk + handoff)
+ * - SLA targets are minutes for the whole visit and for each stage's time
+ *   (queue + service + blocked)
+ */
+
+export const JOURNEY_STAGES = [
+  { key: "order", label: "Order" },
+  { key: "pay", label: "Pay" },
+  { key: "pickup", label: "Pickup" },
+  { key: "curbside", label: "Curbside" },
+];
+
+export const DEFAULT_SLA_TARGETS = { total: 6, order: 2.5, pay: 2, pickup: 2, curbside: 10 };
+
+export const PERCENTILES = [["p50", 0.5], ["p90", 0.9], ["p95", 0.95]];
+
+export const stageTime = (s) => s.queue + s.service + s.blocked;
+
+// Nearest-rank percentile of an ascending array; every module's p50/p90 uses this one
+export const percentile = (sorted, p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))] : null);
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return {
+    n: sorted.length,
+    mean: sorted.length ? sorted.reduce((a, b) => a + b, 0) / sorted.length : null,
+    ...Object.fromEntries(PERCENTILES.map(([k, p]) => [k, percentile(sorted, p)])),
+    max: sorted.length ? sorted[sorted.length - 1] : null,
+  };
+}
+
+// Which targets a journey missed: ["total", "pay", ...]
+export function breaches(j, targets) {
+  const out = [];
+  if (targets.total != null && j.total > targets.total) out.push("total");
+  for (const [stage, s] of Object.entries(j.stages)) if (targets[stage] != null && stageTime(s) > targets[stage]) out.push(stage);
+  return out;
+}
+
+export function journeyStats(journeys, targets = DEFAULT_SLA_TARGETS) {
+  const stages = Object.fromEntries(JOURNEY_STAGES.map(({ key }) => {
+    const list = journeys.map((j) => j.stages[key]).filter(Boolean);
+    return [key, { queue: summarize(list.map((s) => s.queue)), service: summarize(list.map((s) => s.service)), time: summarize(list.map(stageTime)) }];
+  }));
+  const breachCounts = { total: 0, ...Object.fromEntries(JOURNEY_STAGES.map(({ key }) => [key, 0])) };
+  let anyBreach = 0;
+  for (const j of journeys) {
+    const b = breaches(j, targets);
+    for (const k of b) breachCounts[k]++;
+    if (b.length) anyBreach++;
+  }
+  return { n: journeys.length, total: summarize(journeys.map((j) => j.total)), stages, breaches: breachCounts, anyBreach };
+}
+
+export const DEFAULT_JOURNEY_FILTER = { lane: "all", channel: "all", mobile: "all", breachedOnly: false };
+
+export function filterJourneys(journeys, filter, targets) {
+  return journeys.filter((j) =>
+    (filter.lane === "all" || j.lane === filter.lane) &&
+    (filter.channel === "all" || (filter.channel === "curbside") === j.curbside) &&
+    (filter.mobile === "all" || (filter.mobile === "yes") === j.isMobile) &&
+    (!filter.breachedOnly || breaches(j, targets).length > 0));
+}
@@ -0,0 +1,122 @@
+/**
+ * Map motion — where each simulated car belongs on the canvas
+ * - Every drive-thru car follows its lane's route: lane path up to the order
+ *   post, on to the merge, through the pay bay, the pickup bay, then out along
+ *   the rest of the lane loop
+ * - A car's target is a distance along that route, from its queue position;
+ *   the renderer eases each car toward its target so motion stays smooth
+ *   between engine events
+ * - Diverted cars drive straight from the entrance into their parking spot
+ * - Pixel space: routes are rebuilt from the normalized site for the canvas size
+ */
+
+export const CAR_GAP_PX = 22; // bumper-to-bumper spacing in a queue
+export const SPOT_SIZE_PX = [28, 40]; // parking bay drawn at the spot's top-left (map units)
+
+// ---- Polyline helpers ----
+const dist = (a, b) => Math.hypot(b[0] - a[0], b[1] - a[1]);
+
+export function polyLength(poly) {
+  let len = 0;
+  for (let i = 1; i < poly.length; i++) len += dist(poly[i - 1], poly[i]);
+  return len;
+}
+
+// Point and heading at arc length d (clamped to the ends)
+export function pointAt(poly, d) {
+  let rest = Math.max(0, d);
+  for (let i = 1; i < poly.length; i++) {
+    const a = poly[i - 1], b = poly[i], seg = dist(a, b);
+    if (rest <= seg || i === poly.length - 1) {
+      const t = seg ? Math.min(1, rest / seg) : 0;
+      return { x: a[0] + (b[0] - a[0]) * t, y: a[1] + (b[1] - a[1]) * t, angle: Math.atan2(b[1] - a[1], b[0] - a[0]) };
+    }
+    rest -= seg;
+  }
+  return { x: poly[0][0], y: poly[0][1], angle: 0 };
+}
+
+// Closest point on a polyline: { i (segment start), point, d (arc length) }
+export function project(poly, p) {
+  let best = { i: 0, point: poly[0], d: 0, gap: Infinity };
+  let along = 0;
+  for (let i = 1; i < poly.length; i++) {
+    const a = poly[i - 1], b = poly[i], seg = dist(a, b);
+    const t = seg ? Math.max(0, Math.min(1, ((p[0] - a[0]) * (b[0] - a[0]) + (p[1] - a[1]) * (b[1] - a[1])) / (seg * seg))) : 0;
+    const q = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    const gap = dist(q, p);
+    if (gap < best.gap) best = { i: i - 1, point: q, d: along + seg * t, gap };
+    along += seg;
+  }
+  return best;
+}
+
+// Sub-polyline between two projections (from before to)
+function slice(poly, from, to) {
+  return [from.point, ...poly.slice(from.i + 1, to.i + 1), to.point];
+}
+
+// ---- Routes ----
+/**
+ * Per-lane routes in pixels: { poly, postD, payD, pickupD, length }.
+ * postD / payD / pickupD are where the car at each window stops.
+ */
+export function buildRoutes(site, width, height) {
+  const px = ([x, y]) => [x * width, y * height];
+  const payBay = site.payBay.map(px), pickupBay = site.pickupBay.map(px);
+  const merge = px(site.merge);
+  return Object.fromEntries(site.lanes.map((lane) => {
+    const path = lane.path.map(px);
+    const post = project(path, px(lane.orderPost));
+    const join = project(path, merge);
+    const rejoin = project(path, pickupBay[0]);
+    // Cars leave the pickup bay and rejoin the loop downstream of the merge
+    const exitFrom = rejoin.d >= join.d ? rejoin : join;
+    const approach = slice(path, { i: 0, point: path[0] }, post);
+    const toMerge = join.d > post.d ? slice(path, post, join) : [post.point, merge];
+    const pay = [...toMerge, ...payBay];
+    const pickup = [...pay, pickupBay[pickupBay.length - 1], pickupBay[0]];
+    const poly = [...approach, ...pickup.slice(1), ...slice(path, exitFrom, { i: path.length - 2, point: path[path.length - 1] })];
+    const postD = polyLength(approach);
+    return [lane.id, { poly, postD, payD: postD + polyLength(pay), pickupD: postD + polyLength(pickup), length: polyLength(poly) }];
+  }));
+}
+
+export const spotCenter = (spot, width, height) => [(spot.x / 100) * width + SPOT_SIZE_PX[0] / 2, (spot.y / 100) * height + SPOT_SIZE_PX[1] / 2];
+
+// Runners leave from the bottom middle of the store
+export const storeDoorPx = (site, width, height) => [(site.store.x + site.store.w / 2) * width, (site.store.y + site.store.h) * height];
+
+// ---- Targets ----
+/**
+ * Where every car in the engine's queues should be:
+ * Map(id -> { car, stage, lane, d } on the lane route, or { car, stage, street: i } / { car, stage, spotId }).
+ * In-service cars sit at the window; waiting cars line up behind it.
+ */
+export function carTargets(queues, routes) {
+  const out = new Map();
+  const line = (cars, stage, at) => {
+    const serving = cars.filter((c) => c.inService), waiting = cars.filter((c) => !c.inService);
+    serving.forEach((car, i) => out.set(car.id, { car, stage, lane: car.lane, d: at(car) - i * CAR_GAP_PX * 0.35 }));
+    waiting.forEach((car, i) => out.set(car.id, { car, stage, lane: car.lane, d: at(car) - (i + Math.min(1, serving.length)) * CAR_GAP_PX }));
+  };
+  for (const [L, cars] of Object.entries(queues.order)) {
+    if (!routes[L]) continue;
+    line(cars, "order", () => routes[L].postD);
+    queues.street[L].forEach((car, i) => out.set(car.id, { car, stage: "street", lane: L, street: i }));
+  }
+  line(queues.pay.filter((c) => routes[c.lane]), "pay", (c) => routes[c.lane].payD);
+  line(queues.pickup.filter((c) => routes[c.lane]), "pickup", (c) => routes[c.lane].pickupD);
+  for (const car of queues.curbside) out.set(car.id, { car, stage: "curbside", spotId: car.parkingSpotId });
+  return out;
+}
+
+export function stageText(target) {
+  const { car, stage } = target;
+  if (stage === "street") return "Waiting in the street (lane full)";
+  if (stage === "curbside") return car.runnerAt !== undefined ? "Curbside · runner on the way" : car.foodReadyAt !== undefined ? "Curbside · food ready" : "Curbside · waiting on kitchen";
+  const label = { order: "Order", pay: "Pay", pickup: "Pickup" }[stage];
+  if (car.blocked) return `${label} done · blocked`;
+  if (car.awaitingFood !== undefined) return "Pickup · waiting on food";
+  return car.inService ? `At ${label.toLowerCase()} window` : `Queued for ${label.toLowerCase()}`;
+}
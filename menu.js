@@ -0,0 +1,90 @@
+/**
+ * Menu + order model
+ * - Each car carries an order drawn from the menu: group size -> item count,
+ *   item mix by popularity weight, ticket from item prices
+ * - Stage times scale with the order; the stage rates stay the *average* rate
+ *   (an average order takes 1 / rate), so predictors and staffing keep working
+ * - Mobile orders spend MOBILE_ORDER_FACTOR of a walk-up order's time at the
+ *   post; both are rescaled by the mobile share so the average still holds
+ */
+
+export const DEFAULT_MENU = {
+  items: [
+    { id: "burger", name: "Burger", price: 6.5, prepMin: 2.2, weight: 3 },
+    { id: "chicken", name: "Chicken sandwich", price: 7, prepMin: 2.6, weight: 2 },
+    { id: "nuggets", name: "Nuggets", price: 5, prepMin: 1.8, weight: 1.5 },
+    { id: "fries", name: "Fries", price: 3, prepMin: 1.2, weight: 3 },
+    { id: "salad", name: "Salad", price: 8, prepMin: 1.5, weight: 0.6 },
+    { id: "drink", name: "Drink", price: 2.2, prepMin: 0.4, weight: 3.5 },
+    { id: "shake", name: "Shake", price: 4.5, prepMin: 1.4, weight: 0.8 },
+  ],
+  groupSizes: [0.45, 0.3, 0.15, 0.1], // P(1), P(2), P(3), P(4) people in the car
+  itemsPerPerson: 1.6,
+  // Relative effort: order taking grows with items, payment barely does
+  timing: { orderBase: 0.4, orderPerItem: 0.3, payBase: 1, payPerItem: 0.03 },
+};
+
+const pick = (weights, u) => {
+  const total = weights.reduce((a, b) => a + b, 0);
+  let x = u * total;
+  for (let i = 0; i < weights.length; i++) { x -= weights[i]; if (x <= 0) return i; }
+  return weights.length - 1;
+};
+
+// Poisson(mean) via Knuth; fine for the small means here
+function poisson(mean, rng) {
+  const L = Math.exp(-mean);
+  let k = 0, p = rng.next();
+  while (p > L) { k++; p *= rng.next(); }
+  return k;
+}
+
+export const meanGroupSize = (menu) => {
+  const total = menu.groupSizes.reduce((a, b) => a + b, 0) || 1;
+  return menu.groupSizes.reduce((a, w, i) => a + w * (i + 1), 0) / total;
+};
+
+// Everyone orders at least one item; extras are Poisson around itemsPerPerson
+export const meanItems = (menu) => meanGroupSize(menu) * Math.max(1, menu.itemsPerPerson);
+
+export function meanItemPrice(menu) {
+  const total = menu.items.reduce((a, it) => a + it.weight, 0) || 1;
+  return menu.items.reduce((a, it) => a + it.weight * it.price, 0) / total;
+}
+
+export function meanItemPrep(menu) {
+  const total = menu.items.reduce((a, it) => a + it.weight, 0) || 1;
+  return menu.items.reduce((a, it) => a + it.weight * it.prepMin, 0) / total;
+}
+
+export function generateOrder(menu, rng) {
+  const groupSize = 1 + pick(menu.groupSizes, rng.next());
+  const count = groupSize + poisson(groupSize * Math.max(0, menu.itemsPerPerson - 1), rng);
+  const weights = menu.items.map((it) => it.weight);
+  const items = Array.from({ length: count }, () => menu.items[pick(weights, rng.next())]);
+  return { groupSize, items: items.map((it) => it.id), total: items.reduce((a, it) => a + it.price, 0) };
+}
+
+// Mobile orders are pre-placed: the post only confirms them (the lane ETA uses this too)
+export const MOBILE_ORDER_FACTOR = 0.55;
+
+// Order-post multiplier for a mobile or walk-up car, normalized over the mix so
+// the share-weighted mean is 1 and orderRate stays the average rate
+export const mobileOrderScale = (isMobile, mobileShare) =>
+  (isMobile ? MOBILE_ORDER_FACTOR : 1) / (1 - mobileShare * (1 - MOBILE_ORDER_FACTOR));
+
+// Multiplier on a stage's average service time for this order (1 = average order)
+export function orderEffort(menu, stage, order, isMobile = false, mobileShare = 0) {
+  const { timing } = menu;
+  const effort = (n) => (stage === "order" ? timing.orderBase + timing.orderPerItem * n : timing.payBase + timing.payPerItem * n);
+  const mobile = stage === "order" ? mobileOrderScale(isMobile, mobileShare) : 1;
+  return (mobile * effort(order.items.length)) / effort(meanItems(menu));
+}
+
+// Item prep relative to the menu's average item
+export function prepEffort(menu, itemId) {
+  const item = menu.items.find((it) => it.id === itemId);
+  return item ? item.prepMin / meanItemPrep(menu) : 1;
+}
+
+export const expectedTicket = (menu) => meanItems(menu) * meanItemPrice(menu);
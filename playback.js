@@ -0,0 +1,105 @@
+/**
+ * Playback — speed, stepping, breakpoints and a rewindable timeline
+ * - Speed is a multiple of real time (1× = one simulated minute per minute)
+ * - Breakpoints are checked after every engine event and fire on the edge
+ *   (false -> true), so resuming doesn't stop again on the same condition
+ * - The timeline keeps an engine snapshot every few simulated minutes;
+ *   seeking back restores the latest one before the target and replays
+ *   forward (same seed -> the replayed stretch is identical)
+ * - Snapshots are bounded like the metrics history: past MAX_SNAPSHOTS every
+ *   other one is dropped and the spacing doubles (seeks replay a bit further)
+ */
+
+export const SPEEDS = [0.25, 0.5, 1, 2, 5, 10, 40, 100, 250, 1000];
+export const DEFAULT_SPEED = 40; // the old fixed pace: 0.08 min per 120 ms tick
+export const SNAPSHOT_EVERY_MIN = 5;
+export const MAX_SNAPSHOTS = 200;
+
+export const BREAKPOINT_KINDS = {
+  wip: { label: "WIP >", unit: "cars", test: (engine, limit) => engine.wip() > limit, why: (limit) => `WIP went above ${limit}` },
+  wait: { label: "A car waits >", unit: "min", test: (engine, limit) => longestWait(engine.state) > limit, why: (limit) => `a car has waited over ${limit} min` },
+};
+
+export const DEFAULT_BREAKPOINTS = [
+  { id: "bp1", kind: "wip", limit: 12, enabled: false },
+  { id: "bp2", kind: "wait", limit: 8, enabled: false },
+];
+
+// Longest time in system among the cars still on site
+export function longestWait(state) {
+  const { queues, now } = state;
+  let oldest = now;
+  const scan = (cars) => { for (const c of cars) if (c.arrival < oldest) oldest = c.arrival; };
+  for (const q of Object.values(queues.order)) scan(q);
+  for (const q of Object.values(queues.street)) scan(q);
+  scan(queues.pay); scan(queues.pickup); scan(queues.curbside);
+  return now - oldest;
+}
+
+// ---- Breakpoints ----
+// armed[id] = the condition was false last time, so it may fire again. Each
+// starts from its truth at creation, so resuming past a hit doesn't re-fire.
+export function createBreakpointWatch(breakpoints, engine = null) {
+  const armed = {};
+  if (engine) for (const bp of breakpoints) armed[bp.id] = !(bp.enabled && BREAKPOINT_KINDS[bp.kind].test(engine, bp.limit));
+  return {
+    // The first breakpoint that just became true, or null
+    check(engine) {
+      let hit = null;
+      for (const bp of breakpoints) {
+        if (!bp.enabled) continue;
+        const on = BREAKPOINT_KINDS[bp.kind].test(engine, bp.limit);
+        if (on && armed[bp.id] !== false && !hit) hit = bp;
+        armed[bp.id] = !on;
+      }
+      return hit;
+    },
+  };
+}
+
+/**
+ * Advance the engine to time t event by event, checking breakpoints and
+ * taking timeline snapshots on the way. Returns the breakpoint hit (the clock
+ * stays at that event) or null (the clock is parked at t).
+ */
+export function advance(engine, t, { watch = null, timeline = null } = {}) {
+  while (engine.nextEventTime() <= t) {
+    engine.stepEvent();
+    if (timeline) recordSnapshot(timeline, engine);
+    const hit = watch?.check(engine);
+    if (hit) return hit;
+  }
+  engine.state.now = Math.max(engine.state.now, t);
+  if (timeline) recordSnapshot(timeline, engine);
+  return null;
+}
+
+// ---- Timeline ----
+export const createTimeline = (engine) => ({ snaps: [engine.snapshot()], every: SNAPSHOT_EVERY_MIN, reached: engine.state.now });
+
+export function recordSnapshot(timeline, engine) {
+  const now = engine.state.now;
+  timeline.reached = Math.max(timeline.reached, now);
+  const last = timeline.snaps[timeline.snaps.length - 1];
+  if (now - last.t < timeline.every) return;
+  timeline.snaps.push(engine.snapshot());
+  if (timeline.snaps.length > MAX_SNAPSHOTS) {
+    timeline.snaps = timeline.snaps.filter((_, i) => i % 2 === 0);
+    timeline.every *= 2;
+  }
+}
+
+/**
+ * Jump to simulated time t: back to the nearest earlier snapshot, then replay
+ * without breakpoints. Later snapshots are dropped and re-taken on the way, so
+ * the timeline always matches the run as it is now (params may have changed).
+ */
+export function seek(timeline, engine, t) {
+  if (t < engine.state.now) {
+    let i = timeline.snaps.length - 1;
+    while (i > 0 && timeline.snaps[i].t > t) i--;
+    timeline.snaps = timeline.snaps.slice(0, i + 1);
+    engine.restore(timeline.snaps[i]);
+  }
+  advance(engine, t, { timeline });
+}
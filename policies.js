@@ -0,0 +1,159 @@
+import { distCv } from "./distributions";
+import { arrivalRateAt, formatClock } from "./profiles";
+import { stageDelay } from "./predict";
+import { laneIds } from "./site";
+
+/**
+ * Staff rebalancing policies
+ * - A policy is { id, label, defaults, decide(view, settings, memory) } and
+ *   returns one move { from, to, reason } or null; it never mutates the view
+ * - view = { queues, params, site, now }; memory is plain per-run data the
+ *   policy may keep between calls (e.g. which schedule entries already fired)
+ * - Stage keys: "order:A", "order:B", ..., "pay", "pickup"; planned moves may
+ *   also use "kitchen" (a make-line station, e.g. a cook helping at the window)
+ * - The engine applies cooldown and the walk/handoff delay from the policy's
+ *   settings, so every policy pays the same transfer cost
+ */
+
+export const stageKeys = (site) => [...laneIds(site).map((L) => `order:${L}`), "pay", "pickup"];
+export const scheduleKeys = (site) => [...stageKeys(site), "kitchen"];
+
+const stageOf = (key) => key.split(":");
+export const stageLabel = (key) => { const [stage, lane] = stageOf(key); return lane ? `Order ${lane}` : stage[0].toUpperCase() + stage.slice(1); };
+
+const countParam = (stage) => (stage === "kitchen" ? "kitchenStations" : `${stage}Servers`);
+
+export function getServers(params, key) {
+  const [stage, lane] = stageOf(key);
+  return lane ? params.orderServers[lane] : params[countParam(stage)];
+}
+
+export function setServers(params, key, n) {
+  const [stage, lane] = stageOf(key);
+  if (lane) params.orderServers[lane] = n; else params[countParam(stage)] = n;
+}
+
+function stageLoad({ queues, params }, key) {
+  const [stage, lane] = stageOf(key);
+  return { stage, n: (lane ? queues.order[lane] : queues[stage]).length, servers: getServers(params, key), rate: params[`${stage}Rate`] };
+}
+
+// Minutes of work queued per server
+const pressure = (view, key) => { const { n, servers, rate } = stageLoad(view, key); return servers > 0 ? n / (rate * servers + 1e-6) : Infinity; };
+
+// Coldest stage that can spare someone (never strip a stage to zero)
+function donor(view, keys, score, except) {
+  return keys.filter((k) => k !== except && getServers(view.params, k) > 1).sort((a, b) => score(a) - score(b))[0] ?? null;
+}
+
+// ------------------------------- Greedy ------------------------------------
+// The original rule: hottest stage takes a server from the coldest one
+const greedy = {
+  id: "greedy",
+  label: "Greedy (hottest ← coldest)",
+  defaults: { cooldownMin: 0, walkMin: 0 },
+  decide(view) {
+    const keys = stageKeys(view.site);
+    const score = (k) => pressure(view, k);
+    const to = keys.slice().sort((a, b) => score(b) - score(a))[0];
+    const from = donor(view, keys, score, to);
+    return from ? { from, to, reason: `pressure ${score(to).toFixed(1)} vs ${score(from).toFixed(1)} min` } : null;
+  },
+};
+
+// ------------------------------- Threshold ---------------------------------
+// Hysteresis band: only a stage above `high` min of queued work gets help, and
+// only stages below `low` give it up, so staff don't ping-pong around the line
+const threshold = {
+  id: "threshold",
+  label: "Threshold with hysteresis",
+  defaults: { cooldownMin: 3, walkMin: 0.5, high: 2, low: 0.5 },
+  decide(view, { high, low }) {
+    const keys = stageKeys(view.site);
+    const score = (k) => pressure(view, k);
+    const to = keys.filter((k) => score(k) > high).sort((a, b) => score(b) - score(a))[0];
+    if (!to) return null;
+    const from = donor(view, keys.filter((k) => score(k) < low), score, to);
+    return from ? { from, to, reason: `${score(to).toFixed(1)} > ${high} min, donor ${score(from).toFixed(1)} < ${low}` } : null;
+  },
+};
+
+// ------------------------------- Predictive --------------------------------
+// Project each queue `horizonMin` ahead with the fluid inflow used by the ETA
+// predictor, and move only if the forecast delay drops by at least minGainMin
+function forecast(view, horizonMin) {
+  const { params, site, now } = view;
+  const lam = arrivalRateAt(params, now);
+  const lanes = laneIds(site);
+  const out = {};
+  const delayFor = (key, n, servers) => {
+    const { stage, rate } = stageLoad(view, key);
+    return stageDelay(Math.max(0, Math.round(n)), servers, 1 / rate, distCv(params.service[stage])).mean;
+  };
+  let inflow = 0;
+  for (const L of lanes) {
+    const key = `order:${L}`, { n, servers, rate } = stageLoad(view, key);
+    const n1 = n + (lam / lanes.length - servers * rate) * horizonMin;
+    out[key] = { n: n1, delay: delayFor(key, n1, servers), with: (s) => delayFor(key, n1, s) };
+    inflow += Math.min(lam / lanes.length, servers * rate);
+  }
+  for (const key of ["pay", "pickup"]) {
+    const { n, servers, rate } = stageLoad(view, key);
+    const n1 = n + (inflow - servers * rate) * horizonMin;
+    out[key] = { n: n1, delay: delayFor(key, n1, servers), with: (s) => delayFor(key, n1, s) };
+    inflow = Math.min(inflow, servers * rate);
+  }
+  return out;
+}
+
+const predictive = {
+  id: "predictive",
+  label: "Predictive (forecast ETA)",
+  defaults: { cooldownMin: 2, walkMin: 0.5, horizonMin: 5, minGainMin: 0.5 },
+  decide(view, { horizonMin, minGainMin }) {
+    const keys = stageKeys(view.site);
+    const f = forecast(view, horizonMin);
+    const to = keys.slice().sort((a, b) => f[b].delay - f[a].delay)[0];
+    const from = donor(view, keys, (k) => f[k].delay, to);
+    if (!from) return null;
+    const gain = Math.min(f[to].delay, 1e6) - Math.min(f[to].with(getServers(view.params, to) + 1), 1e6);
+    const cost = f[from].with(getServers(view.params, from) - 1) - f[from].delay;
+    if (gain - cost < minGainMin) return null;
+    return { from, to, reason: `forecast +${horizonMin} min: ${f[to].delay.toFixed(1)} → ${(f[to].delay - gain).toFixed(1)} min, donor +${cost.toFixed(1)}` };
+  },
+};
+
+// ------------------------------- Fixed schedule ----------------------------
+// Planned moves at clock times, e.g. a cook helps at the pay window over lunch.
+// Entries run in clock order: only the latest one due may fire, once, as soon as
+// its donor can spare someone. An entry still waiting when a later one comes due
+// expires, so a stale move never undoes a newer one.
+const fixedSchedule = {
+  id: "schedule",
+  label: "Fixed schedule",
+  defaults: { cooldownMin: 0, walkMin: 1, moves: [{ h: 11.5, from: "kitchen", to: "pay" }, { h: 13.5, from: "pay", to: "kitchen" }] },
+  decide(view, { moves }, memory) {
+    const { params, now } = view;
+    const done = memory.done || (memory.done = []);
+    const keys = scheduleKeys(view.site);
+    // Minutes from the sim start to each entry on the clock
+    const due = moves
+      .map((m, i) => ({ m, i, at: ((m.h - params.startHour + 24) % 24) * 60 }))
+      .filter(({ m, at }) => at <= now && keys.includes(m.from) && keys.includes(m.to))
+      .sort((a, b) => a.at - b.at);
+    const latest = due.pop();
+    for (const { i } of due) if (!done.includes(i)) done.push(i);
+    if (!latest || done.includes(latest.i)) return null;
+    if (getServers(params, latest.m.from) <= 1) return null; // retried until the next entry is due
+    done.push(latest.i);
+    return { from: latest.m.from, to: latest.m.to, reason: `scheduled at ${formatClock(latest.m.h)}` };
+  },
+};
+
+export const POLICIES = Object.fromEntries([greedy, threshold, predictive, fixedSchedule].map((p) => [p.id, p]));
+
+export const DEFAULT_REBALANCE = {
+  policy: "greedy",
+  checkEveryMin: 1.6, // how often the active policy is consulted
+  settings: Object.fromEntries(Object.values(POLICIES).map((p) => [p.id, p.defaults])),
+};
@@ -0,0 +1,160 @@
+import { distCv } from "./distributions";
+import { mobileOrderScale } from "./menu";
+import { arrivalRateAt, mobileShareAt } from "./profiles";
+import { laneIds } from "./site";
+
+/**
+ * Wait-time predictors for the tandem drive‑thru network (order -> pay -> pickup)
+ * - Steady state: Erlang C (M/M/s) and Allen–Cunneen (M/G/s) per stage,
+ *   composed in tandem with Whitt's linking equation for departure variability
+ * - State dependent: ETA for one arriving car given the queues it sees now,
+ *   projecting downstream queues forward with the arrival stream (fluid model)
+ * - Percentiles from a gamma fit to mean/variance (Wilson–Hilferty)
+ * All times in minutes, rates per minute.
+ */
+
+// ------------------------------- Steady state ------------------------------
+function fact(n) { let r = 1; for (let i = 2; i <= n; i++) r *= i; return r; }
+
+// Probability an arrival has to wait in M/M/s
+export function erlangC(lam, mu, s) {
+  if (s <= 0 || mu <= 0) return 1;
+  const a = lam / mu, rho = a / s;
+  if (rho >= 1) return 1; // unstable -> 100% waiting
+  let sum = 0;
+  for (let k = 0; k < s; k++) sum += Math.pow(a, k) / fact(k);
+  const top = Math.pow(a, s) / (fact(s) * (1 - rho));
+  return top / (sum + top);
+}
+
+// Mean wait in queue (not in service), M/M/s
+export function mmsWait(lam, mu, s) {
+  if (s <= 0 || mu <= 0 || lam >= s * mu) return Infinity;
+  return erlangC(lam, mu, s) / (s * mu - lam);
+}
+
+// Allen–Cunneen M/G/s (GI/G/s) approximation: M/M/s delay scaled by (ca² + cs²)/2
+export const allenCunneenWait = (lam, mu, s, ca2, cs2) => mmsWait(lam, mu, s) * (ca2 + cs2) / 2;
+
+// Whitt (QNA) linking equation: SCV of departures feeding the next stage
+const departureScv = (ca2, cs2, rho, s) => 1 + (1 - rho * rho) * (ca2 - 1) + (rho * rho * (cs2 - 1)) / Math.sqrt(s);
+
+/**
+ * stages: [{ name, mu, servers, cv }] in visit order; lam: arrivals/min into the first stage.
+ * Returns per-stage and end-to-end time-in-system with percentiles.
+ */
+export function tandemSteadyState(stages, lam) {
+  let ca2 = 1, mean = 0, variance = 0;
+  const out = [];
+  for (const st of stages) {
+    const cs2 = st.cv * st.cv;
+    const rho = lam / (st.servers * st.mu);
+    const C = erlangC(lam, st.mu, st.servers);
+    const factor = (ca2 + cs2) / 2;
+    const wq = rho >= 1 ? Infinity : (C / (st.servers * st.mu - lam)) * factor;
+    // M/M/s: Var(Wq) = C(2 - C) / (sμ - λ)², scaled like the mean
+    const wqVar = rho >= 1 ? Infinity : (C * (2 - C) / (st.servers * st.mu - lam) ** 2) * factor * factor;
+    const service = 1 / st.mu;
+    out.push({ name: st.name, rho, wq, sojourn: wq + service });
+    mean += wq + service;
+    variance += wqVar + (st.cv * service) ** 2;
+    ca2 = departureScv(ca2, cs2, Math.min(rho, 1), st.servers);
+  }
+  return { stages: out, mean, variance, ...percentiles(mean, variance) };
+}
+
+// ------------------------------- State dependent ---------------------------
+/**
+ * Delay for a car that finds `n` cars at a stage (incl. those being served).
+ * It waits for n - s + 1 service completions: the first is a residual, later
+ * gaps are mean/s with SCV drifting toward 1 as servers are pooled.
+ */
+export function stageDelay(n, servers, mean, cv) {
+  if (servers <= 0 || !isFinite(mean)) return { mean: Infinity, variance: Infinity };
+  if (n < servers) return { mean: 0, variance: 0 };
+  const gap = mean / servers;
+  const residual = (gap * (1 + cv * cv)) / 2;
+  const gapScv = (cv * cv + servers - 1) / servers;
+  const k = n - servers; // full gaps after the residual
+  return {
+    mean: residual + k * gap,
+    variance: residual * residual * Math.max(cv * cv, 1 / 3) + k * gapScv * gap * gap,
+  };
+}
+
+const stageCv = (params, stage) => distCv(params.service[stage]);
+
+/**
+ * ETA for an arriving car that joins `lane` now.
+ * Order uses the lane queue as seen; pay/pickup queues are projected to the
+ * moment the car gets there, with inflow at the current arrival rate.
+ */
+export function carEta(sys, lane, isMobile, now = 0) {
+  const { queues, params, site } = sys;
+  const lam = arrivalRateAt(params, now);
+  const lanes = laneIds(site);
+  const orderMean = (1 / params.orderRate) * mobileOrderScale(isMobile, mobileShareAt(params, now));
+  const seen = queues.order[lane].length + (queues.street?.[lane]?.length ?? 0);
+
+  const parts = [];
+  let t = 0, wait = 0, waitVar = 0, total = 0, totalVar = 0;
+  const add = (name, delay, svcMean, cv) => {
+    parts.push({ name, wait: delay.mean, service: svcMean });
+    wait += delay.mean; waitVar += delay.variance;
+    total += delay.mean + svcMean; totalVar += delay.variance + (cv * svcMean) ** 2;
+    t = total;
+  };
+
+  add("order", stageDelay(seen, params.orderServers[lane], 1 / params.orderRate, stageCv(params, "order")), orderMean, stageCv(params, "order"));
+
+  // Downstream stages drain at capacity while the stream keeps feeding them
+  let inflow = Math.min(lam, lanes.reduce((c, L) => c + params.orderServers[L] * params.orderRate, 0));
+  for (const stage of ["pay", "pickup"]) {
+    const servers = params[`${stage}Servers`], mu = params[`${stage}Rate`];
+    const cap = servers * mu;
+    const projected = Math.max(0, Math.round(queues[stage].length + (inflow - cap) * t));
+    add(stage, stageDelay(projected, servers, 1 / mu, stageCv(params, stage)), 1 / mu, stageCv(params, stage));
+    inflow = Math.min(inflow, cap);
+  }
+  return { lane, wait, waitVariance: waitVar, total, variance: totalVar, stages: parts, ...percentiles(total, totalVar) };
+}
+
+// Steady-state view of one lane's path through the shared windows
+export function laneSteadyState(params, site, lane, now = 0) {
+  const lam = arrivalRateAt(params, now);
+  const share = lam / site.lanes.length;
+  const order = tandemSteadyState([{ name: "order", mu: params.orderRate, servers: params.orderServers[lane], cv: stageCv(params, "order") }], share);
+  const shared = tandemSteadyState(["pay", "pickup"].map((stage) => ({ name: stage, mu: params[`${stage}Rate`], servers: params[`${stage}Servers`], cv: stageCv(params, stage) })), lam);
+  const mean = order.mean + shared.mean, variance = order.variance + shared.variance;
+  return { stages: [...order.stages, ...shared.stages], mean, variance, ...percentiles(mean, variance) };
+}
+
+// ------------------------------- Percentiles -------------------------------
+// Acklam's rational approximation of the standard normal quantile
+export function normInv(p) {
+  const a = [-39.6968302866538, 220.946098424521, -275.928510446969, 138.357751867269, -30.6647980661472, 2.50662827745924];
+  const b = [-54.4760987982241, 161.585836858041, -155.698979859887, 66.8013118877197, -13.2806815528857];
+  const c = [-0.00778489400243029, -0.322396458041136, -2.40075827716184, -2.54973253934373, 4.37466414146497, 2.93816398269878];
+  const d = [0.00778469570904146, 0.32246712907004, 2.445134137143, 3.75440866190742];
+  const lo = 0.02425;
+  if (p < lo) { const q = Math.sqrt(-2 * Math.log(p)); return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1); }
+  if (p > 1 - lo) return -normInv(1 - p);
+  const q = p - 0.5, r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+// p-quantile of a gamma with the given mean/variance (Wilson–Hilferty)
+export function quantile(mean, variance, p) {
+  if (!isFinite(mean) || !isFinite(variance)) return Infinity;
+  if (mean <= 0) return 0;
+  if (variance <= 1e-12) return mean;
+  const k = (mean * mean) / variance, theta = variance / mean;
+  const z = normInv(p);
+  return Math.max(0, k * theta * Math.pow(1 - 1 / (9 * k) + z / (3 * Math.sqrt(k)), 3));
+}
+
+export const percentiles = (mean, variance) => ({
+  p50: quantile(mean, variance, 0.5),
+  p90: quantile(mean, variance, 0.9),
+  p95: quantile(mean, variance, 0.95),
+});
@@ -0,0 +1,78 @@
+/**
+ * Time-of-day arrival profiles
+ * - A profile is a set of { h, v } points on a 24h clock; v multiplies
+ *   params.arrivalRate (so the Arrivals/hr slider sets the peak scale)
+ * - "piecewise" holds each value until the next point, "smooth" eases between
+ *   points with a cosine blend (wrapping midnight)
+ * - The engine samples it as a non-homogeneous Poisson process by thinning
+ */
+
+export const DEFAULT_DAYPARTS = [
+  { name: "Overnight", start: 0, end: 6 },
+  { name: "Breakfast", start: 6, end: 10.5 },
+  { name: "Lunch", start: 10.5, end: 14 },
+  { name: "Afternoon", start: 14, end: 17 },
+  { name: "Dinner", start: 17, end: 20 },
+  { name: "Late", start: 20, end: 24 },
+];
+
+const pts = (pairs) => pairs.map(([h, v]) => ({ h, v }));
+
+export const PROFILE_PRESETS = {
+  flat: { label: "Flat", shape: "piecewise", points: pts([[0, 1]]) },
+  qsr: {
+    label: "Typical QSR",
+    shape: "smooth",
+    points: pts([[0, 0.1], [5, 0.1], [7.5, 0.7], [9, 0.5], [11, 0.6], [12.25, 1], [13.5, 0.6], [15, 0.4], [17, 0.6], [18.25, 0.9], [20, 0.5], [22, 0.25]]),
+  },
+  breakfast: {
+    label: "Breakfast heavy",
+    shape: "smooth",
+    points: pts([[0, 0.05], [5, 0.15], [7.75, 1], [9.5, 0.7], [11, 0.4], [12.5, 0.55], [15, 0.3], [18, 0.35], [21, 0.1]]),
+  },
+  dinner: {
+    label: "Dinner & late night",
+    shape: "smooth",
+    points: pts([[0, 0.35], [3, 0.15], [7, 0.2], [12.25, 0.6], [15, 0.4], [18.5, 1], [21, 0.7], [23, 0.5]]),
+  },
+};
+
+export const MOBILE_PRESET = { shape: "smooth", points: pts([[0, 0.2], [7.5, 0.45], [10, 0.3], [12.25, 0.4], [15, 0.3], [18, 0.45], [22, 0.25]]) };
+
+const wrap24 = (h) => ((h % 24) + 24) % 24;
+
+// Value of a profile at hour-of-day h
+export function profileAt(profile, h) {
+  const points = [...profile.points].sort((a, b) => a.h - b.h);
+  if (!points.length) return 1;
+  if (points.length === 1) return points[0].v;
+  h = wrap24(h);
+  let i = points.findIndex((p) => p.h > h) - 1;
+  if (i === -2) i = points.length - 1; // past the last point
+  if (i === -1) i = points.length - 1; // before the first point -> wrap
+  const a = points[i], b = points[(i + 1) % points.length];
+  if (profile.shape !== "smooth") return a.v;
+  const span = wrap24(b.h - a.h) || 24;
+  const t = wrap24(h - a.h) / span;
+  return a.v + (b.v - a.v) * (1 - Math.cos(Math.PI * t)) / 2;
+}
+
+// Upper bound for thinning: both shapes never exceed the largest point value
+export const profileMax = (profile) => profile.points.reduce((m, p) => Math.max(m, p.v), 0);
+
+export const clockHour = (params, t) => wrap24(params.startHour + t / 60);
+
+export function formatClock(h) {
+  const mins = Math.floor(wrap24(h) * 60 + 1e-6);
+  return `${String(Math.floor(mins / 60)).padStart(2, "0")}:${String(mins % 60).padStart(2, "0")}`;
+}
+
+export function daypartAt(dayparts, h) {
+  h = wrap24(h);
+  const d = dayparts.find((p) => (p.start <= p.end ? h >= p.start && h < p.end : h >= p.start || h < p.end));
+  return d ? d.name : "Other";
+}
+
+// cars/min and mobile share at simulated minute t
+export const arrivalRateAt = (params, t) => (params.arrivalRate / 60) * profileAt(params.arrivalProfile, clockHour(params, t));
+export const mobileShareAt = (params, t) => (params.mobileProfile ? profileAt(params.mobileProfile, clockHour(params, t)) : params.mobileShare);
@@ -0,0 +1,108 @@
+import { createSimulation } from "./engine";
+import { percentile } from "./journeys";
+import { normInv } from "./predict";
+
+/**
+ * Monte Carlo replications (headless; no map, no React)
+ * - K independent runs of one scenario, seeds "<seed>-rep-<i>"
+ * - Warm-up deletion: only cars arriving after `warmup` minutes count
+ * - Per-KPI mean, 95% t confidence interval and the replication count that
+ *   would reach a target relative precision
+ * - MSER-5 on the averaged WIP curve suggests a warm-up length
+ */
+
+export const KPIS = [
+  { key: "meanWait", label: "Mean time in system", unit: "min", better: "lower" },
+  { key: "p90Wait", label: "p90 time in system", unit: "min", better: "lower" },
+  { key: "throughput", label: "Throughput", unit: "cars/hr", better: "higher" },
+  { key: "maxWip", label: "Max WIP", unit: "cars", better: "lower" },
+  { key: "diverts", label: "Curbside diverts", unit: "cars", better: "lower" },
+  { key: "lost", label: "Lost (balk + renege)", unit: "cars", better: "lower" },
+];
+
+export const DEFAULT_BATCH = { replications: 20, horizon: 480, warmup: 30, precision: 0.05, seed: 1 };
+
+// Time in system per car, from the engine log
+export function carTimes(events, warmup = 0) {
+  const arrived = new Map();
+  const times = [];
+  for (const e of events) {
+    if ((e.type === "arrive" || e.type === "divert") && e.t >= warmup) arrived.set(e.car, e.t);
+    else if ((e.type === "pickup" || e.type === "curbside") && arrived.has(e.car)) { times.push(e.t - arrived.get(e.car)); arrived.delete(e.car); }
+  }
+  return times;
+}
+
+// One replication -> KPI values measured after the warm-up
+export function runReplication(params, site, { seed, horizon, warmup, trace = null }) {
+  const sim = createSimulation(params, { seed, site, trace });
+  sim.runUntil(horizon);
+  const { events, metrics } = sim.state;
+  const times = carTimes(events, warmup).sort((a, b) => a - b);
+  const after = (type) => events.filter((e) => e.type === type && e.t >= warmup).length;
+  return {
+    meanWait: times.length ? times.reduce((a, b) => a + b, 0) / times.length : 0,
+    p90Wait: percentile(times, 0.9) ?? 0,
+    throughput: (after("pickup") + after("curbside")) / ((horizon - warmup) / 60),
+    maxWip: metrics.history.filter((h) => h.t >= warmup).reduce((m, h) => Math.max(m, h.wip), 0),
+    diverts: after("divert"),
+    lost: after("balk") + after("renege"),
+    wip: metrics.history.map((h) => h.wip), // for the warm-up suggestion
+    wipStep: metrics.historyEvery, // minutes between wip points (long runs are decimated)
+  };
+}
+
+// Student t quantile via the Cornish–Fisher expansion around the normal
+export function tQuantile(p, df) {
+  const z = normInv(p);
+  if (!isFinite(df) || df > 1e6) return z;
+  const z3 = z ** 3, z5 = z ** 5, z7 = z ** 7;
+  return z + (z3 + z) / (4 * df) + (5 * z5 + 16 * z3 + 3 * z) / (96 * df ** 2) + (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * df ** 3);
+}
+
+// Mean, 95% CI half-width and the n that would get the half-width under precision·|mean|
+export function confidence(values, precision = 0.05) {
+  const n = values.length;
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  const sd = n > 1 ? Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1)) : 0;
+  const half = n > 1 ? tQuantile(0.975, n - 1) * sd / Math.sqrt(n) : Infinity;
+  let needed = n;
+  if (sd > 0 && mean !== 0) {
+    const target = precision * Math.abs(mean);
+    needed = Math.max(2, Math.ceil((normInv(0.975) * sd / target) ** 2));
+    for (let i = 0; i < 5; i++) needed = Math.max(2, Math.ceil((tQuantile(0.975, needed - 1) * sd / target) ** 2));
+  }
+  return { n, mean, sd, half, lo: mean - half, hi: mean + half, rel: mean ? half / Math.abs(mean) : 0, needed };
+}
+
+/**
+ * MSER-5: batch the averaged series in fives and pick the truncation point that
+ * minimizes the standard error of what remains (searching the first half only).
+ */
+export function suggestWarmup(series, stepMin) {
+  const batches = [];
+  for (let i = 0; i + 5 <= series.length; i += 5) batches.push(series.slice(i, i + 5).reduce((a, b) => a + b, 0) / 5);
+  let best = 0, bestScore = Infinity;
+  for (let d = 0; d < batches.length / 2; d++) {
+    const rest = batches.slice(d), m = rest.length;
+    const mean = rest.reduce((a, b) => a + b, 0) / m;
+    const score = rest.reduce((a, b) => a + (b - mean) ** 2, 0) / (m * m);
+    if (score < bestScore) { bestScore = score; best = d; }
+  }
+  return best * 5 * stepMin;
+}
+
+// Summarize finished replications: KPI table + warm-up suggestion
+export function summarizeReplications(runs, { precision = DEFAULT_BATCH.precision } = {}) {
+  const kpis = KPIS.map((k) => ({ ...k, ...confidence(runs.map((r) => r[k.key]), precision) }));
+  const len = Math.min(...runs.map((r) => r.wip.length));
+  const avgWip = Array.from({ length: len }, (_, i) => runs.reduce((a, r) => a + r.wip[i], 0) / runs.length);
+  return { replications: runs.length, kpis, warmupSuggestion: suggestWarmup(avgWip, runs[0].wipStep), neededMax: Math.max(...kpis.map((k) => k.needed)) };
+}
+
+export function runReplications(params, site, opts = {}) {
+  const { replications, horizon, warmup, precision, seed } = { ...DEFAULT_BATCH, ...opts };
+  const runs = [];
+  for (let i = 0; i < replications; i++) runs.push(runReplication(params, site, { seed: `${seed}-rep-${i}`, horizon, warmup }));
+  return summarizeReplications(runs, { precision });
+}
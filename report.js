@@ -0,0 +1,258 @@
+import { jsPDF } from "jspdf";
+import { carTimes } from "./replications";
+import { percentile } from "./journeys";
+import { POLICIES, stageLabel } from "./policies";
+import { formatClock, clockHour } from "./profiles";
+
+/**
+ * Simulation report (PDF + standalone HTML), generated fully offline
+ * - buildReport() turns an engine state into plain sections: parameters,
+ *   KPIs, WIP/wait series, utilization, staffing changes, recommendations
+ * - reportHtml() inlines charts as SVG and the map as a data URL
+ * - reportPdf() draws the same sections with jsPDF primitives (no html2canvas)
+ */
+
+const pct = (a, b) => (b ? (100 * a) / b : null);
+const fmtPct = (v) => (v == null ? "–" : `${v.toFixed(0)}%`);
+const money = (v) => `$${v.toFixed(0)}`;
+
+// ---- Report model ----
+function parameterRows(params, site, seed) {
+  const orderPosts = Object.entries(params.orderServers).map(([L, n]) => `${L}: ${n}`).join(", ");
+  const dist = (stage) => `${params.service[stage].type}, mean ${(1 / params[`${stage}Rate`]).toFixed(2)} min`;
+  return [
+    ["Site", `${site.name} (${site.lanes.length} lane${site.lanes.length === 1 ? "" : "s"}, ${params.mergeDiscipline} merge)`],
+    ["Seed", String(seed)],
+    ["Start", formatClock(params.startHour)],
+    ["Arrivals", `${params.arrivalRate} cars/hr base, ${params.arrivalProfile?.label ?? "custom"} profile`],
+    ["Mobile share", params.mobileProfile ? "time-varying profile" : `${(params.mobileShare * 100).toFixed(0)}%`],
+    ["Order posts", orderPosts],
+    ["Pay / pickup windows", `${params.payServers} / ${params.pickupServers}`],
+    ["Kitchen stations", String(params.kitchenStations)],
+    ["Curbside runners", `${params.curbsideRunners} (promise ${params.curbsidePromiseMin} min)`],
+    ["Divert threshold", `${params.divertThresholdMin} min predicted wait`],
+    ["Order service", dist("order")],
+    ["Pay service", dist("pay")],
+    ["Pickup service", dist("pickup")],
+    ["Balk / patience", `${params.balkTolerance} cars / ${params.patienceMin ? `${params.patienceMin} min` : "off"}`],
+    ["Rebalancing", params.autoRebalance ? POLICIES[params.rebalance.policy]?.label ?? params.rebalance.policy : "off"],
+    ["Staffing plan", params.staffingPlan ? `${params.staffingPlan.slots.length} × ${params.staffingPlan.intervalMin}-min intervals` : "none"],
+  ];
+}
+
+function kpiRows(state) {
+  const m = state.metrics;
+  const times = carTimes(state.events).sort((a, b) => a - b);
+  const p90 = percentile(times, 0.9) ?? 0;
+  const hours = state.now / 60;
+  return [
+    ["Simulated", `${state.now.toFixed(0)} min (${formatClock(state.params.startHour)}–${formatClock(clockHour(state.params, state.now))})`],
+    ["Arrivals / served / parked", `${m.arrivals} / ${m.served} / ${m.parked}`],
+    ["Throughput", hours ? `${(m.served / hours).toFixed(1)} cars/hr` : "–"],
+    ["Avg / p90 time in system", `${m.avgWait.toFixed(1)} / ${p90.toFixed(1)} min`],
+    ["Max WIP", `${m.maxWip} cars`],
+    ["Lost (balk / renege)", `${m.balked} / ${m.reneged}`],
+    ["Revenue", `${money(m.revenue)} (avg ticket ${m.served ? `$${(m.revenue / m.served).toFixed(2)}` : "–"})`],
+    ["Revenue / labor hr", m.laborMin ? money(m.revenue / (m.laborMin / 60)) : "–"],
+    ["Lost revenue (balk / renege)", `${money(m.lostBalkRevenue)} / ${money(m.lostRenegeRevenue)}`],
+    ["Curbside on time", `${fmtPct(pct(m.curbside.onTime, m.curbside.delivered))} of ${m.curbside.delivered}`],
+  ];
+}
+
+function utilizationRows(m) {
+  return [
+    ...Object.entries(m.stages).map(([stage, u]) => [stageLabel(stage), pct(u.busyMin, u.capacityMin)]),
+    ["Kitchen", pct(m.kitchen.busyMin, m.kitchen.capacityMin)],
+    ["Curbside runners", pct(m.curbside.busyMin, m.curbside.capacityMin)],
+  ];
+}
+
+function staffingRows(state) {
+  const { params, metrics, events } = state;
+  const at = (t) => formatClock(clockHour(params, t));
+  const moves = metrics.staffLog.map((s) => ({ t: s.t, text: `${stageLabel(s.from)} → ${stageLabel(s.to)} (${s.policy}: ${s.reason})` }));
+  const shifts = events.filter((e) => e.type === "shift").map((e) => ({ t: e.t, text: `Shift ${e.slot}: pay ${e.staff.pay}, pickup ${e.staff.pickup}, runners ${e.staff.curbside}${e.staff.kitchen === undefined ? "" : `, make line ${e.staff.kitchen}`}` }));
+  return [...moves, ...shifts].sort((a, b) => a.t - b.t).map((r) => [at(r.t), r.text]);
+}
+
+// Plain rules over the run's metrics, plus the live lane/curbside advisor
+export function recommendations(state, advice) {
+  const m = state.metrics;
+  const out = [];
+  if (advice) out.push(`Live advisor: ${advice}.`);
+  for (const [key, u] of utilizationRows(m)) {
+    if (u == null) continue;
+    if (u >= 85) out.push(`${key} is ${u.toFixed(0)}% busy — add capacity there first.`);
+    else if (u <= 35) out.push(`${key} is only ${u.toFixed(0)}% busy — a candidate to donate staff.`);
+  }
+  const k = m.kitchen;
+  if (k.pickups && k.onFood / k.pickups > 0.3) out.push(`The pickup window waited on food for ${fmtPct(pct(k.onFood, k.pickups))} of cars — add a kitchen station or fire orders earlier.`);
+  if (m.curbside.delivered && m.curbside.onTime / m.curbside.delivered < 0.8) out.push(`Only ${fmtPct(pct(m.curbside.onTime, m.curbside.delivered))} of curbside orders were on time — add a runner or lengthen the promise.`);
+  if (m.arrivals && m.lost / m.arrivals > 0.05) out.push(`${fmtPct(pct(m.lost, m.arrivals))} of arrivals were lost (${money(m.lostBalkRevenue + m.lostRenegeRevenue)}) — lower the divert threshold or staff the bottleneck.`);
+  if (m.avgWait > state.params.divertThresholdMin) out.push(`Average time in system (${m.avgWait.toFixed(1)} min) exceeds the divert threshold — curbside is absorbing overflow.`);
+  if (out.length <= (advice ? 1 : 0)) out.push("No bottleneck stood out in this run.");
+  return out;
+}
+
+/**
+ * Everything the renderers need, as plain data.
+ * mapImage: PNG data URL of the site map (optional); advice: the live advisor text.
+ */
+export function buildReport(state, { mapImage = null, advice = null, title = "Drive-thru simulation report" } = {}) {
+  const h = state.metrics.history;
+  return {
+    title,
+    generatedAt: new Date().toLocaleString(),
+    parameters: parameterRows(state.params, state.site, state.seed),
+    kpis: kpiRows(state),
+    charts: [
+      { label: "Cars in system (WIP)", unit: "cars", color: "#f59e0b", points: h.map((p) => [p.t, p.wip]) },
+      { label: "Average time in system", unit: "min", color: "#38bdf8", points: h.map((p) => [p.t, p.wait]) },
+    ],
+    utilization: utilizationRows(state.metrics),
+    staffing: staffingRows(state),
+    recommendations: recommendations(state, advice),
+    mapImage,
+  };
+}
+
+// ---- Shared chart geometry ----
+// Scales [t, v] points into a w×h box; returns the polyline plus axis ticks
+function chartGeometry(points, w, h) {
+  const tMax = Math.max(1, ...points.map((p) => p[0]));
+  const vMax = Math.max(1e-9, ...points.map((p) => p[1])) * 1.1;
+  const x = (t) => (t / tMax) * w;
+  const y = (v) => h - (v / vMax) * h;
+  const ticks = (max, n) => Array.from({ length: n + 1 }, (_, i) => (max * i) / n);
+  return {
+    line: points.map(([t, v]) => [x(t), y(v)]),
+    xTicks: ticks(tMax, 4).map((t) => [x(t), t.toFixed(0)]),
+    yTicks: ticks(vMax, 4).map((v) => [y(v), v.toFixed(vMax < 10 ? 1 : 0)]),
+  };
+}
+
+// ---- HTML ----
+const esc = (s) => String(s).replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const table = (rows, head) => `<table>${head ? `<tr>${head.map((c) => `<th>${esc(c)}</th>`).join("")}</tr>` : ""}${rows.map((r) => `<tr>${r.map((c) => `<td>${esc(c)}</td>`).join("")}</tr>`).join("")}</table>`;
+
+function svgChart(chart, w = 640, h = 180) {
+  const pad = { l: 36, b: 20, t: 8, r: 8 };
+  const g = chartGeometry(chart.points, w - pad.l - pad.r, h - pad.t - pad.b);
+  const pts = g.line.map(([x, y]) => `${(x + pad.l).toFixed(1)},${(y + pad.t).toFixed(1)}`).join(" ");
+  const grid = g.yTicks.map(([y, label]) => `<line x1="${pad.l}" x2="${w - pad.r}" y1="${y + pad.t}" y2="${y + pad.t}" stroke="#e2e8f0"/><text x="${pad.l - 4}" y="${y + pad.t + 3}" text-anchor="end">${label}</text>`).join("");
+  const xs = g.xTicks.map(([x, label]) => `<text x="${x + pad.l}" y="${h - 4}" text-anchor="middle">${label}</text>`).join("");
+  return `<figure><figcaption>${esc(chart.label)} (${esc(chart.unit)}) vs minutes</figcaption><svg viewBox="0 0 ${w} ${h}" width="100%" font-size="10" fill="#475569">${grid}${xs}<polyline points="${pts}" fill="none" stroke="${chart.color}" stroke-width="1.5"/></svg></figure>`;
+}
+
+export function reportHtml(report) {
+  const util = report.utilization.map(([k, v]) => `<tr><td>${esc(k)}</td><td><div class="bar"><span style="width:${Math.min(100, v ?? 0)}%"></span></div></td><td>${fmtPct(v)}</td></tr>`).join("");
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><title>${esc(report.title)}</title>
+<style>
+body{font:14px/1.4 system-ui,sans-serif;color:#0f172a;max-width:900px;margin:2rem auto;padding:0 1rem}
+h1{color:#b45309;margin-bottom:0}h2{border-bottom:2px solid #f59e0b;padding-bottom:2px;margin-top:2rem}
+table{border-collapse:collapse;width:100%}td,th{border-bottom:1px solid #e2e8f0;padding:4px 6px;text-align:left;vertical-align:top}
+figure{margin:1rem 0}figcaption{font-weight:600;margin-bottom:4px}img{max-width:100%;border-radius:12px}
+.bar{background:#e2e8f0;height:10px;border-radius:5px;width:100%}.bar span{display:block;height:100%;background:#f59e0b;border-radius:5px}
+.muted{color:#64748b}
+</style></head><body>
+<h1>${esc(report.title)}</h1><div class="muted">Generated ${esc(report.generatedAt)}</div>
+<h2>Key results</h2>${table(report.kpis)}
+<h2>Recommendations</h2><ul>${report.recommendations.map((r) => `<li>${esc(r)}</li>`).join("")}</ul>
+<h2>Time series</h2>${report.charts.map((c) => svgChart(c)).join("")}
+<h2>Utilization</h2><table>${util}</table>
+${report.mapImage ? `<h2>Site map</h2><img src="${report.mapImage}" alt="Site map snapshot">` : ""}
+<h2>Staffing changes</h2>${report.staffing.length ? table(report.staffing, ["Time", "Change"]) : `<p class="muted">No staffing changes in this run.</p>`}
+<h2>Scenario parameters</h2>${table(report.parameters)}
+</body></html>`;
+}
+
+// ---- PDF ----
+export function reportPdf(report) {
+  const doc = new jsPDF({ unit: "pt", format: "a4" });
+  const W = doc.internal.pageSize.getWidth(), H = doc.internal.pageSize.getHeight(), M = 40;
+  let y = M;
+  const ensure = (need) => { if (y + need > H - M) { doc.addPage(); y = M; } };
+  const heading = (text) => {
+    ensure(40);
+    y += 10;
+    doc.setFont("helvetica", "bold").setFontSize(13).setTextColor(180, 83, 9).text(text, M, y);
+    doc.setDrawColor(245, 158, 11).setLineWidth(1).line(M, y + 4, W - M, y + 4);
+    y += 20;
+    doc.setFont("helvetica", "normal").setFontSize(10).setTextColor(15, 23, 42);
+  };
+  const rows = (list, col = 170) => {
+    for (const [k, v] of list) {
+      const lines = doc.splitTextToSize(String(v), W - 2 * M - col);
+      ensure(lines.length * 13);
+      doc.setTextColor(100, 116, 139).text(String(k), M, y);
+      doc.setTextColor(15, 23, 42).text(lines, M + col, y);
+      y += lines.length * 13;
+    }
+  };
+  const chart = (c) => {
+    const h = 120, w = W - 2 * M - 30;
+    ensure(h + 40);
+    doc.setFont("helvetica", "bold").text(`${c.label} (${c.unit}) vs minutes`, M, y);
+    doc.setFont("helvetica", "normal").setFontSize(8);
+    y += 10;
+    const ox = M + 30, oy = y;
+    const g = chartGeometry(c.points, w, h);
+    doc.setDrawColor(226, 232, 240).setLineWidth(0.5);
+    for (const [ty, label] of g.yTicks) { doc.line(ox, oy + ty, ox + w, oy + ty); doc.text(label, ox - 4, oy + ty + 3, { align: "right" }); }
+    for (const [tx, label] of g.xTicks) doc.text(label, ox + tx, oy + h + 10, { align: "center" });
+    const [r, gr, b] = [1, 3, 5].map((i) => parseInt(c.color.slice(i, i + 2), 16));
+    doc.setDrawColor(r, gr, b).setLineWidth(1.2);
+    for (let i = 1; i < g.line.length; i++) doc.line(ox + g.line[i - 1][0], oy + g.line[i - 1][1], ox + g.line[i][0], oy + g.line[i][1]);
+    doc.setFontSize(10);
+    y += h + 24;
+  };
+
+  doc.setFont("helvetica", "bold").setFontSize(20).setTextColor(180, 83, 9).text(report.title, M, y + 10);
+  y += 28;
+  doc.setFont("helvetica", "normal").setFontSize(9).setTextColor(100, 116, 139).text(`Generated ${report.generatedAt}`, M, y);
+  y += 10;
+
+  heading("Key results");
+  rows(report.kpis);
+  heading("Recommendations");
+  for (const r of report.recommendations) {
+    const lines = doc.splitTextToSize(`• ${r}`, W - 2 * M);
+    ensure(lines.length * 13);
+    doc.text(lines, M, y);
+    y += lines.length * 13;
+  }
+
+  doc.addPage(); y = M;
+  heading("Time series");
+  report.charts.forEach(chart);
+  heading("Utilization");
+  for (const [k, v] of report.utilization) {
+    ensure(16);
+    doc.setTextColor(100, 116, 139).text(k, M, y);
+    doc.setFillColor(226, 232, 240).rect(M + 170, y - 8, 200, 9, "F");
+    if (v != null) doc.setFillColor(245, 158, 11).rect(M + 170, y - 8, 2 * Math.min(100, v), 9, "F");
+    doc.setTextColor(15, 23, 42).text(fmtPct(v), M + 380, y);
+    y += 16;
+  }
+
+  if (report.mapImage) {
+    doc.addPage(); y = M;
+    heading("Site map");
+    const w = W - 2 * M, h = w * 0.6;
+    doc.addImage(report.mapImage, "PNG", M, y, w, h);
+    y += h + 10;
+  }
+
+  heading("Staffing changes");
+  if (report.staffing.length) rows(report.staffing, 60);
+  else { doc.setTextColor(100, 116, 139).text("No staffing changes in this run.", M, y); y += 13; }
+  heading("Scenario parameters");
+  rows(report.parameters);
+
+  const pages = doc.getNumberOfPages();
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i).setFontSize(8).setTextColor(148, 163, 184).text(`${report.title} · page ${i} of ${pages}`, W / 2, H - 20, { align: "center" });
+  }
+  return doc;
+}
@@ -0,0 +1,30 @@
+/**
+ * Seeded PRNG (mulberry32) for reproducible simulation runs.
+ * - Same seed -> same sequence, in browser and in node
+ * - State is a single uint32 so runs can be snapshotted/restored
+ */
+
+export function createRng(seed = 1) {
+  const rng = {
+    seed,
+    state: hashSeed(seed),
+    next() {
+      let t = (rng.state = (rng.state + 0x6d2b79f5) >>> 0);
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    },
+    rand: (min, max) => min + rng.next() * (max - min),
+    uid: () => Math.floor(rng.next() * 2 ** 36).toString(36).padStart(7, "0").slice(-7),
+    exp: (ratePerMin) => (ratePerMin <= 0 ? Infinity : -Math.log(1 - rng.next()) / ratePerMin),
+  };
+  return rng;
+}
+
+// Accept numbers or strings ("lunch-rush") as seeds
+function hashSeed(seed) {
+  const s = String(seed);
+  let h = 2166136261;
+  for (let i = 0; i < s.length; i++) { h ^= s.charCodeAt(i); h = Math.imul(h, 16777619); }
+  return h >>> 0;
+}
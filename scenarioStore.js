@@ -0,0 +1,252 @@
+import { DEFAULT_PARAMS } from "./engine";
+import { DIST_TYPES } from "./distributions";
+import { POLICIES } from "./policies";
+import { DEFAULT_SITE, loadSite, MERGE_DISCIPLINES } from "./site";
+
+/**
+ * Saved scenarios — one named setup that reproduces a run exactly
+ * - A scenario file: { format, version, name, savedAt, seed, params, site };
+ *   params carry the arrival profile, rebalancing policy, menu and toggles
+ * - Versioned schema: older files are migrated, then validated field by field
+ * - Named scenarios live in localStorage; the working setup is remembered too
+ * - A scenario packs into a URL hash (deflate-raw + base64url) for sharing
+ * - Recorded traces are not included (too large for a link)
+ */
+
+export const SCENARIO_FORMAT = "drive-thru-scenario";
+export const SCENARIO_VERSION = 1;
+const STORAGE_KEY = "drive-thru/scenarios";
+const CURRENT_KEY = "drive-thru/current";
+const HASH_KEY = "s";
+
+export function captureScenario({ name = "Untitled", params, site, seed }) {
+  return { format: SCENARIO_FORMAT, version: SCENARIO_VERSION, name, savedAt: new Date().toISOString(), seed, params, site };
+}
+
+export const serializeScenario = (scenario) => JSON.stringify(scenario, null, 2);
+
+// ---- Migration ----
+// One step per schema version: MIGRATIONS[v] upgrades a v file to v + 1
+const MIGRATIONS = {
+  // v0: no header, e.g. a comparison scenario { name, params } (./scenarios);
+  // its layout and seed were whatever the sim had, so take the defaults
+  0: (raw) => ({ ...raw, format: SCENARIO_FORMAT, name: raw.name ?? "Imported", seed: raw.seed ?? 1, site: raw.site ?? DEFAULT_SITE }),
+};
+
+function migrateScenario(raw) {
+  let s = raw, v = raw.version ?? 0;
+  while (v < SCENARIO_VERSION) { s = { ...MIGRATIONS[v](s), version: v + 1 }; v++; }
+  const { id, ...rest } = s; // comparison ids are per session
+  return rest;
+}
+
+// ---- Validation ----
+const INT_MIN_1 = ["payServers", "pickupServers", "curbsideRunners", "kitchenStations", "balkTolerance"];
+const SERVICE_STAGES = Object.keys(DEFAULT_PARAMS.service);
+
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isNonNeg = (v) => typeof v === "number" && isFinite(v) && v >= 0;
+// Nested defaults under a partial object; anything else is left for validation to report
+const under = (defaults, value) => (isObject(value) ? { ...defaults, ...value } : value ?? defaults);
+
+// Older or hand-edited files may carry only part of a nested setting
+function withDefaults(raw) {
+  const d = DEFAULT_PARAMS;
+  const params = { ...d, ...raw };
+  params.service = under(d.service, raw.service);
+  if (isObject(params.service)) for (const stage of SERVICE_STAGES) params.service[stage] = under(d.service[stage], params.service[stage]);
+  params.patience = under(d.patience, raw.patience);
+  params.slaTargets = under(d.slaTargets, raw.slaTargets);
+  params.menu = under(d.menu, raw.menu);
+  if (isObject(params.menu)) params.menu.timing = under(d.menu.timing, params.menu.timing);
+  params.rebalance = under(d.rebalance, raw.rebalance);
+  if (isObject(params.rebalance)) params.rebalance.settings = under(d.rebalance.settings, params.rebalance.settings);
+  if (isObject(params.rebalance?.settings)) for (const id of Object.keys(d.rebalance.settings)) params.rebalance.settings[id] = under(d.rebalance.settings[id], params.rebalance.settings[id]);
+  return params;
+}
+
+function validateDist(spec, field, fail) {
+  if (!isObject(spec)) { fail(field, "Expected a distribution { type, cv }"); return; }
+  if (!DIST_TYPES.some((t) => t.id === spec.type)) fail(`${field}.type`, `Unknown distribution "${spec.type}"`);
+  if (spec.cv !== undefined && !isNonNeg(spec.cv)) fail(`${field}.cv`, "Must be a number ≥ 0");
+  if (spec.type === "empirical" && !(Array.isArray(spec.bins) && spec.bins.length && spec.bins.every((b) => isNonNeg(b?.lo) && isNonNeg(b?.n) && b.hi > b.lo))) {
+    fail(`${field}.bins`, "Needs at least one { lo, hi, n } bin with hi > lo");
+  }
+}
+
+function validateMenu(menu, fail) {
+  if (!isObject(menu)) { fail("params.menu", "Expected a menu object"); return; }
+  const { items, groupSizes, itemsPerPerson, timing } = menu;
+  if (!Array.isArray(items) || !items.length) fail("params.menu.items", "Needs at least one item");
+  else {
+    items.forEach((it, i) => {
+      if (typeof it?.id !== "string" || !it.id) fail(`params.menu.items[${i}].id`, "Id is required");
+      for (const k of ["price", "prepMin", "weight"]) if (!isNonNeg(it?.[k])) fail(`params.menu.items[${i}].${k}`, "Must be a number ≥ 0");
+    });
+    if (!(items.reduce((a, it) => a + (it?.weight || 0), 0) > 0)) fail("params.menu.items", "At least one item needs a weight > 0");
+  }
+  if (!Array.isArray(groupSizes) || !groupSizes.length || !groupSizes.every(isNonNeg) || !(groupSizes.reduce((a, b) => a + b, 0) > 0)) {
+    fail("params.menu.groupSizes", "Needs group-size weights ≥ 0, not all zero");
+  }
+  if (!isNonNeg(itemsPerPerson)) fail("params.menu.itemsPerPerson", "Must be a number ≥ 0");
+  if (!isObject(timing)) fail("params.menu.timing", "Expected { orderBase, orderPerItem, payBase, payPerItem }");
+  else for (const [k, v] of Object.entries(timing)) if (!isNonNeg(v)) fail(`params.menu.timing.${k}`, "Must be a number ≥ 0");
+}
+
+function validateDayparts(dayparts, fail) {
+  if (!Array.isArray(dayparts) || !dayparts.length) { fail("params.dayparts", "Needs at least one daypart"); return; }
+  dayparts.forEach((d, i) => {
+    if (typeof d?.name !== "string" || !d.name) fail(`params.dayparts[${i}].name`, "Name is required");
+    if (!(isNonNeg(d?.start) && isNonNeg(d?.end) && d.start < d.end && d.end <= 24)) fail(`params.dayparts[${i}]`, "Needs 0 ≤ start < end ≤ 24");
+  });
+}
+
+// Per-policy knobs: numbers as in the policy's defaults; schedule moves as { h, from, to }
+function validateRebalanceSettings(settings, fail) {
+  for (const policy of Object.values(POLICIES)) {
+    const field = `params.rebalance.settings.${policy.id}`;
+    const set = settings[policy.id];
+    if (!isObject(set)) { fail(field, "Expected policy settings"); continue; }
+    for (const [k, def] of Object.entries(policy.defaults)) {
+      if (typeof def === "number" && !isNonNeg(set[k])) fail(`${field}.${k}`, "Must be a number ≥ 0");
+    }
+    if (policy.defaults.moves && !(Array.isArray(set.moves) && set.moves.every((m) => isNonNeg(m?.h) && m.h < 24 && typeof m.from === "string" && typeof m.to === "string"))) {
+      fail(`${field}.moves`, "Expected a list of { h, from, to } moves with 0 ≤ h < 24");
+    }
+  }
+}
+
+// null, or a plan from ./staffing: { intervalMin, slots: [{ h, staff }] }
+function validateStaffingPlan(plan, fail) {
+  if (plan === null) return;
+  if (!isObject(plan)) { fail("params.staffingPlan", "Expected a staffing plan or null"); return; }
+  if (!(plan.intervalMin > 0 && isFinite(plan.intervalMin))) fail("params.staffingPlan.intervalMin", "Must be a number > 0");
+  if (!Array.isArray(plan.slots) || !plan.slots.length) { fail("params.staffingPlan.slots", "Needs at least one slot"); return; }
+  const count = (v) => Number.isInteger(v) && v >= 1;
+  plan.slots.forEach((slot, i) => {
+    const at = `params.staffingPlan.slots[${i}]`;
+    if (!isNonNeg(slot?.h) || slot.h >= 24) fail(`${at}.h`, "Must be an hour, 0 ≤ h < 24");
+    const staff = slot?.staff;
+    if (!isObject(staff) || !isObject(staff.order) || !Object.values(staff.order).every(count) || !count(staff.pay) || !count(staff.pickup) || !(staff.curbside === undefined || count(staff.curbside)) || !(staff.kitchen === undefined || count(staff.kitchen))) {
+      fail(`${at}.staff`, "Needs whole-number servers ≥ 1: { order: { lane: n }, pay, pickup, curbside?, kitchen? }");
+    }
+  });
+}
+
+const validProfile = (profile) => Array.isArray(profile?.points) && profile.points.length > 0 && profile.points.every((p) => isFinite(p?.h) && isNonNeg(p?.v));
+
+function validateParams(params, fail) {
+  for (const [key, def] of Object.entries(DEFAULT_PARAMS)) {
+    if (typeof def !== "number") continue;
+    const v = params[key];
+    if (!isNonNeg(v)) fail(`params.${key}`, "Must be a number ≥ 0");
+    else if (INT_MIN_1.includes(key) && (!Number.isInteger(v) || v < 1)) fail(`params.${key}`, "Must be a whole number ≥ 1");
+  }
+  if (!isObject(params.orderServers)) fail("params.orderServers", "Expected servers per lane");
+  else for (const [L, n] of Object.entries(params.orderServers)) {
+    if (!Number.isInteger(n) || n < 1) fail(`params.orderServers.${L}`, "Must be a whole number ≥ 1");
+  }
+  if (!MERGE_DISCIPLINES.some((d) => d.id === params.mergeDiscipline)) fail("params.mergeDiscipline", `Unknown merge discipline "${params.mergeDiscipline}"`);
+  if (!isObject(params.rebalance) || !POLICIES[params.rebalance.policy]) fail("params.rebalance.policy", `Unknown policy "${params.rebalance?.policy}"`);
+  else {
+    if (!(params.rebalance.checkEveryMin > 0)) fail("params.rebalance.checkEveryMin", "Must be a number > 0");
+    if (!isObject(params.rebalance.settings)) fail("params.rebalance.settings", "Expected settings per policy");
+    else validateRebalanceSettings(params.rebalance.settings, fail);
+  }
+  validateStaffingPlan(params.staffingPlan ?? null, fail);
+  if (!isObject(params.service)) fail("params.service", "Expected a distribution per stage");
+  else for (const stage of SERVICE_STAGES) validateDist(params.service[stage], `params.service.${stage}`, fail);
+  validateDist(params.patience, "params.patience", fail);
+  if (!isObject(params.slaTargets)) fail("params.slaTargets", "Expected minutes per stage");
+  else for (const [k, v] of Object.entries(params.slaTargets)) if (!isNonNeg(v)) fail(`params.slaTargets.${k}`, "Must be a number ≥ 0");
+  validateMenu(params.menu, fail);
+  validateDayparts(params.dayparts, fail);
+  if (!validProfile(params.arrivalProfile)) fail("params.arrivalProfile", "Needs at least one { h, v } point with v ≥ 0");
+  if (params.mobileProfile != null && !validProfile(params.mobileProfile)) fail("params.mobileProfile", "Needs at least one { h, v } point with v ≥ 0");
+}
+
+// Migrated object -> { scenario, errors }; missing params fall back to today's defaults
+export function loadScenario(raw) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { scenario: null, errors: [{ field: "file", message: "Expected a scenario object" }] };
+  if (raw.format && raw.format !== SCENARIO_FORMAT) return { scenario: null, errors: [{ field: "format", message: `Not a scenario file (${raw.format})` }] };
+  if (raw.version > SCENARIO_VERSION) return { scenario: null, errors: [{ field: "version", message: `Scenario version ${raw.version} is newer than this app (${SCENARIO_VERSION})` }] };
+  if (!isObject(raw.params)) return { scenario: null, errors: [{ field: "params", message: "Missing params" }] };
+
+  const s = migrateScenario(raw);
+  const params = withDefaults(s.params);
+  validateParams(params, fail);
+  const { site, errors: siteErrors } = loadSite(s.site ?? DEFAULT_SITE);
+  siteErrors.forEach((e) => fail(`site.${e.field}`, e.message));
+  if (typeof s.name !== "string" || !s.name.trim()) fail("name", "Name is required");
+  if (s.seed === undefined || s.seed === null || String(s.seed) === "") fail("seed", "Seed is required");
+  if (errors.length) return { scenario: null, errors };
+  return { scenario: { ...s, params, site }, errors };
+}
+
+// JSON text -> { scenario, errors }; throws on text that is not JSON
+export function parseScenario(text) {
+  return loadScenario(JSON.parse(text));
+}
+
+// ---- localStorage ----
+// Storage can be missing or full (private mode, quota); failures are reported, not thrown
+function readStore(key, fallback) {
+  try { return JSON.parse(globalThis.localStorage?.getItem(key) ?? "null") ?? fallback; } catch { return fallback; }
+}
+
+function writeStore(key, value) {
+  try { globalThis.localStorage?.setItem(key, JSON.stringify(value)); return true; } catch { return false; }
+}
+
+// Saved scenarios, newest first
+export const listSaved = () => readStore(STORAGE_KEY, []);
+
+export function saveScenario(scenario) {
+  const rest = listSaved().filter((s) => s.name !== scenario.name);
+  return writeStore(STORAGE_KEY, [scenario, ...rest]);
+}
+
+export const deleteSaved = (name) => writeStore(STORAGE_KEY, listSaved().filter((s) => s.name !== name));
+
+// The working setup, restored on reload
+export const rememberCurrent = (scenario) => writeStore(CURRENT_KEY, scenario);
+
+export function recallCurrent() {
+  const raw = readStore(CURRENT_KEY, null);
+  return raw ? loadScenario(raw).scenario : null;
+}
+
+// ---- URL hash ----
+const toBase64Url = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+
+async function pipe(bytes, stream) {
+  const out = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await out.arrayBuffer());
+}
+
+// Scenario -> "#s=z<deflated>" (or "#s=j<json>" where CompressionStream is missing)
+export async function scenarioToHash(scenario) {
+  const bytes = new TextEncoder().encode(JSON.stringify(scenario));
+  if (typeof CompressionStream === "undefined") return `#${HASH_KEY}=j${toBase64Url(bytes)}`;
+  return `#${HASH_KEY}=z${toBase64Url(await pipe(bytes, new CompressionStream("deflate-raw")))}`;
+}
+
+// location.hash -> { scenario, errors }, or null when the hash holds no scenario
+export async function scenarioFromHash(hash) {
+  const value = new URLSearchParams(String(hash ?? "").replace(/^#/, "")).get(HASH_KEY);
+  if (!value) return null;
+  try {
+    const bytes = fromBase64Url(value.slice(1));
+    const json = value[0] === "z" ? await pipe(bytes, new DecompressionStream("deflate-raw")) : bytes;
+    return parseScenario(new TextDecoder().decode(json));
+  } catch (e) {
+    return { scenario: null, errors: [{ field: "link", message: `Could not read the shared scenario: ${e.message}` }] };
+  }
+}
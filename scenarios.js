@@ -0,0 +1,78 @@
+import { confidence, KPIS, runReplication } from "./replications";
+
+/**
+ * Scenario comparison on common random numbers
+ * - A scenario is { id, name, params }; the first one is the baseline
+ * - Replication i of every scenario uses the same seed, and the engine keeps
+ *   one RNG stream per source, so differences come from the change, not luck
+ * - Paired differences (scenario − baseline) per replication -> 95% CI
+ * - A plain-language verdict on the primary KPI
+ */
+
+// Knobs the scenario editor exposes; anything else is inherited from the sim
+export const SCENARIO_KNOBS = [
+  { key: "payServers", label: "Pay servers", step: 1, min: 1 },
+  { key: "pickupServers", label: "Pickup servers", step: 1, min: 1 },
+  { key: "kitchenStations", label: "Kitchen stations", step: 1, min: 1 },
+  { key: "curbsideRunners", label: "Curbside runners", step: 1, min: 1 },
+  { key: "divertThresholdMin", label: "Divert threshold (min)", step: 0.5, min: 0 },
+  { key: "arrivalRate", label: "Arrivals/hr", step: 1, min: 1 },
+  { key: "orderRate", label: "Order rate", step: 0.05, min: 0.05 },
+  { key: "payRate", label: "Pay rate", step: 0.05, min: 0.05 },
+  { key: "pickupRate", label: "Pickup rate", step: 0.05, min: 0.05 },
+];
+
+let nextId = 1;
+export const makeScenario = (name, params) => ({ id: `sc${nextId++}`, name, params: structuredClone(params) });
+
+// Differences from the baseline, for labels like "payServers 1 → 2"
+export function scenarioChanges(base, scenario) {
+  const out = SCENARIO_KNOBS.filter((k) => scenario.params[k.key] !== base.params[k.key]).map((k) => `${k.label} ${base.params[k.key]} → ${scenario.params[k.key]}`);
+  for (const [L, n] of Object.entries(scenario.params.orderServers)) if (base.params.orderServers[L] !== n) out.push(`Order ${L} ${base.params.orderServers[L]} → ${n}`);
+  return out;
+}
+
+const signed = (v, digits = 2) => `${v >= 0 ? "+" : "−"}${Math.abs(v).toFixed(digits)}`;
+
+// One replication of every scenario on the shared seed
+export function runPaired(scenarios, site, { seed, rep, horizon, warmup }) {
+  return scenarios.map((sc) => runReplication(sc.params, site, { seed: `${seed}-crn-${rep}`, horizon, warmup }));
+}
+
+/**
+ * runs[r][s] = KPI values of scenario s in replication r.
+ * Returns per-scenario summaries, paired diffs vs the baseline and a verdict.
+ */
+export function summarizeComparison(scenarios, runs, { primary = "meanWait" } = {}) {
+  const perScenario = scenarios.map((sc, s) => ({
+    ...sc,
+    kpis: Object.fromEntries(KPIS.map((k) => [k.key, confidence(runs.map((r) => r[s][k.key]))])),
+    diffs: s === 0 ? null : Object.fromEntries(KPIS.map((k) => [k.key, confidence(runs.map((r) => r[s][k.key] - r[0][k.key]))])),
+  }));
+  return { replications: runs.length, primary, scenarios: perScenario, verdict: verdict(perScenario, primary) };
+}
+
+function verdict(perScenario, primary) {
+  const kpi = KPIS.find((k) => k.key === primary);
+  const [base, ...others] = perScenario;
+  const sign = kpi.better === "lower" ? -1 : 1; // + means "better"
+  const lines = others.map((sc) => {
+    const d = sc.diffs[primary];
+    const significant = d.n > 1 && (d.lo > 0 || d.hi < 0);
+    const improvement = sign * d.mean;
+    const pct = base.kpis[primary].mean ? (100 * d.mean) / base.kpis[primary].mean : 0;
+    if (!significant) return { id: sc.id, better: 0, text: `${sc.name}: no significant difference from ${base.name} on ${kpi.label.toLowerCase()} (${signed(d.mean)} ${kpi.unit}, 95% CI ${signed(d.lo)} to ${signed(d.hi)}).` };
+    return {
+      id: sc.id,
+      better: improvement > 0 ? 1 : -1,
+      text: `${sc.name} is ${improvement > 0 ? "better" : "worse"} than ${base.name}: ${kpi.label.toLowerCase()} ${signed(d.mean)} ${kpi.unit} (${signed(pct, 0)}%, 95% CI ${signed(d.lo)} to ${signed(d.hi)}).`,
+    };
+  });
+  // Best overall by the primary KPI mean, counted only when it beats the baseline significantly
+  const winners = others.filter((sc, i) => lines[i].better > 0);
+  const best = winners.sort((a, b) => sign * (b.kpis[primary].mean - a.kpis[primary].mean))[0];
+  const headline = best
+    ? `${best.name} wins on ${kpi.label.toLowerCase()}: ${best.kpis[primary].mean.toFixed(2)} vs ${base.kpis[primary].mean.toFixed(2)} ${kpi.unit} for ${base.name}.`
+    : `Nothing beats ${base.name} on ${kpi.label.toLowerCase()} with 95% confidence.`;
+  return { headline, lines, bestId: best?.id ?? base.id };
+}
@@ -0,0 +1,202 @@
+/**
+ * Site model — lanes, order posts and the merge into the shared pay window
+ * - Coordinates are normalized [0..1] map space (same as CanvasMap)
+ * - Lanes are data: the engine, map, advisor and controls all iterate site.lanes
+ * - Lane order doubles as merge priority for the "priority" discipline
+ * - Cars beyond a lane's stack spill back into the street
+ * - Parking spots and stack zones are part of the layout; a site saves as
+ *   versioned JSON (serializeSite / parseSite) read by both map and engine
+ * - Spot distance and exit friction come from the geometry (withSpotGeometry)
+ */
+
+export const MERGE_DISCIPLINES = [
+  { id: "fifo", label: "FIFO by order completion" },
+  { id: "zipper", label: "Alternating zipper" },
+  { id: "priority", label: "Lane priority" },
+];
+
+export const SITE_VERSION = 2;
+export const SITE_METERS = 120; // default meters per normalized unit (both axes); site.meters overrides
+export const CAR_LENGTH_M = 6; // one car plus its gap in a queue
+
+export const LANE_COLORS = ["#22c55e", "#22d3ee", "#f97316", "#e879f9"];
+
+// Outer loop road; extra lanes run parallel inside it
+const LOOP = [
+  [0.06, 0.85], [0.12, 0.7], [0.25, 0.62], [0.5, 0.58], [0.78, 0.62], [0.92, 0.5], [0.8, 0.36], [0.52, 0.3], [0.24, 0.36], [0.1, 0.52], [0.06, 0.85],
+];
+
+function makeLane(i) {
+  const id = String.fromCharCode(65 + i);
+  const path = LOOP.map(([x, y]) => [x + 0.03 * i, y - 0.04 * i]);
+  return { id, label: `Lane ${id}`, color: LANE_COLORS[i % LANE_COLORS.length], path, orderPost: path[3], stack: 8 };
+}
+
+export const siteMeters = (site) => site.meters ?? SITE_METERS;
+// Cars enter (and leave) the lot at the start of the first lane unless the plan says otherwise
+export const siteEntrance = (site) => site.entrance ?? site.lanes[0].path[0];
+export const siteExit = (site) => site.exit ?? siteEntrance(site);
+
+// ---- Spot geometry ----
+const NEIGHBOR_M = 8; // bays closer than this hem a car in
+
+/**
+ * Per-spot distance (meters from the entrance) and exit friction from the layout:
+ * far from the exit and boxed in by neighbors = hard to leave; back-in bays
+ * pull out forwards, which is easier.
+ */
+export function withSpotGeometry(site) {
+  if (!site.entrance && !site.lanes?.[0]?.path?.length) return site; // nothing to measure from
+  const m = siteMeters(site);
+  const [ex, ey] = siteEntrance(site), [xx, xy] = siteExit(site);
+  const meters = (ax, ay, bx, by) => Math.hypot(bx - ax, by - ay) * m;
+  const spots = site.parking ?? [];
+  const toExit = spots.map((s) => meters(s.x, s.y, xx, xy));
+  const far = Math.max(1e-9, ...toExit);
+  const parking = spots.map((s, i) => {
+    const neighbors = spots.filter((o) => o !== s && meters(s.x, s.y, o.x, o.y) < NEIGHBOR_M).length;
+    const friction = 0.2 + 0.8 * (toExit[i] / far) + 0.15 * Math.min(4, neighbors) - (s.backIn ? 0.2 : 0);
+    return { ...s, distance: +meters(ex, ey, s.x, s.y).toFixed(1), exitFriction: +Math.max(0, friction).toFixed(2) };
+  });
+  return { ...site, parking };
+}
+
+// Default lot: 4 rows of 14 bays below the loop. Spot x/y is the bay's top-left
+// corner; angle rotates the bay about its center (degrees)
+export function makeParking() {
+  const spots = []; let id = 1;
+  for (let r = 0; r < 4; r++) {
+    for (let c = 0; c < 14; c++) {
+      spots.push({
+        id: `S${id++}`, x: 0.06 + c * 0.06, y: 0.6 + r * 0.08, angle: 0,
+        reserved: c < 2 && r === 0, backIn: (c + 2 * r) % 4 === 0, ev: r === 0 && c >= 12,
+      });
+    }
+  }
+  return spots;
+}
+
+export function makeSite(laneCount) {
+  return withSpotGeometry({
+    version: SITE_VERSION,
+    name: `${laneCount}-lane`,
+    lanes: Array.from({ length: laneCount }, (_, i) => makeLane(i)),
+    merge: [0.88, 0.46], // lanes join the pay queue here
+    // Stack capacities in car lengths: lane stacks include the car at the post,
+    // pay/pickup stacks include the car at the window
+    stacks: { pay: 4, pickup: 2 },
+    payBay: [[0.88, 0.46], [0.96, 0.46]],
+    pickupBay: [[0.84, 0.40], [0.94, 0.40]],
+    store: { x: 0.39, y: 0.34, w: 0.22, h: 0.18 },
+    parking: makeParking(),
+    // Drawn queueing areas: { id, stage: lane id | "pay" | "pickup", x, y, w, h };
+    // a zone sets its stage's stack from its length (see applyStackZones)
+    stackZones: [],
+  });
+}
+
+export const SITE_PRESETS = { single: makeSite(1), double: makeSite(2), triple: makeSite(3) };
+export const DEFAULT_SITE = SITE_PRESETS.double;
+
+export const laneIds = (site) => site.lanes.map((l) => l.id);
+
+// Keep one order-server count per configured lane (new lanes start with 1)
+export function fitOrderServers(site, orderServers = {}) {
+  return Object.fromEntries(site.lanes.map((l) => [l.id, orderServers[l.id] ?? 1]));
+}
+
+// ---- Stack zones ----
+// Cars that fit along a zone's long side
+export const zoneCapacity = (zone, meters = SITE_METERS) => Math.max(1, Math.floor((Math.max(zone.w, zone.h) * meters) / CAR_LENGTH_M));
+
+// Lane stacks and pay/pickup stacks from the drawn zones (stages without a zone keep theirs)
+export function applyStackZones(site) {
+  const cap = (stage) => {
+    const zones = (site.stackZones ?? []).filter((z) => z.stage === stage);
+    return zones.length ? zones.reduce((n, z) => n + zoneCapacity(z, siteMeters(site)), 0) : null;
+  };
+  return {
+    ...site,
+    lanes: site.lanes.map((l) => ({ ...l, stack: cap(l.id) ?? l.stack })),
+    stacks: { pay: cap("pay") ?? site.stacks.pay, pickup: cap("pickup") ?? site.stacks.pickup },
+  };
+}
+
+// ---- Save / load ----
+const isPoint = (p) => Array.isArray(p) && p.length === 2 && p.every((v) => typeof v === "number" && isFinite(v));
+const inMap = (v) => typeof v === "number" && v >= 0 && v <= 1;
+
+export function serializeSite(site) {
+  return JSON.stringify({ format: "drive-thru-site", ...site, version: SITE_VERSION }, null, 2);
+}
+
+// Older layouts -> current version: v1 had no parking or stack zones
+function migrateSite(raw) {
+  const site = { ...raw };
+  if ((site.version ?? 1) < 2) {
+    site.parking = site.parking ?? makeParking();
+    site.stackZones = site.stackZones ?? [];
+  }
+  site.version = SITE_VERSION;
+  delete site.format;
+  return site;
+}
+
+// Problems that would break the map or the engine: [{ field, message }]
+export function validateSite(site) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+  if (!Array.isArray(site.lanes) || !site.lanes.length) fail("lanes", "At least one lane is required");
+  const ids = new Set();
+  (Array.isArray(site.lanes) ? site.lanes : []).forEach((l, i) => {
+    const at = `lanes[${i}]`;
+    if (!l || typeof l !== "object") { fail(at, "Expected a lane object"); return; }
+    if (!l.id || ids.has(l.id)) fail(`${at}.id`, "Lane ids must be unique and non-empty");
+    ids.add(l.id);
+    if (!Array.isArray(l.path) || l.path.length < 2 || !l.path.every(isPoint)) fail(`${at}.path`, "A lane path needs at least two [x, y] points");
+    if (!isPoint(l.orderPost)) fail(`${at}.orderPost`, "Order post must be an [x, y] point");
+    if (!(l.stack >= 1)) fail(`${at}.stack`, "Lane stack must be at least 1");
+  });
+  if (!isPoint(site.merge)) fail("merge", "Merge must be an [x, y] point");
+  for (const bay of ["payBay", "pickupBay"]) {
+    if (!Array.isArray(site[bay]) || site[bay].length < 2 || !site[bay].every(isPoint)) fail(bay, "A window bay needs at least two [x, y] points");
+  }
+  if (!(site.stacks?.pay >= 1) || !(site.stacks?.pickup >= 1)) fail("stacks", "Pay and pickup stacks must be at least 1");
+  if (site.meters !== undefined && !(site.meters > 0)) fail("meters", "Scale must be a positive number of meters");
+  for (const key of ["entrance", "exit"]) if (site[key] !== undefined && !isPoint(site[key])) fail(key, `${key} must be an [x, y] point`);
+  const st = site.store;
+  if (!st || ![st.x, st.y].every(inMap) || !(st.w > 0) || !(st.h > 0)) fail("store", "Store needs x, y in 0..1 and a positive size");
+  const spotIds = new Set();
+  if (site.parking !== undefined && !Array.isArray(site.parking)) fail("parking", "Parking must be a list of spots");
+  (Array.isArray(site.parking) ? site.parking : []).forEach((sp, i) => {
+    if (!sp || typeof sp !== "object") { fail(`parking[${i}]`, "Expected a spot object"); return; }
+    if (!sp.id || spotIds.has(sp.id)) fail(`parking[${i}].id`, "Spot ids must be unique and non-empty");
+    spotIds.add(sp.id);
+    if (!inMap(sp.x) || !inMap(sp.y)) fail(`parking[${i}]`, "Spot x, y must be in 0..1");
+  });
+  if (site.stackZones !== undefined && !Array.isArray(site.stackZones)) fail("stackZones", "Stack zones must be a list");
+  (Array.isArray(site.stackZones) ? site.stackZones : []).forEach((z, i) => {
+    if (!z || typeof z !== "object") { fail(`stackZones[${i}]`, "Expected a stack zone object"); return; }
+    if (z.stage !== "pay" && z.stage !== "pickup" && !ids.has(z.stage)) fail(`stackZones[${i}].stage`, `Unknown stage "${z.stage}"`);
+    // A NaN or huge size would make the stack unbounded
+    if (![z.x, z.y, z.w, z.h].every(inMap)) fail(`stackZones[${i}]`, "Zone x, y, w, h must be numbers in 0..1");
+  });
+  return errors;
+}
+
+// Parsed layout object (any version) -> { site, errors }; spot geometry is
+// derived only once the layout is known to be sound
+export function loadSite(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { site: null, errors: [{ field: "site", message: "Expected a site layout object" }] };
+  if (raw.version > SITE_VERSION) return { site: null, errors: [{ field: "version", message: `Layout version ${raw.version} is newer than this app (${SITE_VERSION})` }] };
+  const site = migrateSite(raw);
+  const errors = validateSite(site);
+  return { site: errors.length ? null : withSpotGeometry(site), errors };
+}
+
+// JSON text -> { site, errors }; throws on text that is not JSON
+export function parseSite(text) {
+  const raw = JSON.parse(text);
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) throw new Error("Expected a site layout object");
+  return loadSite(raw);
+}
@@ -0,0 +1,300 @@
+import { makeSite, LANE_COLORS, SITE_VERSION, validateSite, withSpotGeometry } from "./site";
+import { project } from "./mapMotion";
+
+/**
+ * Site plan import — GeoJSON and SVG drawings -> the site model
+ * - Features are tagged with a role: GeoJSON `properties.role`, SVG `data-role`,
+ *   a class or an id prefix (e.g. id="lane-A", class="parking")
+ * - Lines -> lanes and window bays, polygons -> parking bays, the building and
+ *   stack zones, points -> order posts, windows, merge, entrance and exit
+ * - Coordinates are projected to meters (lon/lat via a local equirectangular
+ *   projection), then scaled into normalized map space keeping the aspect;
+ *   site.meters records the scale so walks and stacks stay in real meters
+ * - Spot distance and exit friction are derived from the geometry (withSpotGeometry)
+ * - SVG: only element coordinates are read; transforms are not applied
+ */
+
+export const IMPORT_ROLES = [
+  { role: "lane", geometry: "line", hint: "Drive-thru lane, entry to exit (id, label, stack)" },
+  { role: "order-post", geometry: "point", hint: "Order post (lane)" },
+  { role: "merge", geometry: "point", hint: "Where lanes join the pay queue" },
+  { role: "pay-window", geometry: "point", hint: "Pay window (or a pay-bay line ending at it)" },
+  { role: "pickup-window", geometry: "point", hint: "Pickup window (or a pickup-bay line ending at it)" },
+  { role: "pay-bay", geometry: "line", hint: "Pay bay, ending at the window" },
+  { role: "pickup-bay", geometry: "line", hint: "Pickup bay, ending at the window" },
+  { role: "building", geometry: "polygon", hint: "Store footprint" },
+  { role: "parking", geometry: "polygon", hint: "One parking bay (reserved, ev, back-in)" },
+  { role: "stack-zone", geometry: "polygon", hint: "Queueing area (stage: lane id, pay or pickup)" },
+  { role: "entrance", geometry: "point", hint: "Lot entrance" },
+  { role: "exit", geometry: "point", hint: "Lot exit" },
+];
+
+const ROLE_ALIASES = {
+  lane: "lane", "drive-thru": "lane", drivethru: "lane",
+  "order-post": "order-post", post: "order-post", menuboard: "order-post", "menu-board": "order-post", speaker: "order-post",
+  merge: "merge",
+  "pay-window": "pay-window", pay: "pay-window", "pickup-window": "pickup-window", pickup: "pickup-window",
+  "pay-bay": "pay-bay", "pickup-bay": "pickup-bay",
+  building: "building", store: "building", restaurant: "building",
+  parking: "parking", spot: "parking", stall: "parking", bay: "parking",
+  "stack-zone": "stack-zone", stack: "stack-zone", queue: "stack-zone",
+  entrance: "entrance", entry: "entrance", exit: "exit",
+};
+
+export const DEFAULT_IMPORT = { scale: 1, margin: 0.04 }; // scale: meters per SVG / projected unit
+const METERS_PER_DEG_LAT = 110540, METERS_PER_DEG_LON = 111320;
+// Half of a bay drawn at SPOT_SIZE_PX on a typical ~800×560 map, normalized
+const SPOT_HALF = [0.0175, 0.036];
+
+const canonicalRole = (name) => ROLE_ALIASES[String(name ?? "").trim().toLowerCase().replace(/[\s_]+/g, "-")] ?? null;
+
+// First recognizable role among explicit tags, class names and the id's prefix
+// ("order-post-A" -> order-post, "spot12" -> parking)
+function roleFrom(...candidates) {
+  for (const c of candidates) {
+    for (const token of String(c ?? "").split(/\s+/)) {
+      const parts = token.replace(/\d+$/, "").split(/[-_:.]/);
+      for (let k = parts.length; k > 0; k--) {
+        const role = canonicalRole(parts.slice(0, k).join("-"));
+        if (role) return role;
+      }
+    }
+  }
+  return null;
+}
+
+const truthy = (v) => v === true || /^(1|true|yes|y)$/i.test(String(v ?? ""));
+
+// ---- GeoJSON ----
+/**
+ * GeoJSON text -> { features: [{ role, kind, coords, props }], geographic, skipped }.
+ * kind: "line" | "polygon" | "point"; polygons keep their outer ring only.
+ */
+export function parseGeoJson(text) {
+  const doc = typeof text === "string" ? JSON.parse(text) : text;
+  const list = doc?.type === "FeatureCollection" ? doc.features : doc?.type === "Feature" ? [doc] : null;
+  if (!Array.isArray(list)) throw new Error("Expected a GeoJSON FeatureCollection or Feature");
+  const features = [];
+  let skipped = 0;
+  const push = (role, kind, coords, props) => features.push({ role, kind, coords: coords.map(([x, y]) => [+x, +y]), props });
+  for (const f of list) {
+    const props = f?.properties ?? {};
+    const role = roleFrom(props.role, props.type, props.kind, props.class, props.id ?? f?.id);
+    const g = f?.geometry;
+    if (!role || !g) { skipped++; continue; }
+    const geoms = g.type === "GeometryCollection" ? g.geometries : [g];
+    for (const geom of geoms) {
+      const c = geom.coordinates;
+      if (geom.type === "Point") push(role, "point", [c], props);
+      else if (geom.type === "MultiPoint") c.forEach((p) => push(role, "point", [p], props));
+      else if (geom.type === "LineString") push(role, "line", c, props);
+      else if (geom.type === "MultiLineString") c.forEach((l) => push(role, "line", l, props));
+      else if (geom.type === "Polygon") push(role, "polygon", c[0], props);
+      else if (geom.type === "MultiPolygon") c.forEach((poly) => push(role, "polygon", poly[0], props));
+      else skipped++;
+    }
+  }
+  // CRS84 degrees unless the file names a projected CRS or the numbers can't be degrees
+  const named = doc.crs?.properties?.name ?? "";
+  const all = features.flatMap((f) => f.coords);
+  const geographic = (!named || /CRS84|4326/.test(named)) && all.every(([x, y]) => Math.abs(x) <= 180 && Math.abs(y) <= 90);
+  return { features, geographic, skipped };
+}
+
+// ---- SVG ----
+const attrsOf = (tag) => {
+  const out = {};
+  for (const m of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) out[m[1]] = m[2] ?? m[3];
+  return out;
+};
+const numbers = (s) => (String(s ?? "").match(/-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) ?? []).map(Number);
+const pairs = (list) => { const out = []; for (let i = 0; i + 1 < list.length; i += 2) out.push([list[i], list[i + 1]]); return out; };
+
+// Path data -> vertices; curves keep their end points
+function pathPoints(d) {
+  const pts = [];
+  let cur = [0, 0], start = [0, 0], closed = false;
+  const ARGS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+  for (const [, cmd, args] of String(d).matchAll(/([MLHVCSQTAZ])([^MLHVCSQTAZ]*)/gi)) {
+    const up = cmd.toUpperCase(), rel = cmd !== up, n = numbers(args);
+    if (up === "Z") { cur = start; closed = true; continue; }
+    for (let i = 0; i + ARGS[up] <= n.length; i += ARGS[up]) {
+      const a = n.slice(i, i + ARGS[up]);
+      let next;
+      if (up === "H") next = [rel ? cur[0] + a[0] : a[0], cur[1]];
+      else if (up === "V") next = [cur[0], rel ? cur[1] + a[0] : a[0]];
+      else { const [x, y] = a.slice(-2); next = rel ? [cur[0] + x, cur[1] + y] : [x, y]; }
+      cur = next;
+      pts.push(next);
+      if (up === "M" && i === 0) start = next;
+    }
+  }
+  return { pts, closed };
+}
+
+/**
+ * SVG text -> { features, geographic: false, skipped }, in SVG user units (y down).
+ * Shapes: line, polyline, polygon, path, rect, circle, ellipse. Properties come
+ * from data-* attributes (data-lane, data-stack, data-reserved, data-ev, ...).
+ */
+export function parseSvgPlan(text) {
+  if (!/<svg[\s>]/i.test(text)) throw new Error("Expected an SVG document");
+  const features = [];
+  let skipped = 0;
+  const body = text.replace(/<!--[\s\S]*?-->/g, "");
+  for (const m of body.matchAll(/<(line|polyline|polygon|path|rect|circle|ellipse)\b([^>]*)>/gi)) {
+    const el = m[1].toLowerCase(), a = attrsOf(m[2]);
+    const props = Object.fromEntries(Object.entries(a).filter(([k]) => k.startsWith("data-")).map(([k, v]) => [k.slice(5).replace(/-(\w)/g, (_, c) => c.toUpperCase()), v]));
+    if (a.id) props.id = props.id ?? a.id.replace(/^[a-z-]+[-_:]/i, "");
+    const role = roleFrom(a["data-role"], a.class, a.id);
+    if (!role) { skipped++; continue; }
+    const n = (k) => +(a[k] ?? 0);
+    let kind, coords;
+    if (el === "line") { kind = "line"; coords = [[n("x1"), n("y1")], [n("x2"), n("y2")]]; }
+    else if (el === "polyline") { kind = "line"; coords = pairs(numbers(a.points)); }
+    else if (el === "polygon") { kind = "polygon"; coords = pairs(numbers(a.points)); }
+    else if (el === "rect") { kind = "polygon"; coords = [[n("x"), n("y")], [n("x") + n("width"), n("y")], [n("x") + n("width"), n("y") + n("height")], [n("x"), n("y") + n("height")]]; }
+    else if (el === "circle" || el === "ellipse") { kind = "point"; coords = [[n("cx"), n("cy")]]; }
+    else { const p = pathPoints(a.d); kind = p.closed ? "polygon" : "line"; coords = p.pts; }
+    if (!coords.length) { skipped++; continue; }
+    features.push({ role, kind, coords, props });
+  }
+  return { features, geographic: false, skipped };
+}
+
+// ---- Projection ----
+const round4 = (v) => +v.toFixed(4);
+
+/**
+ * Source coordinates -> normalized [0..1] map space, one scale for both axes.
+ * Returns { features, meters } where meters is meters per normalized unit.
+ */
+export function projectFeatures({ features, geographic }, { scale = DEFAULT_IMPORT.scale, margin = DEFAULT_IMPORT.margin } = {}) {
+  const all = features.flatMap((f) => f.coords);
+  if (!all.length) return { features: [], meters: null };
+  let toMeters;
+  if (geographic) {
+    const lat0 = (Math.min(...all.map((p) => p[1])) + Math.max(...all.map((p) => p[1]))) / 2;
+    const kx = METERS_PER_DEG_LON * Math.cos((lat0 * Math.PI) / 180);
+    toMeters = ([lon, lat]) => [lon * kx, -lat * METERS_PER_DEG_LAT]; // north up
+  } else {
+    toMeters = ([x, y]) => [x * scale, y * scale];
+  }
+  const m = all.map(toMeters);
+  const minX = Math.min(...m.map((p) => p[0])), minY = Math.min(...m.map((p) => p[1]));
+  const spanX = Math.max(...m.map((p) => p[0])) - minX, spanY = Math.max(...m.map((p) => p[1])) - minY;
+  const meters = Math.max(spanX, spanY, 1e-9) / (1 - 2 * margin);
+  // Center the shorter side
+  const ox = margin + (1 - 2 * margin - spanX / meters) / 2, oy = margin + (1 - 2 * margin - spanY / meters) / 2;
+  const norm = (p) => { const [x, y] = toMeters(p); return [round4(ox + (x - minX) / meters), round4(oy + (y - minY) / meters)]; };
+  return { features: features.map((f) => ({ ...f, coords: f.coords.map(norm) })), meters };
+}
+
+// ---- Site building ----
+const centroid = (pts) => [pts.reduce((a, p) => a + p[0], 0) / pts.length, pts.reduce((a, p) => a + p[1], 0) / pts.length];
+const bbox = (pts) => {
+  const xs = pts.map((p) => p[0]), ys = pts.map((p) => p[1]);
+  const x = Math.min(...xs), y = Math.min(...ys);
+  return { x: round4(x), y: round4(y), w: round4(Math.max(...xs) - x), h: round4(Math.max(...ys) - y) };
+};
+// Drop the closing vertex of a ring
+const ring = (pts) => (pts.length > 1 && pts[0][0] === pts[pts.length - 1][0] && pts[0][1] === pts[pts.length - 1][1] ? pts.slice(0, -1) : pts);
+
+// Bay rotation: the drawn bay's long side runs "up" at angle 0
+function bayAngle(pts) {
+  const r = ring(pts);
+  let best = null;
+  for (let i = 0; i < r.length; i++) {
+    const a = r[i], b = r[(i + 1) % r.length];
+    const len = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    if (!best || len > best.len) best = { len, angle: Math.atan2(b[1] - a[1], b[0] - a[0]) };
+  }
+  const deg = Math.round((best.angle * 180) / Math.PI - 90);
+  return ((deg % 180) + 180) % 180;
+}
+
+/**
+ * Projected features -> { site, warnings, errors }.
+ * Missing pieces fall back to the default layout's (with a warning); the
+ * result is checked with validateSite.
+ */
+export function buildSite({ features, meters }, { name = "Imported plan" } = {}) {
+  const warnings = [];
+  const of = (role, kind) => features.filter((f) => f.role === role && (!kind || f.kind === kind));
+  const pointOf = (f) => (f.kind === "point" ? f.coords[0] : centroid(ring(f.coords)));
+  const fallback = makeSite(1);
+
+  // A closed shape tagged as a lane is a loop: back to its first vertex
+  const lanes = of("lane").filter((f) => f.kind !== "point").map((f, i) => {
+    const id = String(f.props.lane ?? f.props.id ?? String.fromCharCode(65 + i));
+    const path = f.kind === "polygon" ? [...ring(f.coords), f.coords[0]] : f.coords;
+    return { id, label: f.props.label ?? `Lane ${id}`, color: f.props.color ?? LANE_COLORS[i % LANE_COLORS.length], path, stack: Math.max(1, Math.round(+f.props.stack || 8)) };
+  });
+  if (!lanes.length) warnings.push("No lane lines found");
+
+  // Order posts: matched by lane tag, else the nearest lane; untagged lanes get one a third of the way in
+  const posts = of("order-post").map(pointOf);
+  of("order-post").forEach((f, i) => {
+    const p = posts[i];
+    const lane = lanes.find((l) => l.id === String(f.props.lane)) ?? [...lanes].sort((a, b) => project(a.path, p).gap - project(b.path, p).gap).find((l) => !l.orderPost);
+    if (lane) lane.orderPost = project(lane.path, p).point.map(round4);
+  });
+  for (const lane of lanes) {
+    if (lane.orderPost) continue;
+    lane.orderPost = lane.path[Math.floor(lane.path.length / 3)];
+    warnings.push(`${lane.label}: no order post, placed on the lane`);
+  }
+
+  const windowBay = (key, role, bayRole) => {
+    const line = of(bayRole, "line")[0];
+    if (line) return line.coords;
+    const win = of(role)[0];
+    if (!win) { warnings.push(`No ${role.replace("-", " ")}; default position used`); return fallback[key]; }
+    const [x, y] = pointOf(win);
+    return [[Math.max(0, x - 0.08), y], [x, y]]; // approach from the left
+  };
+  const payBay = windowBay("payBay", "pay-window", "pay-bay");
+  const pickupBay = windowBay("pickupBay", "pickup-window", "pickup-bay");
+  const mergeF = of("merge")[0];
+
+  const building = of("building", "polygon")[0];
+  if (!building) warnings.push("No building footprint; default store box used");
+
+  const parking = of("parking", "polygon").map((f, i) => {
+    const [cx, cy] = centroid(ring(f.coords));
+    return {
+      id: String(f.props.id ?? `S${i + 1}`), x: round4(cx - SPOT_HALF[0]), y: round4(cy - SPOT_HALF[1]), angle: bayAngle(f.coords),
+      reserved: truthy(f.props.reserved), backIn: truthy(f.props.backIn ?? f.props["back-in"]), ev: truthy(f.props.ev),
+    };
+  });
+  const stackZones = of("stack-zone", "polygon").map((f, i) => ({ id: `Z${i + 1}`, stage: String(f.props.stage ?? f.props.lane ?? lanes[0]?.id ?? "pay"), ...bbox(ring(f.coords)) }));
+
+  const entrance = of("entrance")[0], exit = of("exit")[0];
+  const site = {
+    version: SITE_VERSION,
+    name,
+    lanes,
+    merge: mergeF ? pointOf(mergeF) : payBay[0],
+    stacks: { ...fallback.stacks },
+    payBay,
+    pickupBay,
+    store: building ? bbox(ring(building.coords)) : fallback.store,
+    parking,
+    stackZones,
+    meters: meters ? +meters.toFixed(2) : undefined,
+    ...(entrance && { entrance: pointOf(entrance) }),
+    ...(exit && { exit: pointOf(exit) }),
+  };
+  const errors = validateSite(site);
+  return { site: errors.length ? null : withSpotGeometry(site), warnings, errors };
+}
+
+// Plan file text -> { site, warnings, errors }; format "geojson" | "svg" | "auto"
+export function importSitePlan(text, { format = "auto", scale, margin, name } = {}) {
+  const svg = format === "svg" || (format === "auto" && /^\s*(<\?xml|<svg|<!DOCTYPE svg)/i.test(text));
+  const parsed = svg ? parseSvgPlan(text) : parseGeoJson(text);
+  const projected = projectFeatures(parsed, { scale, margin });
+  const result = buildSite(projected, { name });
+  if (parsed.skipped) result.warnings.unshift(`${parsed.skipped} untagged or unsupported feature${parsed.skipped === 1 ? "" : "s"} skipped`);
+  return result;
+}
@@ -0,0 +1,247 @@
+import { runnerCycleMin, runSimulation } from "./engine";
+import { distCv } from "./distributions";
+import { quantile, tandemSteadyState } from "./predict";
+import { arrivalRateAt, formatClock } from "./profiles";
+import { meanItemPrep, meanItems } from "./menu";
+import { laneIds } from "./site";
+
+/**
+ * Staffing plan optimizer
+ * - Splits the operating window into 15-minute intervals and, for each, finds
+ *   the cheapest server mix whose predicted end-to-end time meets the SLA
+ *   ("pct of cars through in under `minutes`") on every lane
+ * - Greedy marginal analysis: start from the smallest stable staffing, then keep
+ *   adding the position with the largest SLA-quantile drop per labor dollar
+ * - The make line is a planned position too: the pickup stage includes the
+ *   wait for food, and no window staffing can beat a make line that can't keep up
+ * - The steady-state predictor ignores backlog carried between intervals, so
+ *   the plan is verified by simulating it with the real engine, and intervals
+ *   that miss get more staff until it passes (repairPlan)
+ */
+
+export const INTERVAL_MIN = 15;
+export const MAX_PER_POSITION = 6;
+
+export const DEFAULT_STAFFING_INPUTS = {
+  sla: { pct: 0.9, minutes: 5 },
+  laborCost: { order: 15, pay: 15, pickup: 16, curbside: 14, kitchen: 15 }, // $/hour per position (kitchen: per make-line station)
+  openHour: 10,
+  closeHour: 18,
+  curbsideShare: 0.1, // share of arrivals expected to need a curbside runner
+  runnerDelayMin: 2, // runners: handoff queueing delay at the SLA percentile
+  replications: 5,
+};
+
+// Positions as rows of the plan; order posts are one row per lane
+export const positionsFor = (site) => [
+  ...laneIds(site).map((L) => ({ key: `order:${L}`, stage: "order", lane: L, label: `Order ${L}` })),
+  { key: "pay", stage: "pay", label: "Pay" },
+  { key: "pickup", stage: "pickup", label: "Pickup" },
+  { key: "kitchen", stage: "kitchen", label: "Make line" },
+  { key: "curbside", stage: "curbside", label: "Curbside runners" },
+];
+
+const getStaff = (staff, pos) => (pos.lane ? staff.order[pos.lane] : staff[pos.stage]);
+function withStaff(staff, pos, n) {
+  return pos.lane ? { ...staff, order: { ...staff.order, [pos.lane]: n } } : { ...staff, [pos.stage]: n };
+}
+const minStable = (lam, mu) => Math.max(1, Math.floor(lam / mu) + 1);
+
+// Expected prep effort of the slowest of n items drawn from the menu mix
+function slowestItem(menu, n) {
+  const total = menu.items.reduce((a, it) => a + it.weight, 0) || 1;
+  const sorted = [...menu.items].sort((a, b) => a.prepMin - b.prepMin);
+  let below = 0, expected = 0;
+  for (const it of sorted) {
+    const upTo = below + it.weight / total;
+    expected += (it.prepMin / meanItemPrep(menu)) * (upTo ** n - below ** n);
+    below = upTo;
+  }
+  return expected;
+}
+
+// Mean minutes a drive-thru car holds the pickup window waiting for its food.
+// The order is fired at the order post (mobile: on arrival, so it's ready). The
+// make line works an order's items side by side, so it queues as one pooled
+// server on orders, and the car's pay visit is a head start. Both times spread
+// widely, so the overrun is E[(cook - headStart)+] for exponentials, not the
+// gap between the means.
+function foodWait(params, stations, kitchenLam, headStart) {
+  const items = meanItems(params.menu);
+  const [line] = tandemSteadyState([{ name: "prep", mu: (stations * params.prepRate) / items, servers: 1, cv: distCv(params.service.prep) }], kitchenLam).stages;
+  const cook = line.wq + Math.max(items / stations, slowestItem(params.menu, Math.round(items))) / params.prepRate;
+  if (!isFinite(cook)) return Infinity;
+  return ((cook * cook) / (cook + headStart)) * (1 - params.mobileShare);
+}
+
+// SLA-quantile of time in system for the worst lane under a given staffing.
+// kitchenLam: all orders reaching the make line (drive-thru and curbside).
+// load sums each stage's utilization (capped): unstable staffings all predict
+// Infinity, and load ranks them by how far they are from keeping up.
+function predictStaffing(params, site, staff, lam, pct, kitchenLam = lam) {
+  const cv = (stage) => distCv(params.service[stage]);
+  const pay = { name: "pay", mu: params.payRate, servers: staff.pay, cv: cv("pay") };
+  // A car waiting on food keeps the pickup window, so the wait counts as service
+  const fw = foodWait(params, staff.kitchen, kitchenLam, tandemSteadyState([pay], lam).stages[0].sojourn);
+  const pickupMean = 1 / params.pickupRate + fw;
+  const pickup = { name: "pickup", mu: 1 / pickupMean, servers: staff.pickup, cv: Math.hypot(cv("pickup") / params.pickupRate, fw) / pickupMean };
+  const shared = tandemSteadyState([pay, pickup], lam);
+  const rhos = [...shared.stages.map((st) => st.rho), (kitchenLam * meanItems(params.menu)) / (staff.kitchen * params.prepRate)];
+  let q = 0;
+  for (const L of laneIds(site)) {
+    const order = tandemSteadyState([{ name: "order", mu: params.orderRate, servers: staff.order[L], cv: cv("order") }], lam / site.lanes.length);
+    rhos.push(order.stages[0].rho);
+    q = Math.max(q, quantile(order.mean + shared.mean, order.variance + shared.variance, pct));
+  }
+  return { q, load: rhos.reduce((a, rho) => a + Math.min(isNaN(rho) ? 10 : rho, 10), 0) };
+}
+
+// Runner queueing delay quantile, treating the delay as roughly exponential.
+// A runner is busy for the walk out, the handoff and the walk back.
+function runnerDelay(params, site, lam, runners, pct) {
+  if (lam <= 0) return 0;
+  const cycle = runnerCycleMin(params, site);
+  const cv = (distCv(params.service.curbside) / params.curbsideRate) / cycle;
+  const [st] = tandemSteadyState([{ name: "curbside", mu: 1 / cycle, servers: runners, cv }], lam).stages;
+  return quantile(st.wq, st.wq * st.wq, pct);
+}
+
+// Moves: one more at a single position, or one more on every lane at once
+// (symmetric lanes only improve the worst lane together)
+function movesFor(site) {
+  const positions = positionsFor(site).filter((p) => p.stage !== "curbside");
+  const lanePositions = positions.filter((p) => p.lane);
+  return [...positions.map((p) => [p]), ...(lanePositions.length > 1 ? [lanePositions] : [])];
+}
+
+// The move with the largest SLA-quantile drop per labor dollar, or null when capped out
+function bestMove(params, site, inputs, staff, lam) {
+  const { sla, laborCost, curbsideShare } = inputs;
+  const driveThru = lam * (1 - curbsideShare);
+  const score = (st) => {
+    const { q, load } = predictStaffing(params, site, st, driveThru, sla.pct, lam);
+    return { q, rank: isFinite(q) ? q : 1e6 + load };
+  };
+  const current = score(staff);
+  let best = null;
+  for (const move of movesFor(site)) {
+    if (move.some((pos) => getStaff(staff, pos) >= MAX_PER_POSITION)) continue;
+    const trial = move.reduce((st, pos) => withStaff(st, pos, getStaff(st, pos) + 1), staff);
+    const { q, rank } = score(trial);
+    const cost = move.reduce((c, pos) => c + laborCost[pos.stage], 0);
+    const gain = (current.rank - rank) / cost;
+    if (!best || gain > best.gain) best = { staff: trial, q, gain };
+  }
+  return best;
+}
+
+function optimizeSlot(params, site, inputs, lam) {
+  const { sla, curbsideShare } = inputs;
+  const driveThru = lam * (1 - curbsideShare);
+  const perLane = driveThru / site.lanes.length;
+  let staff = {
+    order: Object.fromEntries(laneIds(site).map((L) => [L, minStable(perLane, params.orderRate)])),
+    pay: minStable(driveThru, params.payRate),
+    pickup: minStable(driveThru, params.pickupRate),
+    kitchen: minStable(lam * meanItems(params.menu), params.prepRate),
+    // Runners are an M/G/s on handoffs, sized below against runnerDelayMin
+    curbside: minStable(lam * curbsideShare, 1 / runnerCycleMin(params, site)),
+  };
+  let { q } = predictStaffing(params, site, staff, driveThru, sla.pct, lam);
+  while (q > sla.minutes) {
+    const best = bestMove(params, site, inputs, staff, lam);
+    if (!best || best.gain <= 0) break; // capped out: SLA not reachable
+    staff = best.staff; q = best.q;
+  }
+  while (staff.curbside < MAX_PER_POSITION && runnerDelay(params, site, lam * curbsideShare, staff.curbside, sla.pct) > inputs.runnerDelayMin) staff.curbside++;
+  return { staff, predicted: q, meets: q <= sla.minutes };
+}
+
+// staff.kitchen is optional: plans saved before the make line was planned leave it as configured
+export function staffCost(staff, laborCost, hours) {
+  const heads = Object.values(staff.order).reduce((a, b) => a + b, 0);
+  const kitchen = (staff.kitchen ?? 0) * (laborCost.kitchen ?? 0);
+  return hours * (heads * laborCost.order + staff.pay * laborCost.pay + staff.pickup * laborCost.pickup + staff.curbside * laborCost.curbside + kitchen);
+}
+
+export function optimizeStaffing(params, site, inputs = DEFAULT_STAFFING_INPUTS) {
+  const { openHour, closeHour, laborCost } = inputs;
+  const span = ((closeHour - openHour + 24) % 24) || 24;
+  const count = Math.round((span * 60) / INTERVAL_MIN);
+  const slots = [];
+  for (let i = 0; i < count; i++) {
+    const h = (openHour + (i * INTERVAL_MIN) / 60) % 24;
+    // arrivalRateAt works in sim minutes from params.startHour
+    const t = ((((h + INTERVAL_MIN / 120 - params.startHour) % 24) + 24) % 24) * 60;
+    const lam = arrivalRateAt(params, t);
+    const slot = optimizeSlot(params, site, inputs, lam);
+    slots.push({ h, label: formatClock(h), lam: lam * 60, ...slot, cost: staffCost(slot.staff, laborCost, INTERVAL_MIN / 60) });
+  }
+  return { intervalMin: INTERVAL_MIN, openHour, closeHour, sla: inputs.sla, slots, cost: slots.reduce((a, s) => a + s.cost, 0) };
+}
+
+/**
+ * Run the plan through the engine over the operating window and report the
+ * share of drive‑thru cars meeting the SLA, overall and per interval.
+ */
+export function verifyPlan(plan, params, site, { replications = 5, seed = 1 } = {}) {
+  const span = plan.slots.length * plan.intervalMin;
+  const runParams = { ...params, startHour: plan.openHour, staffingPlan: plan, autoRebalance: false };
+  const perSlot = plan.slots.map(() => ({ met: 0, n: 0 }));
+  let met = 0, n = 0;
+  const tally = (t0, ok) => {
+    const slot = perSlot[Math.min(perSlot.length - 1, Math.floor(t0 / plan.intervalMin))];
+    slot.n++; n++;
+    if (ok) { slot.met++; met++; }
+  };
+  for (let r = 0; r < replications; r++) {
+    const { events } = runSimulation(runParams, { seed: `${seed}-${r}`, horizon: span, site });
+    const arrivedAt = new Map();
+    for (const e of events) {
+      if (e.type === "arrive") arrivedAt.set(e.car, e.t);
+      else if (e.type === "pickup" && arrivedAt.has(e.car)) {
+        tally(arrivedAt.get(e.car), e.t - arrivedAt.get(e.car) <= plan.sla.minutes);
+        arrivedAt.delete(e.car);
+      }
+      // Turned-away cars are misses, not gaps: a plan can't look better by losing customers
+      else if (e.type === "balk") tally(e.t, false);
+      else if (e.type === "renege" && arrivedAt.has(e.car)) {
+        tally(arrivedAt.get(e.car), false);
+        arrivedAt.delete(e.car);
+      }
+    }
+    // Cars still queued at close count once they are already late
+    for (const t0 of arrivedAt.values()) if (span - t0 > plan.sla.minutes) tally(t0, false);
+  }
+  return {
+    replications,
+    compliance: n ? met / n : 1,
+    passes: n ? met / n >= plan.sla.pct : true,
+    bySlot: perSlot.map((s) => (s.n ? s.met / s.n : null)),
+  };
+}
+
+/**
+ * The predictor misses backlog, blocking and order-size spread, so a plan can
+ * pass on paper and miss in the engine. Verify, give every interval that missed
+ * the SLA one more server (best predicted gain per dollar), and repeat.
+ * Returns { plan, check } with the last verification.
+ */
+export function repairPlan(plan, params, site, inputs = DEFAULT_STAFFING_INPUTS, { seed = 1, maxRounds = 6 } = {}) {
+  const verify = (p) => verifyPlan(p, params, site, { replications: inputs.replications, seed });
+  let check = verify(plan);
+  for (let round = 0; round < maxRounds && !check.passes; round++) {
+    let changed = false;
+    const slots = plan.slots.map((slot, i) => {
+      if (check.bySlot[i] === null || check.bySlot[i] >= plan.sla.pct) return slot;
+      const best = bestMove(params, site, inputs, slot.staff, slot.lam / 60);
+      if (!best) return slot;
+      changed = true;
+      return { ...slot, staff: best.staff, predicted: best.q, added: (slot.added ?? 0) + 1, cost: staffCost(best.staff, inputs.laborCost, plan.intervalMin / 60) };
+    });
+    if (!changed) break;
+    plan = { ...plan, slots, cost: slots.reduce((a, s) => a + s.cost, 0) };
+    check = verify(plan);
+  }
+  return { plan, check };
+}
@@ -0,0 +1,142 @@
+import { createRng } from "./rng";
+import { runReplication } from "./replications";
+import { DEFAULT_STAFFING_INPUTS, staffCost } from "./staffing";
+import { laneIds } from "./site";
+
+/**
+ * Parameter sweep (headless)
+ * - Any numeric params field, incl. per-lane order posts ("orderServers.A")
+ * - Grid, uniform random or Latin-hypercube samples of the chosen ranges
+ * - Each point: a few CRN replications -> mean KPIs + labor $/hr
+ * - Pareto front over labor cost, p90 wait and curbside diverts (all minimized)
+ * - Swept points drop any staffing plan so the swept counts actually apply
+ */
+
+export const SAMPLERS = [
+  { id: "grid", label: "Grid" },
+  { id: "random", label: "Random" },
+  { id: "lhs", label: "Latin hypercube" },
+];
+
+export const OBJECTIVES = [
+  { key: "laborCost", label: "Labor", unit: "$/hr" },
+  { key: "p90Wait", label: "p90 time in system", unit: "min" },
+  { key: "diverts", label: "Curbside diverts", unit: "cars" },
+];
+
+export const SWEEP_METRICS = [
+  ...OBJECTIVES,
+  { key: "meanWait", label: "Mean time in system", unit: "min" },
+  { key: "throughput", label: "Throughput", unit: "cars/hr", better: "higher" },
+  { key: "lost", label: "Lost (balk + renege)", unit: "cars" },
+];
+
+const STAFF_FIELD = { min: 1, max: 4, integer: true };
+
+// Sweepable fields for a site; `key` is a dotted path into params
+export function sweepFields(site) {
+  return [
+    ...laneIds(site).map((L) => ({ key: `orderServers.${L}`, label: `Order ${L} servers`, ...STAFF_FIELD })),
+    { key: "payServers", label: "Pay servers", ...STAFF_FIELD },
+    { key: "pickupServers", label: "Pickup servers", ...STAFF_FIELD },
+    { key: "curbsideRunners", label: "Curbside runners", ...STAFF_FIELD },
+    { key: "kitchenStations", label: "Kitchen stations", min: 1, max: 6, integer: true },
+    { key: "divertThresholdMin", label: "Divert threshold (min)", min: 2, max: 12 },
+    { key: "mobileShare", label: "Mobile share", min: 0, max: 0.8 },
+    { key: "arrivalRate", label: "Arrivals/hr", min: 20, max: 60 },
+    { key: "orderRate", label: "Order rate", min: 0.5, max: 1.5 },
+    { key: "payRate", label: "Pay rate", min: 0.8, max: 2 },
+    { key: "pickupRate", label: "Pickup rate", min: 0.6, max: 1.6 },
+  ];
+}
+
+export const getField = (params, key) => key.split(".").reduce((o, k) => o?.[k], params);
+
+export function setField(params, key, value) {
+  const [head, sub] = key.split(".");
+  return sub ? { ...params, [head]: { ...params[head], [sub]: value } } : { ...params, [head]: value };
+}
+
+export const DEFAULT_SWEEP = { sampler: "grid", levels: 4, samples: 24, replications: 3, horizon: 240, warmup: 30, seed: 1 };
+export const MAX_POINTS = 400;
+
+// Values along one dimension for the grid (integers are deduplicated)
+function gridValues(dim, levels) {
+  const n = Math.max(1, dim.integer ? Math.min(levels, dim.max - dim.min + 1) : levels);
+  const vals = Array.from({ length: n }, (_, i) => (n === 1 ? dim.min : dim.min + ((dim.max - dim.min) * i) / (n - 1)));
+  return [...new Set(vals.map((v) => (dim.integer ? Math.round(v) : +v.toFixed(3))))];
+}
+
+// u in [0,1) -> value in the dimension's range
+const fromUnit = (dim, u) => (dim.integer ? Math.min(dim.max, dim.min + Math.floor(u * (dim.max - dim.min + 1))) : +(dim.min + u * (dim.max - dim.min)).toFixed(3));
+
+/**
+ * dims: [{ key, min, max, integer }] -> array of { [key]: value } points.
+ * LHS: each dimension is cut into n strata, one sample per stratum, strata
+ * shuffled independently per dimension.
+ */
+export function samplePoints(dims, { sampler, levels, samples, seed }) {
+  if (!dims.length) return [];
+  if (sampler === "grid") {
+    let points = [{}];
+    for (const dim of dims) points = points.flatMap((p) => gridValues(dim, levels).map((v) => ({ ...p, [dim.key]: v })));
+    return points.slice(0, MAX_POINTS);
+  }
+  const rng = createRng(`${seed}/sweep`);
+  const n = Math.min(samples, MAX_POINTS);
+  if (sampler === "random") return Array.from({ length: n }, () => Object.fromEntries(dims.map((d) => [d.key, fromUnit(d, rng.next())])));
+  const columns = dims.map((d) => {
+    const strata = Array.from({ length: n }, (_, i) => i);
+    for (let i = n - 1; i > 0; i--) { const j = Math.floor(rng.next() * (i + 1)); [strata[i], strata[j]] = [strata[j], strata[i]]; }
+    return strata.map((s) => fromUnit(d, (s + rng.next()) / n));
+  });
+  return Array.from({ length: n }, (_, i) => Object.fromEntries(dims.map((d, k) => [d.key, columns[k][i]])));
+}
+
+export function pointParams(params, point) {
+  return Object.entries(point).reduce((p, [key, v]) => setField(p, key, v), { ...params, staffingPlan: null });
+}
+
+// Labor per hour at the staffing planner's wages, make-line stations included
+export function laborPerHour(params, laborCost = DEFAULT_STAFFING_INPUTS.laborCost) {
+  return staffCost({ order: params.orderServers, pay: params.payServers, pickup: params.pickupServers, curbside: params.curbsideRunners, kitchen: params.kitchenStations }, laborCost, 1);
+}
+
+// One point: CRN replications (same seeds for every point) averaged
+export function evaluatePoint(params, site, point, { replications, horizon, warmup, seed }) {
+  const p = pointParams(params, point);
+  const runs = Array.from({ length: replications }, (_, r) => runReplication(p, site, { seed: `${seed}-crn-${r}`, horizon, warmup: Math.min(warmup, horizon - 1) }));
+  const mean = (k) => runs.reduce((a, r) => a + r[k], 0) / runs.length;
+  return { point, params: p, laborCost: laborPerHour(p), meanWait: mean("meanWait"), p90Wait: mean("p90Wait"), throughput: mean("throughput"), diverts: mean("diverts"), lost: mean("lost") };
+}
+
+// Marks each result with `pareto` when no other result is at least as good on every objective and better on one
+export function paretoFront(results, keys = OBJECTIVES.map((o) => o.key)) {
+  const dominates = (a, b) => keys.every((k) => a[k] <= b[k]) && keys.some((k) => a[k] < b[k]);
+  return results.map((r) => ({ ...r, pareto: !results.some((o) => o !== r && dominates(o, r)) }));
+}
+
+/**
+ * Heatmap of `metric` over two swept keys, averaging over the other dims.
+ * Continuous samples are binned into `bins` equal-width cells per axis.
+ */
+export function heatmap(results, xKey, yKey, metric, bins = 6) {
+  const axis = (key) => {
+    const vals = [...new Set(results.map((r) => r.point[key]))].sort((a, b) => a - b);
+    if (vals.length <= bins) return { labels: vals.map(String), index: (v) => vals.indexOf(v) };
+    const lo = vals[0], hi = vals[vals.length - 1], w = (hi - lo) / bins || 1;
+    return {
+      labels: Array.from({ length: bins }, (_, i) => `${+(lo + i * w).toFixed(2)}–${+(lo + (i + 1) * w).toFixed(2)}`),
+      index: (v) => Math.min(bins - 1, Math.floor((v - lo) / w)),
+    };
+  };
+  const x = axis(xKey), y = axis(yKey);
+  const cells = y.labels.map(() => x.labels.map(() => ({ sum: 0, n: 0 })));
+  for (const r of results) {
+    const c = cells[y.index(r.point[yKey])][x.index(r.point[xKey])];
+    c.sum += r[metric]; c.n++;
+  }
+  const values = cells.map((row) => row.map((c) => (c.n ? c.sum / c.n : null)));
+  const flat = values.flat().filter((v) => v != null);
+  return { xLabels: x.labels, yLabels: y.labels, values, min: Math.min(...flat), max: Math.max(...flat) };
+}
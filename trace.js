@@ -0,0 +1,257 @@
+import { runSimulation } from "./engine";
+import { percentile } from "./journeys";
+
+/**
+ * Timestamp traces (detector loops, POS exports)
+ * - CSV or JSON in, column mapping + time units, per-row validation errors
+ * - Records are normalized to sim minutes from the first recorded arrival
+ * - "arrivals" mode: the engine takes its arrival stream from the trace
+ * - "replay" mode: recorded journeys vs the model run on the same arrivals,
+ *   compared stage by stage under whatever staffing is set now
+ */
+
+// Fields a trace can map; times are stage *completions* like the engine log
+export const TRACE_FIELDS = [
+  { key: "arrival", label: "Arrival", time: true, required: true },
+  { key: "order", label: "Order post done", time: true },
+  { key: "pay", label: "Pay done", time: true },
+  { key: "pickup", label: "Pickup done", time: true },
+  { key: "left", label: "Left without ordering", time: true }, // abandonment time, for patience
+  { key: "lane", label: "Lane" },
+  { key: "mobile", label: "Mobile order" },
+];
+
+export const TIME_UNITS = [
+  { id: "auto", label: "Auto-detect" },
+  { id: "clock", label: "Clock time (HH:MM[:SS])" },
+  { id: "iso", label: "Date-time (ISO 8601)" },
+  { id: "epochS", label: "Unix seconds" },
+  { id: "epochMs", label: "Unix milliseconds" },
+  { id: "minutes", label: "Minutes from start" },
+  { id: "seconds", label: "Seconds from start" },
+];
+
+// ------------------------------- Parsing -----------------------------------
+// RFC 4180-ish: quoted fields, doubled quotes, CRLF; first row is the header
+export function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === "," || ch === ";" || ch === "\t") { row.push(field); field = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some((f) => f.trim() !== "")) rows.push(row);
+      row = [];
+    } else field += ch;
+  }
+  row.push(field);
+  if (row.some((f) => f.trim() !== "")) rows.push(row);
+  const [header = [], ...body] = rows;
+  const columns = header.map((h) => h.trim());
+  return { format: "csv", columns, rows: body.map((r) => Object.fromEntries(columns.map((c, i) => [c, (r[i] ?? "").trim()]))) };
+}
+
+// JSON: an array of objects, or { rows: [...] }
+export function parseJsonTrace(text) {
+  const data = JSON.parse(text);
+  const rows = Array.isArray(data) ? data : data.rows;
+  if (!Array.isArray(rows)) throw new Error("Expected an array of rows or { rows: [...] }");
+  const columns = [...new Set(rows.flatMap((r) => (r && typeof r === "object" ? Object.keys(r) : [])))];
+  return { format: "json", columns, rows };
+}
+
+export function parseTrace(text) {
+  const trimmed = text.trim();
+  return trimmed.startsWith("[") || trimmed.startsWith("{") ? parseJsonTrace(trimmed) : parseCsv(text);
+}
+
+// Best-effort default mapping from header names
+const ALIASES = {
+  arrival: ["arrival", "arrive", "arrived", "entry", "loop_in", "detect", "t_arrival"],
+  order: ["order", "order_post", "order_done", "order_end", "menu_board", "speaker"],
+  pay: ["pay", "payment", "pay_done", "cashier", "window1"],
+  pickup: ["pickup", "pick_up", "present", "handoff", "window2", "exit", "departure"],
+  left: ["left", "abandon", "abandoned", "reneged", "renege", "left_lane"],
+  lane: ["lane", "lane_id"],
+  mobile: ["mobile", "app", "is_mobile", "channel"],
+};
+export function guessMapping(columns) {
+  const norm = (s) => String(s).toLowerCase().replace(/[^a-z0-9]+/g, "_");
+  return Object.fromEntries(TRACE_FIELDS.map(({ key }) => {
+    const hit = columns.find((c) => ALIASES[key].includes(norm(c))) ?? columns.find((c) => ALIASES[key].some((a) => norm(c).startsWith(a)));
+    return [key, hit ?? ""];
+  }));
+}
+
+// ------------------------------- Normalizing -------------------------------
+export function detectUnit(value) {
+  const v = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}[T ]/.test(v)) return "iso";
+  if (/^\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(v)) return "clock";
+  const n = Number(v);
+  if (!isFinite(n)) return null;
+  if (n > 1e11) return "epochMs";
+  if (n > 1e8) return "epochS";
+  return "minutes";
+}
+
+// -> { min, hour } on the unit's own scale; hour is the clock hour when the unit has one
+function parseTime(value, unit) {
+  const v = String(value).trim();
+  if (unit === "clock") {
+    const m = v.match(/^(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?$/);
+    if (!m || +m[1] > 23 || +m[2] > 59) return null;
+    const min = +m[1] * 60 + +m[2] + (m[3] ? +m[3] / 60 : 0);
+    return { min, hour: min / 60 };
+  }
+  if (unit === "iso" || unit === "epochS" || unit === "epochMs") {
+    const ms = unit === "iso" ? Date.parse(v) : Number(v) * (unit === "epochS" ? 1000 : 1);
+    if (!isFinite(ms)) return null;
+    const d = new Date(ms);
+    return { min: ms / 60000, hour: d.getHours() + d.getMinutes() / 60 + d.getSeconds() / 3600 };
+  }
+  const n = Number(v);
+  if (v === "" || !isFinite(n)) return null;
+  return { min: unit === "seconds" ? n / 60 : n, hour: null };
+}
+
+const TRUTHY = ["1", "true", "yes", "y", "mobile", "app"];
+
+/**
+ * rows + mapping { field: column } + unit -> { records, errors, startHour, unit }
+ * Records: { row, arrival, order?, pay?, pickup?, left?, lane?, isMobile? } in minutes
+ * from the first arrival. Rows with any error are left out. `row` numbers
+ * start at firstLine (2 for CSV: line 1 is the header).
+ */
+export function normalizeTrace(rows, mapping, { unit = "auto", site, firstLine = 2 } = {}) {
+  const errors = [];
+  const firstArrival = rows.find((r) => r?.[mapping.arrival] !== undefined && String(r[mapping.arrival]).trim() !== "");
+  const resolved = unit === "auto" ? (firstArrival ? detectUnit(firstArrival[mapping.arrival]) : null) : unit;
+  if (!mapping.arrival) errors.push({ row: 0, field: "arrival", message: "Map a column to Arrival" });
+  if (!resolved) errors.push({ row: 0, field: "arrival", message: "Could not detect the time unit; pick one" });
+  if (errors.length) return { records: [], errors, startHour: null, unit: resolved };
+
+  const lanes = site ? site.lanes.map((l) => l.id) : null;
+  const parsed = [];
+  rows.forEach((r, i) => {
+    const row = i + firstLine;
+    const rec = { row };
+    let ok = true;
+    const fail = (field, message) => { errors.push({ row, field, message }); ok = false; };
+    for (const f of TRACE_FIELDS.filter((f) => f.time)) {
+      const col = mapping[f.key];
+      const raw = col ? r?.[col] : undefined;
+      if (raw === undefined || raw === null || String(raw).trim() === "") {
+        if (f.required) fail(f.key, "missing");
+        continue;
+      }
+      const t = parseTime(raw, resolved);
+      if (!t) fail(f.key, `can't read "${raw}" as ${resolved}`);
+      else rec[f.key] = t;
+    }
+    if (!ok) return;
+    // Clock times that run past midnight come back as early-morning values
+    if (resolved === "clock") for (const k of ["order", "pay", "pickup", "left"]) if (rec[k] && rec[k].min < rec.arrival.min - 720) rec[k].min += 1440;
+    let prev = rec.arrival;
+    for (const k of ["order", "pay", "pickup"]) {
+      if (!rec[k]) continue;
+      if (rec[k].min < prev.min) fail(k, "earlier than the previous stage");
+      prev = rec[k];
+    }
+    if (rec.left && rec.left.min < rec.arrival.min) fail("left", "earlier than the arrival");
+    if (mapping.lane && r[mapping.lane] !== undefined && String(r[mapping.lane]).trim() !== "") {
+      rec.lane = String(r[mapping.lane]).trim().toUpperCase();
+      if (lanes && !lanes.includes(rec.lane)) fail("lane", `lane "${r[mapping.lane]}" is not on this site (${lanes.join(", ")})`);
+    }
+    if (mapping.mobile && r[mapping.mobile] !== undefined) rec.isMobile = TRUTHY.includes(String(r[mapping.mobile]).trim().toLowerCase());
+    if (ok) parsed.push(rec);
+  });
+
+  parsed.sort((a, b) => a.arrival.min - b.arrival.min);
+  const t0 = parsed[0]?.arrival.min ?? 0;
+  const records = parsed.map((p) => {
+    const out = { row: p.row, lane: p.lane, isMobile: p.isMobile };
+    for (const k of ["arrival", "order", "pay", "pickup", "left"]) if (p[k]) out[k] = p[k].min - t0;
+    return out;
+  });
+  return { records, errors, startHour: parsed[0]?.arrival.hour ?? null, unit: resolved };
+}
+
+// Every recorded lane exists on the site (records without a lane always fit)
+export const traceFitsSite = (records, site) => records.every((r) => !r.lane || site.lanes.some((l) => l.id === r.lane));
+
+// ------------------------------- Replay ------------------------------------
+// Time between consecutive recorded milestones, per car
+const SEGMENTS = [
+  { key: "toOrder", label: "Arrival → order done", from: "arrival", to: "order" },
+  { key: "toPay", label: "Order → pay done", from: "order", to: "pay" },
+  { key: "toPickup", label: "Pay → pickup done", from: "pay", to: "pickup" },
+  { key: "total", label: "Arrival → pickup done", from: "arrival", to: "pickup" },
+];
+
+function summarize(values) {
+  if (!values.length) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  return { n: values.length, mean, p50: percentile(sorted, 0.5), p90: percentile(sorted, 0.9) };
+}
+
+const segmentsOf = (j) => Object.fromEntries(SEGMENTS.filter((s) => j[s.from] !== undefined && j[s.to] !== undefined).map((s) => [s.key, j[s.to] - j[s.from]]));
+
+// Model journeys keyed by trace row, from an engine event log. A journey starts
+// at the car's first event carrying its row: arrive, divert or balk.
+function modelJourneys(events) {
+  const byCar = new Map(), out = new Map();
+  for (const e of events) {
+    let j = byCar.get(e.car);
+    if (!j && e.row !== undefined) { j = { row: e.row }; byCar.set(e.car, j); out.set(e.row, j); }
+    if (!j) continue;
+    if (e.type === "arrive") j.arrival = e.t;
+    else if (e.type === "divert") j.diverted = true;
+    else if (e.type === "order" || e.type === "pay" || e.type === "pickup") j[e.type] = e.t;
+    else if (e.type === "balk" || e.type === "renege") j.lost = e.type;
+  }
+  return out;
+}
+
+/**
+ * Recorded vs modelled journeys for the same arrivals under `params`.
+ * Each replication reuses the recorded arrival stream with a different seed.
+ */
+export function compareTrace(records, params, site, { replications = 3, seed = 1 } = {}) {
+  const horizon = (records[records.length - 1]?.arrival ?? 0) + 240; // let the last cars clear
+  const recorded = Object.fromEntries(SEGMENTS.map((s) => [s.key, []]));
+  for (const r of records) for (const [k, v] of Object.entries(segmentsOf(r))) recorded[k].push(v);
+  const model = Object.fromEntries(SEGMENTS.map((s) => [s.key, []]));
+  const diffs = [];
+  let diverted = 0, lost = 0, unmatched = 0;
+  for (let i = 0; i < replications; i++) {
+    const { events } = runSimulation(params, { seed: `${seed}-trace-${i}`, horizon, site, trace: records });
+    const journeys = modelJourneys(events);
+    for (const r of records) {
+      const j = journeys.get(r.row);
+      if (!j) { unmatched++; continue; } // never reached the model (e.g. past the horizon)
+      if (j.diverted) { diverted++; continue; }
+      if (j.lost) { lost++; continue; }
+      const seg = segmentsOf(j);
+      for (const [k, v] of Object.entries(seg)) model[k].push(v);
+      if (seg.total !== undefined && r.pickup !== undefined) diffs.push(seg.total - (r.pickup - r.arrival));
+    }
+  }
+  return {
+    replications,
+    cars: records.length,
+    segments: SEGMENTS.map((s) => ({ ...s, recorded: summarize(recorded[s.key]), model: summarize(model[s.key]) })),
+    meanDiff: diffs.length ? diffs.reduce((a, b) => a + b, 0) / diffs.length : null,
+    diverted: diverted / replications,
+    lost: lost / replications,
+    unmatched: unmatched / replications,
+  };
+}